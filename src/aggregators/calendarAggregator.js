@@ -1,18 +1,16 @@
-const { getTodaysEvents, parseCalendarEvent } = require('../clients/calendarClient');
+const { getTodaysEvents, getUpcomingEvents, parseCalendarEvent } = require('../clients/calendarClient');
+const { reportSourceFailure } = require('../utils/sourceStatus');
+const { formatTime, formatDayLabel } = require('../utils/formatting');
+const { getDayKey, getDayStart } = require('../utils/timeZone');
+const { isFixtureMode, getFixture, getNow } = require('../utils/fixtures');
+const { createLogger } = require('../utils/logger');
 
-/**
- * Format time as HH:MM AM/PM
- * @param {Date} date - Date object
- * @returns {string} Formatted time string
- */
-function formatTime(date) {
-  const hours = date.getHours();
-  const minutes = date.getMinutes();
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  const displayHours = hours % 12 || 12;
-  const displayMinutes = minutes.toString().padStart(2, '0');
-  return `${displayHours}:${displayMinutes} ${ampm}`;
-}
+const log = createLogger('calendar');
+
+const DEFAULT_CALENDAR_COLOR = '#4285F4';
+const DEFAULT_LOOKAHEAD_DAYS = parseInt(process.env.AGENDA_LOOKAHEAD_DAYS) || 7;
+const MAX_LOOKAHEAD_DAYS = 14;
+const MAX_UPCOMING_EVENTS = 250;
 
 /**
  * Calculate minutes until a given time
@@ -20,7 +18,7 @@ function formatTime(date) {
  * @returns {number} Minutes until the date
  */
 function getMinutesUntil(date) {
-  const now = new Date();
+  const now = getNow();
   const diff = date.getTime() - now.getTime();
   return Math.floor(diff / 60000);
 }
@@ -31,80 +29,306 @@ function getMinutesUntil(date) {
  * @returns {boolean} True if event has passed
  */
 function isEventDone(endTime) {
-  return new Date() > endTime;
+  return getNow() > endTime;
 }
 
 /**
- * Get today's calendar events and next upcoming event
- * @returns {Promise<Object>} Calendar data with nextEvent and agenda
+ * Read the configured calendars
+ * GOOGLE_CALENDARS is a comma-separated list of "id|label|color" entries,
+ * e.g. "primary|Work|#4285F4,family@group.calendar.google.com|Family|#0B8043".
+ * Falls back to the single GOOGLE_CALENDAR_ID. With DATA_SOURCE=fixtures the
+ * fixture scenario's calendars are used.
+ * @returns {Array<Object>} Calendars with id, label and color
  */
-async function getCalendarData() {
-  const calendarId = process.env.GOOGLE_CALENDAR_ID;
+function getCalendarConfigs() {
+  if (isFixtureMode()) {
+    return getFixture('calendars').map(({ id, label, color }) => ({
+      id,
+      label: label || id,
+      color: color || DEFAULT_CALENDAR_COLOR
+    }));
+  }
 
-  // Return null/empty if calendar not configured
+  const calendarList = process.env.GOOGLE_CALENDARS;
+
+  if (calendarList) {
+    return calendarList
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const [id, label, color] = entry.split('|').map(part => part.trim());
+        return {
+          id,
+          label: label || id,
+          color: color || DEFAULT_CALENDAR_COLOR
+        };
+      });
+  }
+
+  const calendarId = process.env.GOOGLE_CALENDAR_ID;
   if (!calendarId) {
-    console.warn('⚠️  Google Calendar not configured');
-    return {
-      nextEvent: null,
-      agenda: []
-    };
+    return [];
+  }
+
+  return [{
+    id: calendarId,
+    label: process.env.GOOGLE_CALENDAR_LABEL || 'Calendar',
+    color: process.env.GOOGLE_CALENDAR_COLOR || DEFAULT_CALENDAR_COLOR
+  }];
+}
+
+/**
+ * Fetch events for one calendar, tagged with their source calendar
+ * @param {Object} calendar - Calendar config (id, label, color)
+ * @param {Function} fetchEvents - Function taking a calendar ID and returning raw events
+ * @returns {Promise<Array>} Parsed events
+ */
+async function getEventsForCalendar(calendar, fetchEvents) {
+  const events = await fetchEvents(calendar.id);
+
+  return (events || []).map(event => ({
+    ...parseCalendarEvent(event),
+    calendar: calendar
+  }));
+}
+
+/**
+ * Fetch events from every calendar and merge them
+ * A failure on one calendar should not blank out the others.
+ * @param {Array<Object>} calendars - Calendar configs
+ * @param {Function} fetchEvents - Function taking a calendar ID and returning raw events
+ * @param {string} sourceName - Source to report failures against
+ * @returns {Promise<Array>} Merged, de-duplicated and sorted events
+ */
+async function getMergedEvents(calendars, fetchEvents, sourceName) {
+  const results = await Promise.allSettled(
+    calendars.map(calendar => getEventsForCalendar(calendar, fetchEvents))
+  );
+
+  const allEvents = [];
+  const failures = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      allEvents.push(...result.value);
+    } else {
+      log.error(`❌ Failed to fetch calendar '${calendars[index].label}'`, { error: result.reason });
+      failures.push(`${calendars[index].label}: ${result.reason.message}`);
+    }
+  });
+
+  if (failures.length > 0) {
+    reportSourceFailure(sourceName, `${failures.length} of ${calendars.length} calendar(s) failed (${failures.join('; ')})`);
   }
 
-  try {
-    console.log('📅 Fetching calendar events...');
-    const events = await getTodaysEvents(calendarId);
+  return dedupeEvents(allEvents).sort(compareEvents);
+}
+
+/**
+ * Remove events that appear on more than one calendar (e.g. shared invites)
+ * The first calendar in the configured order wins.
+ * @param {Array} events - Parsed events
+ * @returns {Array} Unique events
+ */
+function dedupeEvents(events) {
+  const seen = new Set();
+
+  return events.filter((event) => {
+    const key = event.iCalUID
+      ? `${event.iCalUID}|${event.startTime.getTime()}`
+      : `${event.title}|${event.startTime.getTime()}|${event.endTime.getTime()}`;
 
-    if (!events || events.length === 0) {
-      console.log('📅 No events found for today');
-      return {
-        nextEvent: null,
-        agenda: []
-      };
+    if (seen.has(key)) {
+      return false;
     }
+    seen.add(key);
+    return true;
+  });
+}
 
-    const parsedEvents = events.map(parseCalendarEvent);
-    const now = new Date();
-
-    // Find next upcoming event by comparing event start time to current time
-    const upcomingEvents = parsedEvents.filter(event => event.startTime > now);
-    const nextEvent = upcomingEvents.length > 0 ? upcomingEvents[0] : null;
-
-    // Format next event with calculated minutesUntil
-    const formattedNextEvent = nextEvent ? {
-      title: nextEvent.title,
-      time: formatTime(nextEvent.startTime),
-      minutesUntil: getMinutesUntil(nextEvent.startTime),
-      location: nextEvent.location || '',
-      startTime: nextEvent.startTime.toISOString()
-    } : null;
-
-    // Format agenda (all events for today)
-    const agenda = parsedEvents.map(event => ({
-      time: event.isAllDay ? 'All Day' : formatTime(event.startTime),
-      title: event.title,
-      done: isEventDone(event.endTime),
-      location: event.location || '',
-      isAllDay: event.isAllDay
-    }));
+/**
+ * Sort events with all-day events first, then by start time
+ * @param {Object} a - Parsed event
+ * @param {Object} b - Parsed event
+ * @returns {number} Sort order
+ */
+function compareEvents(a, b) {
+  if (a.isAllDay !== b.isAllDay) {
+    return a.isAllDay ? -1 : 1;
+  }
+  return a.startTime.getTime() - b.startTime.getTime();
+}
 
-    console.log(`✅ Found ${events.length} event(s) for today`);
+/**
+ * Get today's calendar events and next upcoming event
+ * Events from all configured calendars are merged into one agenda
+ * @returns {Promise<Object>} Calendar data with nextEvent and agenda
+ */
+async function getCalendarData() {
+  const calendars = getCalendarConfigs();
 
+  // Return null/empty if calendar not configured
+  if (calendars.length === 0) {
+    log.warn('⚠️  Google Calendar not configured');
     return {
-      nextEvent: formattedNextEvent,
-      agenda: agenda
+      nextEvent: null,
+      agenda: []
     };
+  }
 
-  } catch (error) {
-    console.error('❌ Failed to fetch calendar events:', error.message);
+  log.debug(`📅 Fetching calendar events from ${calendars.length} calendar(s)...`);
+  const parsedEvents = await getMergedEvents(calendars, getTodaysEvents, 'calendar');
 
-    // Return null/empty on failure (no mock data)
+  if (parsedEvents.length === 0) {
+    log.debug('📅 No events found for today');
     return {
       nextEvent: null,
       agenda: []
     };
   }
+
+  const now = getNow();
+
+  // Find next upcoming event by comparing event start time to current time
+  const nextEvent = parsedEvents
+    .filter(event => event.startTime > now)
+    .sort((a, b) => a.startTime.getTime() - b.startTime.getTime())[0] || null;
+
+  // Next event with calculated minutesUntil (display times are added by formatCalendar())
+  const formattedNextEvent = nextEvent ? {
+    title: nextEvent.title,
+    minutesUntil: getMinutesUntil(nextEvent.startTime),
+    location: nextEvent.location || '',
+    startTime: nextEvent.startTime.toISOString(),
+    endTime: nextEvent.endTime.toISOString(),
+    calendar: nextEvent.calendar
+  } : null;
+
+  // Agenda (all events for today)
+  const agenda = parsedEvents.map(event => ({
+    title: event.title,
+    done: isEventDone(event.endTime),
+    location: event.location || '',
+    isAllDay: event.isAllDay,
+    startTime: event.startTime.toISOString(),
+    endTime: event.endTime.toISOString(),
+    calendar: event.calendar
+  }));
+
+  log.debug(`✅ Found ${agenda.length} event(s) for today`);
+
+  return {
+    nextEvent: formattedNextEvent,
+    agenda: agenda
+  };
+}
+
+
+/**
+ * Build an event for a single day of the lookahead
+ * Events spanning several days appear on each day they cover.
+ * @param {Object} event - Parsed event
+ * @param {Date} dayStart - Midnight of the day (household time zone)
+ * @param {Date} dayEnd - Midnight of the following day
+ * @returns {Object} Agenda item
+ */
+function buildLookaheadItem(event, dayStart, dayEnd) {
+  return {
+    title: event.title,
+    location: event.location || '',
+    isAllDay: event.isAllDay,
+    isMultiDay: getDayKey(event.startTime) !== getDayKey(new Date(event.endTime.getTime() - 1)),
+    continued: event.startTime < dayStart,
+    continues: event.endTime > dayEnd,
+    startTime: event.startTime.toISOString(),
+    endTime: event.endTime.toISOString(),
+    calendar: event.calendar
+  };
+}
+
+/**
+ * Get upcoming events grouped by day, starting tomorrow
+ * Day labels and display times are added by formatLookahead().
+ * @param {number} days - Number of days to look ahead (1 = tomorrow only)
+ * @returns {Promise<Array>} Day groups with date and events
+ */
+async function getLookahead(days = DEFAULT_LOOKAHEAD_DAYS) {
+  const calendars = getCalendarConfigs();
+  const dayCount = Math.min(Math.max(days, 1), MAX_LOOKAHEAD_DAYS);
+
+  const today = getDayKey(getNow());
+  const rangeStart = getDayStart(today, 1);
+  const rangeEnd = getDayStart(today, 1 + dayCount);
+
+  let events = [];
+  if (calendars.length > 0) {
+    log.debug(`📅 Fetching ${dayCount}-day lookahead from ${calendars.length} calendar(s)...`);
+    events = await getMergedEvents(calendars, calendarId => getUpcomingEvents(
+      calendarId,
+      MAX_UPCOMING_EVENTS,
+      { timeMin: rangeStart, timeMax: rangeEnd }
+    ), 'lookahead');
+  }
+
+  const groups = [];
+  for (let offset = 1; offset <= dayCount; offset++) {
+    const dayStart = getDayStart(today, offset);
+    const dayEnd = getDayStart(today, offset + 1);
+
+    groups.push({
+      date: getDayKey(dayStart),
+      events: events
+        .filter(event => event.startTime < dayEnd && event.endTime > dayStart)
+        .map(event => buildLookaheadItem(event, dayStart, dayEnd))
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * Get the display time of an agenda or lookahead item
+ * @param {Object} item - Item with startTime, endTime and isAllDay
+ * @param {Object} format - Complete display format (see utils/formatting)
+ * @returns {string} e.g. "2:00 PM", "All Day" or "Until 14:00"
+ */
+function formatItemTime(item, format) {
+  if (item.isAllDay || (item.continued && item.continues)) {
+    return 'All Day';
+  }
+  if (item.continued) {
+    return `Until ${formatTime(item.endTime, format)}`;
+  }
+  return formatTime(item.startTime, format);
 }
 
+/**
+ * Add display times to today's next event and agenda
+ * @param {Object|null} nextEvent - Next event from getCalendarData()
+ * @param {Array} agenda - Agenda from getCalendarData()
+ * @param {Object} format - Complete display format (see utils/formatting)
+ * @returns {Object} { nextEvent, agenda } with `time` strings
+ */
+function formatCalendar(nextEvent, agenda, format) {
+  return {
+    nextEvent: nextEvent ? { time: formatTime(nextEvent.startTime, format), ...nextEvent } : nextEvent,
+    agenda: (agenda || []).map(item => ({ time: formatItemTime(item, format), ...item }))
+  };
+}
+
+/**
+ * Add day labels and display times to the lookahead
+ * @param {Array} lookahead - Day groups from getLookahead()
+ * @param {Object} format - Complete display format (see utils/formatting)
+ * @returns {Array} Day groups with `label` and event `time` strings
+ */
+function formatLookahead(lookahead, format) {
+  return (lookahead || []).map(group => ({
+    date: group.date,
+    label: formatDayLabel(group.date, format),
+    events: group.events.map(event => ({ time: formatItemTime(event, format), ...event }))
+  }));
+}
 
 /**
  * Get just the next upcoming event
@@ -126,6 +350,11 @@ async function getAgenda() {
 
 module.exports = {
   getCalendarData,
+  getCalendarConfigs,
+  getLookahead,
+  formatCalendar,
+  formatLookahead,
+  MAX_LOOKAHEAD_DAYS,
   getNextEvent,
   getAgenda
 };
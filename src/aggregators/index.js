@@ -1,66 +1,222 @@
-const { getWeather } = require('./weatherAggregator');
-const { getNextEvent: getNextCalendarEvent, getAgenda: getCalendarAgenda } = require('./calendarAggregator');
+const { getWeather, getForecast, formatWeather, formatForecast } = require('./weatherAggregator');
+const { getWeatherAlerts, getAlertMessage, formatWeatherAlerts } = require('./weatherAlertAggregator');
+const {
+  getCalendarData: getTodaysCalendarData,
+  getLookahead: getCalendarLookahead,
+  formatCalendar,
+  formatLookahead
+} = require('./calendarAggregator');
 const { getTodos: getTodoistTodos } = require('./todoAggregator');
-const { filterByMode } = require('../utils/modeManager');
+const { getLocalEvents: getUpcomingLocalEvents, formatLocalEvents } = require('./localEventsAggregator');
+const { getLLMMessage: getGeneratedMessage, getInactiveMessage } = require('./llmAggregator');
+const { getRuleAlerts, getRuleMessage } = require('./ruleAlertAggregator');
+const { filterByMode, getModeAudience } = require('../utils/modeManager');
+const { URGENCY_LEVELS } = require('../utils/ruleEngine');
+const { runSource, getSourceStatuses } = require('../utils/sourceStatus');
+const { resolveFormat } = require('../utils/formatting');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('aggregator');
+
+const LLM_SOURCE_TIMEOUT = (parseInt(process.env.LLM_TIMEOUT_MS) || 8000) + 2000;
 
 /**
- * Main aggregator that collects and combines data from all sources
- * @param {string} mode - Dashboard mode (personal, art, weather, etc.)
- * @returns {Promise<Object>} Aggregated dashboard data
+ * Collect data from all sources, without any mode filtering
+ * @param {Array<string>} modes - Modes that will be shown (LLM messages are written per mode)
+ * @returns {Promise<Object>} Full aggregated dashboard data
  */
-async function getDashboardData(mode = 'personal') {
+async function aggregateDashboardData(modes = ['personal']) {
   try {
-    // Fetch all data from sources
-    const fullData = {
-      mode: mode,
-      weather: await getWeatherData(),
-      nextEvent: await getNextEvent(),
-      todos: await getTodos(),
-      agenda: await getAgenda(),
-      localEvents: await getLocalEvents(),
-      llmMessage: await getLLMMessage()
+    // Sources are fetched concurrently, each with its own timeout,
+    // so one slow API can't hold up the rest of the screen
+    const weatherPromise = runSource('weather', getWeatherData);
+    const forecastPromise = runSource('forecast', getForecastData);
+    // Weather alerts are evaluated on every refresh and take over the urgent banner
+    const weatherAlertsPromise = Promise.all([weatherPromise, forecastPromise])
+      .then(([weather, forecast]) => runSource('weatherAlerts', () => getWeatherAlerts(weather, forecast), { emptyValue: [] }));
+
+    const [weather, forecast, weatherAlerts, calendar, todos, lookahead, localEvents] = await Promise.all([
+      weatherPromise,
+      forecastPromise,
+      weatherAlertsPromise,
+      runSource('calendar', getCalendarData, { emptyValue: { nextEvent: null, agenda: [] } }),
+      runSource('todos', getTodos, { emptyValue: [] }),
+      runSource('lookahead', getLookahead, { emptyValue: [] }),
+      runSource('localEvents', getLocalEvents, { emptyValue: [] })
+    ]);
+
+    const data = {
+      weather: weather,
+      forecast: forecast,
+      weatherAlerts: weatherAlerts,
+      nextEvent: calendar.nextEvent,
+      todos: todos,
+      agenda: calendar.agenda,
+      lookahead: lookahead,
+      localEvents: localEvents
     };
 
-    // Filter data based on mode
-    const filteredData = filterByMode(mode, fullData);
+    // Alert rules and LLM prompts see the same display strings as a display
+    // using the default format
+    const formattedData = formatDashboardData(data, resolveFormat());
 
-    return filteredData;
+    // Alert rules are evaluated after everything else is aggregated
+    data.ruleAlerts = getRuleAlerts(formattedData);
+
+    const messages = await Promise.all(modes.map(mode => runSource(
+      `llm:${mode}`,
+      () => getLLMMessage(formattedData, mode),
+      { emptyValue: getInactiveMessage(), timeout: LLM_SOURCE_TIMEOUT }
+    )));
+
+    const llmMessages = {};
+    modes.forEach((mode, index) => {
+      llmMessages[mode] = messages[index];
+    });
+
+    return {
+      ...data,
+      llmMessages: llmMessages,
+      sources: getSourceStatuses()
+    };
   } catch (error) {
-    console.error('Error aggregating dashboard data:', error);
+    log.error('❌ Failed to aggregate dashboard data', { error });
     throw error;
   }
 }
 
 /**
- * Fetch weather data
- * @returns {Promise<Object|null>} Weather information
+ * Pick the urgent banner message for a mode
+ * The most urgent of the weather and rule alerts wins (weather on ties),
+ * then the mode's LLM note. Public modes only consider public alerts, so a
+ * private rule alert can't hide a public one.
+ * @param {string} mode - Dashboard mode
+ * @param {Object} fullData - Data from aggregateDashboardData()
+ * @returns {Object} Banner message
  */
-async function getWeatherData() {
-  const weather = await getWeather();
+function getBannerMessage(mode, fullData) {
+  const publicOnly = getModeAudience(mode) === 'public';
+  const alertMessages = [getAlertMessage(fullData.weatherAlerts), getRuleMessage(fullData.ruleAlerts, { publicOnly })]
+    .filter(Boolean)
+    .sort((a, b) => URGENCY_LEVELS.indexOf(b.urgency) - URGENCY_LEVELS.indexOf(a.urgency));
 
-  // Return weather data if available, otherwise return fallback
-  if (weather) {
-    return weather;
+  if (alertMessages.length > 0) {
+    return alertMessages[0];
   }
 
-  // Fallback mock data if weather API is not configured
+  return (fullData.llmMessages && fullData.llmMessages[mode]) || getInactiveMessage();
+}
+
+/**
+ * Get the source statuses relevant to a mode
+ * LLM statuses are kept per mode; each mode only sees its own as "llm".
+ * @param {string} mode - Dashboard mode
+ * @param {Object} sources - Source name → status
+ * @returns {Object} Source statuses for the mode
+ */
+function getModeSources(mode, sources = {}) {
+  const modeSources = {};
+
+  Object.entries(sources).forEach(([name, status]) => {
+    if (!name.startsWith('llm:')) {
+      modeSources[name] = status;
+    }
+  });
+
+  if (sources[`llm:${mode}`]) {
+    modeSources.llm = sources[`llm:${mode}`];
+  }
+
+  return modeSources;
+}
+
+/**
+ * Add display strings (times, day labels, temperatures...) to aggregated data
+ * Raw values are kept; other fields pass through unchanged.
+ * @param {Object} data - Aggregated dashboard data
+ * @param {Object} format - Complete display format (see utils/formatting)
+ * @returns {Object} Data with display strings
+ */
+function formatDashboardData(data, format) {
+  return {
+    ...data,
+    ...formatCalendar(data.nextEvent, data.agenda, format),
+    weather: formatWeather(data.weather, format),
+    forecast: formatForecast(data.forecast, format),
+    weatherAlerts: formatWeatherAlerts(data.weatherAlerts, format),
+    lookahead: formatLookahead(data.lookahead, format),
+    localEvents: formatLocalEvents(data.localEvents, format)
+  };
+}
+
+/**
+ * Apply a mode's filter and a display format to full aggregated data
+ * @param {string} mode - Dashboard mode
+ * @param {Object} fullData - Data from aggregateDashboardData()
+ * @param {Object} [format] - Display format overrides (units, timeFormat, locale)
+ * @returns {Object} Filtered data for the mode
+ */
+function applyMode(mode, fullData, format) {
+  const { llmMessages, ruleAlerts, sources, ...data } = fullData;
+  const displayFormat = resolveFormat(format);
+  const formattedData = formatDashboardData(data, displayFormat);
+
   return {
-    temp: 72,
-    condition: 'Partly Cloudy',
-    icon: '02d',
-    high: 78,
-    low: 65,
-    humidity: 55,
-    windSpeed: 8
+    ...filterByMode(mode, {
+      mode: mode,
+      ...formattedData,
+      // The banner uses weather alerts written in the display's format
+      llmMessage: getBannerMessage(mode, { ...fullData, weatherAlerts: formattedData.weatherAlerts })
+    }),
+    format: displayFormat,
+    sources: getModeSources(mode, sources)
   };
 }
 
+/**
+ * Main aggregator that collects and combines data from all sources
+ * @param {string} mode - Dashboard mode (personal, art, weather, etc.)
+ * @param {Object} [format] - Display format overrides (units, timeFormat, locale)
+ * @returns {Promise<Object>} Aggregated dashboard data
+ */
+async function getDashboardData(mode = 'personal', format) {
+  const fullData = await aggregateDashboardData([mode]);
+
+  // Filter data based on mode
+  return applyMode(mode, fullData, format);
+}
+
+/**
+ * Fetch weather data
+ * @returns {Promise<Object|null>} Weather information, or null if not configured
+ */
+async function getWeatherData() {
+  return await getWeather();
+}
+
+/**
+ * Fetch hourly and daily forecast
+ * @returns {Promise<Object|null>} Forecast with hourly and daily arrays
+ */
+async function getForecastData() {
+  return await getForecast();
+}
+
+/**
+ * Fetch today's calendar (next event and agenda) in one request
+ * @returns {Promise<Object>} Calendar data with nextEvent and agenda
+ */
+async function getCalendarData() {
+  return await getTodaysCalendarData();
+}
+
 /**
  * Fetch next calendar event
  * @returns {Promise<Object|null>} Next event details
  */
 async function getNextEvent() {
-  return await getNextCalendarEvent();
+  const data = await getCalendarData();
+  return data.nextEvent;
 }
 
 /**
@@ -76,7 +232,16 @@ async function getTodos() {
  * @returns {Promise<Array>} List of agenda items
  */
 async function getAgenda() {
-  return await getCalendarAgenda();
+  const data = await getCalendarData();
+  return data.agenda;
+}
+
+/**
+ * Fetch upcoming agenda grouped by day, starting tomorrow
+ * @returns {Promise<Array>} Day groups
+ */
+async function getLookahead() {
+  return await getCalendarLookahead();
 }
 
 /**
@@ -84,32 +249,30 @@ async function getAgenda() {
  * @returns {Promise<Array>} List of local events
  */
 async function getLocalEvents() {
-  // TODO: Integrate with events API
-  return [
-    { title: 'Jazz Night', type: 'music', time: '7:00 PM', venue: 'Blue Note' },
-    { title: 'Art Gallery Opening', type: 'art', time: '6:00 PM', venue: 'Modern Art Museum' }
-  ];
+  return await getUpcomingLocalEvents();
 }
 
 /**
  * Fetch LLM-generated message
+ * @param {Object} data - Aggregated dashboard data the message is written from
+ * @param {string} mode - Dashboard mode, selects the prompt template
  * @returns {Promise<Object>} LLM message data
  */
-async function getLLMMessage() {
-  // TODO: Integrate with LLM API
-  return {
-    active: false,
-    message: '',
-    urgency: 'none'
-  };
+async function getLLMMessage(data, mode) {
+  return await getGeneratedMessage(data, mode);
 }
 
 module.exports = {
   getDashboardData,
+  aggregateDashboardData,
+  applyMode,
   getWeatherData,
+  getForecastData,
+  getCalendarData,
   getNextEvent,
   getTodos,
   getAgenda,
+  getLookahead,
   getLocalEvents,
   getLLMMessage
 };
@@ -0,0 +1,296 @@
+const { createChatCompletion } = require('../clients/llmClient');
+const { reportSourceFailure } = require('../utils/sourceStatus');
+const { cached, invalidate } = require('../utils/cache');
+const { withBreaker, resetBreakers } = require('../utils/circuitBreaker');
+const { getModeDefinition } = require('../utils/modeManager');
+const { getTimeZone } = require('../utils/timeZone');
+const { isFixtureMode, getFixture, getNow } = require('../utils/fixtures');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('llm');
+
+const CACHE_DURATION = (parseInt(process.env.LLM_CACHE_MINUTES) || 15) * 60 * 1000;
+const MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS) || 60;
+const TIMEOUT = parseInt(process.env.LLM_TIMEOUT_MS) || 8000;
+const MAX_MESSAGE_LENGTH = 200;
+
+const SYSTEM_PROMPT = 'You write short notes for a TV dashboard in a family home. ' +
+  'Reply with the note only: plain text, no quotes, no emojis, one or two sentences.';
+
+/**
+ * Prompt templates per mode
+ * `sections` lists the data the template may see. Templates marked public only
+ * see non-personal data, so their notes are safe to show to guests.
+ */
+const PROMPT_TEMPLATES = {
+  personal: {
+    public: false,
+    sections: ['weather', 'forecast', 'nextEvent', 'agenda', 'todos'],
+    instructions: 'Write a helpful note (max 25 words) about the most useful thing to know right now, based on the agenda, todos and weather.'
+  },
+  briefing: {
+    public: false,
+    sections: ['weather', 'forecast', 'nextEvent', 'agenda', 'todos'],
+    instructions: 'Write a one-sentence briefing (max 30 words) summarizing the day ahead.'
+  },
+  guest: {
+    public: true,
+    sections: ['weather', 'localEvents'],
+    instructions: 'Write a warm welcome note for guests (max 20 words). You may mention the weather or a local event.'
+  },
+  weather: {
+    public: true,
+    sections: ['weather', 'forecast'],
+    instructions: 'Describe the weather ahead in one sentence (max 25 words), with a practical tip.'
+  },
+  art: {
+    public: true,
+    sections: ['weather', 'localEvents'],
+    instructions: 'Write a short poetic line (max 15 words) inspired by the weather or an art or music event.'
+  }
+};
+
+/**
+ * LLM providers
+ * A provider is an object with an async generate({ system, prompt, maxTokens, timeout })
+ * method that resolves to the generated text.
+ */
+const providers = {
+  openai: {
+    generate: ({ system, prompt, maxTokens, timeout }) => createChatCompletion({
+      baseUrl: process.env.LLM_BASE_URL || undefined,
+      apiKey: process.env.LLM_API_KEY,
+      model: process.env.LLM_MODEL,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      maxTokens,
+      timeout
+    })
+  }
+};
+
+/**
+ * Register an LLM provider
+ * @param {string} name - Provider name, selected with LLM_PROVIDER
+ * @param {Object} provider - Object with an async generate(request) method
+ */
+function registerProvider(name, provider) {
+  providers[name] = provider;
+}
+
+/**
+ * Get the configured provider
+ * @returns {Object|null} Provider, or null if disabled or unknown
+ */
+function getProvider() {
+  const name = process.env.LLM_PROVIDER;
+
+  if (!name || name === 'none') {
+    return null;
+  }
+
+  if (!providers[name]) {
+    log.warn(`⚠️  Unknown LLM provider '${name}'`);
+    return null;
+  }
+
+  return providers[name];
+}
+
+/**
+ * Get an inactive message
+ * @returns {Object} Inactive LLM message
+ */
+function getInactiveMessage() {
+  return {
+    active: false,
+    message: '',
+    urgency: 'none'
+  };
+}
+
+/**
+ * Describe one section of dashboard data as prompt text
+ * @param {string} section - Section name
+ * @param {Object} data - Aggregated dashboard data with display strings (default format)
+ * @returns {string|null} Prompt line, or null if there is nothing to say
+ */
+function describeSection(section, data) {
+  switch (section) {
+    case 'weather':
+      return data.weather
+        ? `Weather now: ${data.weather.formatted.temp}, ${data.weather.condition}, high ${data.weather.formatted.high}, low ${data.weather.formatted.low}.`
+        : null;
+
+    case 'forecast': {
+      if (!data.forecast || !data.forecast.hourly || data.forecast.hourly.length === 0) return null;
+      const hours = data.forecast.hourly.slice(0, 4).map(entry => (
+        `${entry.formatted.time} ${entry.formatted.temp} ${entry.condition} (${entry.precipProbability}% rain)`
+      ));
+      return `Next hours: ${hours.join('; ')}.`;
+    }
+
+    case 'nextEvent':
+      return data.nextEvent
+        ? `Next event: ${data.nextEvent.title} at ${data.nextEvent.time} (in ${data.nextEvent.minutesUntil} min).`
+        : 'No more events today.';
+
+    case 'agenda': {
+      const remaining = (data.agenda || []).filter(item => !item.done).slice(0, 5);
+      if (remaining.length === 0) return null;
+      return `Rest of today: ${remaining.map(item => `${item.time} ${item.title}`).join('; ')}.`;
+    }
+
+    case 'todos': {
+      const open = (data.todos || []).filter(todo => !todo.done).slice(0, 5);
+      if (open.length === 0) return 'No todos due.';
+      return `Todos due: ${open.map(todo => (todo.urgent ? `${todo.text} (urgent)` : todo.text)).join('; ')}.`;
+    }
+
+    case 'localEvents': {
+      const events = (data.localEvents || []).slice(0, 3);
+      if (events.length === 0) return null;
+      return `Local events: ${events.map(event => `${event.title} at ${event.venue}, ${event.time}`).join('; ')}.`;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the user prompt for a mode
+ * @param {Object} template - Prompt template
+ * @param {Object} data - Aggregated dashboard data
+ * @returns {string} Prompt text
+ */
+function buildPrompt(template, data) {
+  const now = getNow();
+  const context = template.sections
+    .map(section => describeSection(section, data))
+    .filter(Boolean);
+
+  return [
+    `It is ${now.toLocaleString('en-US', { timeZone: getTimeZone(), weekday: 'long', hour: 'numeric', minute: '2-digit' })}.`,
+    ...context,
+    '',
+    template.instructions
+  ].join('\n');
+}
+
+/**
+ * Get the prompt template a mode uses
+ * @param {string} mode - Dashboard mode
+ * @returns {Object} Prompt template (personal if the mode names none)
+ */
+function getTemplate(mode) {
+  const definition = getModeDefinition(mode);
+  const templateName = (definition && definition.llmTemplate) || mode;
+
+  return Object.prototype.hasOwnProperty.call(PROMPT_TEMPLATES, templateName)
+    ? PROMPT_TEMPLATES[templateName]
+    : PROMPT_TEMPLATES.personal;
+}
+
+/**
+ * Get the fixture scenario's note for a mode
+ * Scenarios list notes by mode, with "default" for the other modes.
+ * @param {string} mode - Dashboard mode
+ * @returns {Object} LLM message data (inactive when the scenario has none)
+ */
+function getFixtureMessage(mode) {
+  const messages = getFixture('llm');
+  const text = messages[mode] || messages.default;
+
+  if (!text) {
+    return getInactiveMessage();
+  }
+
+  return {
+    active: true,
+    message: text.slice(0, MAX_MESSAGE_LENGTH),
+    urgency: 'info',
+    source: 'llm',
+    public: getTemplate(mode).public,
+    expiresAt: new Date(Date.now() + CACHE_DURATION).toISOString()
+  };
+}
+
+/**
+ * Get an LLM-written note for a mode, with caching
+ * Falls back to an inactive message when the provider is disabled or down.
+ * With DATA_SOURCE=fixtures the note comes from the fixture scenario.
+ * @param {Object} data - Aggregated dashboard data
+ * @param {string} mode - Dashboard mode
+ * @returns {Promise<Object>} LLM message data
+ */
+async function getLLMMessage(data, mode = 'personal') {
+  if (isFixtureMode()) {
+    return getFixtureMessage(mode);
+  }
+
+  const provider = getProvider();
+
+  if (!provider) {
+    return getInactiveMessage();
+  }
+
+  try {
+    return await cached('llm', mode, () => generateMessage(provider, data, mode));
+  } catch (error) {
+    log.error('❌ Failed to generate LLM message', { error });
+    reportSourceFailure(`llm:${mode}`, error);
+    return getInactiveMessage();
+  }
+}
+
+/**
+ * Ask the provider for a new note
+ * @param {Object} provider - LLM provider
+ * @param {Object} data - Aggregated dashboard data
+ * @param {string} mode - Dashboard mode
+ * @returns {Promise<Object>} LLM message data
+ * @throws {Error} If the provider fails or its circuit breaker is open
+ */
+async function generateMessage(provider, data, mode) {
+  const template = getTemplate(mode);
+
+  log.debug(`🤖 Generating LLM message for '${mode}' mode...`);
+  const text = await withBreaker('llm', () => provider.generate({
+    system: SYSTEM_PROMPT,
+    prompt: buildPrompt(template, data),
+    maxTokens: MAX_TOKENS,
+    timeout: TIMEOUT
+  }), {
+    config: [process.env.LLM_PROVIDER, process.env.LLM_BASE_URL, process.env.LLM_API_KEY, process.env.LLM_MODEL]
+  });
+
+  log.info(`✅ LLM message generated for '${mode}' mode`);
+  return {
+    active: text.length > 0,
+    message: text.replace(/^["']|["']$/g, '').slice(0, MAX_MESSAGE_LENGTH),
+    urgency: 'info',
+    source: 'llm',
+    public: template.public,
+    expiresAt: new Date(Date.now() + CACHE_DURATION).toISOString()
+  };
+}
+
+/**
+ * Clear the LLM message cache
+ */
+function clearCache() {
+  invalidate('llm');
+  resetBreakers('llm');
+  log.info('🗑️  LLM message cache cleared');
+}
+
+module.exports = {
+  getLLMMessage,
+  getInactiveMessage,
+  registerProvider,
+  clearCache,
+  PROMPT_TEMPLATES
+};
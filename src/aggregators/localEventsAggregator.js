@@ -0,0 +1,161 @@
+const { getEventsFromSource } = require('../clients/localEventsClient');
+const { reportSourceFailure } = require('../utils/sourceStatus');
+const { formatRelativeTime } = require('../utils/formatting');
+const { isFixtureMode, getScenarioName, getNow } = require('../utils/fixtures');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('localEvents');
+
+const DEFAULT_DAYS = parseInt(process.env.LOCAL_EVENTS_DAYS) || 7;
+const MAX_EVENTS = parseInt(process.env.LOCAL_EVENTS_LIMIT) || 20;
+const DEFAULT_DURATION = 2 * 60 * 60 * 1000; // Assumed length of events without an end
+
+/**
+ * Keywords used to map feed categories onto dashboard event types
+ * 'art' and 'music' are the types art mode shows.
+ */
+const CATEGORY_TYPES = [
+  { type: 'music', keywords: ['music', 'concert', 'jazz', 'band', 'dj', 'orchestra', 'symphony', 'opera'] },
+  { type: 'art', keywords: ['art', 'gallery', 'exhibit', 'museum', 'painting', 'sculpture', 'photography'] },
+  { type: 'theater', keywords: ['theater', 'theatre', 'comedy', 'dance', 'ballet', 'performance'] },
+  { type: 'film', keywords: ['film', 'movie', 'cinema', 'screening'] },
+  { type: 'food', keywords: ['food', 'dining', 'market', 'tasting', 'wine', 'beer'] },
+  { type: 'sports', keywords: ['sport', 'game', 'race', 'run', 'fitness'] },
+  { type: 'family', keywords: ['family', 'kids', 'children'] }
+];
+
+/**
+ * Read the configured local events sources
+ * LOCAL_EVENTS_SOURCES is a comma-separated list of iCalendar/JSON URLs or file paths.
+ * With DATA_SOURCE=fixtures the fixture scenario is the only source.
+ * @returns {Array<string>} Sources
+ */
+function getSources() {
+  if (isFixtureMode()) {
+    return [`fixtures:${getScenarioName()}`];
+  }
+
+  return (process.env.LOCAL_EVENTS_SOURCES || '')
+    .split(',')
+    .map(source => source.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Map an event's categories (or title) onto a dashboard event type
+ * @param {Object} event - Raw event
+ * @returns {string} Event type
+ */
+function getEventType(event) {
+  if (event.type) {
+    return event.type.toLowerCase();
+  }
+
+  const text = [...(event.categories || []), event.title || ''].join(' ').toLowerCase();
+  const match = CATEGORY_TYPES.find(({ keywords }) => (
+    keywords.some(keyword => new RegExp(`\\b${keyword}`).test(text))
+  ));
+
+  return match ? match.type : 'other';
+}
+
+/**
+ * Check whether an event has not ended yet
+ * @param {Object} event - Raw event
+ * @returns {boolean} True if the event is ongoing or upcoming
+ */
+function isUpcoming(event) {
+  const end = event.end ? event.end.getTime() : event.start.getTime() + DEFAULT_DURATION;
+  return end > getNow().getTime();
+}
+
+/**
+ * Normalize a raw event into the dashboard format
+ * @param {Object} event - Raw event
+ * @returns {Object} Local event
+ */
+function normalizeEvent(event) {
+  return {
+    title: event.title || '(No title)',
+    type: getEventType(event),
+    venue: event.venue || '',
+    url: event.url || '',
+    isAllDay: !!event.isAllDay,
+    startTime: event.start.toISOString()
+  };
+}
+
+/**
+ * Fetch events from every source, keeping those in the next N days
+ * A failure on one source should not blank out the others.
+ * @param {Array<string>} sources - Sources to read
+ * @param {number} days - Number of days to include
+ * @returns {Promise<Array>} Raw events sorted by start time
+ */
+async function fetchUpcomingEvents(sources, days) {
+  const now = getNow();
+  const rangeEnd = now.getTime() + days * 24 * 60 * 60 * 1000;
+  const results = await Promise.allSettled(sources.map(source =>
+    getEventsFromSource(source, { from: now, until: new Date(rangeEnd) })));
+
+  const events = [];
+
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      events.push(...result.value);
+    } else {
+      log.error(`❌ Failed to read local events from ${sources[index]}`, { error: result.reason });
+    }
+  });
+
+  if (results.every(result => result.status === 'rejected')) {
+    throw new Error('All local events sources failed');
+  }
+
+  return events
+    .filter(event => isUpcoming(event) && event.start.getTime() < rangeEnd)
+    .sort((a, b) => a.start.getTime() - b.start.getTime());
+}
+
+/**
+ * Get upcoming local events
+ * @param {number} days - Number of days to include
+ * @returns {Promise<Array>} Local events, empty if not configured
+ */
+async function getLocalEvents(days = DEFAULT_DAYS) {
+  const sources = getSources();
+
+  if (sources.length === 0) {
+    log.warn('⚠️  Local events not configured');
+    return [];
+  }
+
+  try {
+    const events = (await fetchUpcomingEvents(sources, days)).slice(0, MAX_EVENTS);
+    return events.map(normalizeEvent);
+
+  } catch (error) {
+    log.error('❌ Failed to fetch local events', { error });
+    reportSourceFailure('localEvents', error);
+    return [];
+  }
+}
+
+/**
+ * Add display times to local events
+ * @param {Array} events - Events from getLocalEvents()
+ * @param {Object} format - Complete display format (see utils/formatting)
+ * @returns {Array} Events with `time` strings, e.g. "Tomorrow 7:00 PM" or "Sat 19:00"
+ */
+function formatLocalEvents(events, format) {
+  return (events || []).map(event => ({
+    ...event,
+    time: formatRelativeTime(event.startTime, event.isAllDay, format)
+  }));
+}
+
+module.exports = {
+  getLocalEvents,
+  formatLocalEvents,
+  getEventType
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { evaluateRules, pruneRuleState, validateRule } = require('../utils/ruleEngine');
+const { getNow } = require('../utils/fixtures');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('ruleAlerts');
+
+const DEFAULT_RULES_PATH = path.resolve(__dirname, '../../config/alertRules.json');
+
+// Loaded rules, reloaded when the config file changes
+let loadedRules = [];
+let loadedRulesPath = null;
+let loadedRulesMtime = null;
+
+// Dedupe key → time the rule last fired (ms), pruned on every evaluation
+const firedAlerts = new Map();
+
+/**
+ * Get the path of the rules config file
+ * @returns {string} Absolute path
+ */
+function getRulesPath() {
+  const rulesPath = process.env.ALERT_RULES_PATH;
+
+  if (!rulesPath) {
+    return DEFAULT_RULES_PATH;
+  }
+
+  return path.isAbsolute(rulesPath)
+    ? rulesPath
+    : path.resolve(process.cwd(), rulesPath);
+}
+
+/**
+ * Load alert rules from the config file, skipping invalid ones
+ * The file is re-read whenever it changes on disk.
+ * @returns {Array<Object>} Valid rules
+ */
+function loadRules() {
+  const rulesPath = getRulesPath();
+
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = fs.statSync(rulesPath));
+  } catch (error) {
+    if (rulesPath !== loadedRulesPath || loadedRulesMtime !== null) {
+      log.warn(`⚠️  Alert rules file not found: ${rulesPath}`);
+    }
+    loadedRules = [];
+    loadedRulesPath = rulesPath;
+    loadedRulesMtime = null;
+    return loadedRules;
+  }
+
+  if (rulesPath === loadedRulesPath && mtimeMs === loadedRulesMtime) {
+    return loadedRules;
+  }
+
+  // Remember this version even if it is broken, so errors are only reported once
+  loadedRulesPath = rulesPath;
+  loadedRulesMtime = mtimeMs;
+
+  try {
+    const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    if (!Array.isArray(rules)) {
+      throw new Error('rules file must contain an array');
+    }
+
+    loadedRules = rules.filter((rule) => {
+      const problems = validateRule(rule);
+      if (problems.length > 0) {
+        log.warn(`⚠️  Skipping alert rule '${rule && rule.id}': ${problems.join(', ')}`);
+        return false;
+      }
+      return true;
+    });
+
+    log.info(`✅ Loaded ${loadedRules.length} alert rule(s) from ${rulesPath}`);
+  } catch (error) {
+    // Keep the previous rules rather than dropping every alert
+    log.error(`❌ Failed to load alert rules from ${rulesPath}`, { error });
+  }
+
+  return loadedRules;
+}
+
+/**
+ * Evaluate the configured alert rules against aggregated data
+ * @param {Object} data - Aggregated dashboard data
+ * @returns {Array<Object>} Active rule alerts, most urgent first
+ */
+function getRuleAlerts(data) {
+  try {
+    const rules = loadRules();
+    const now = getNow();
+
+    pruneRuleState(rules, firedAlerts, now);
+    return evaluateRules(rules, data, { now, state: firedAlerts });
+  } catch (error) {
+    log.error('❌ Failed to evaluate alert rules', { error });
+    return [];
+  }
+}
+
+/**
+ * Turn the most urgent rule alert into an urgent banner message
+ * @param {Array} alerts - Active alerts from getRuleAlerts()
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.publicOnly] - Only consider public alerts (for public modes)
+ * @returns {Object|null} Banner message, or null when no rule fired
+ */
+function getRuleMessage(alerts, { publicOnly = false } = {}) {
+  const candidates = (alerts || []).filter(alert => !publicOnly || alert.public);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const [topAlert] = candidates;
+
+  return {
+    active: true,
+    message: topAlert.message,
+    urgency: topAlert.urgency,
+    expiresAt: topAlert.expiresAt,
+    source: 'rule',
+    rule: topAlert.id,
+    public: topAlert.public,
+    alertCount: candidates.length
+  };
+}
+
+module.exports = {
+  getRuleAlerts,
+  getRuleMessage,
+  loadRules
+};
@@ -1,54 +1,77 @@
-const { getTasks, parseTodoistTask } = require('../clients/todoistClient');
+const { getTasks, completeTask, parseTodoistTask } = require('../clients/todoistClient');
+const { reportSourceFailure } = require('../utils/sourceStatus');
+const { getDayKey, getDayStart, parseDateTime } = require('../utils/timeZone');
+const { isFixtureMode, getNow } = require('../utils/fixtures');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('todoist');
 
 const URGENT_THRESHOLD_HOURS = 2;
 
 /**
- * Parse due date string to Date object
+ * Parse a Todoist due object
+ * Tasks with a time are exact instants, or floating wall-clock times
+ * (no "Z") that follow the household time zone. Date-only tasks are
+ * floating days: due by the end of that day wherever the household is.
  * @param {Object|null} due - Todoist due object
- * @returns {Date|null} Parsed date or null
+ * @returns {Object|null} { day (YYYY-MM-DD), time (Date or null), deadline (Date) } or null
  */
 function parseDueDate(due) {
   if (!due) return null;
 
   // If datetime is available, use it (includes time)
   if (due.datetime) {
-    return new Date(due.datetime);
+    const time = parseDateTime(due.datetime);
+    if (Number.isNaN(time.getTime())) return null;
+
+    return { day: getDayKey(time), time, deadline: time };
   }
 
   // Otherwise use date (just the day, no time)
-  if (due.date) {
-    return new Date(due.date);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(due.date || '')) {
+    return { day: due.date, time: null, deadline: getDayStart(due.date, 1) };
   }
 
   return null;
 }
 
 /**
- * Check if a task is due today or overdue
- * @param {Date|null} dueDate - Task due date
+ * Check if a task is due today or overdue (household time zone)
+ * @param {Object|null} due - Parsed due date from parseDueDate()
+ * @param {Date} [now] - Current time
  * @returns {boolean} True if task is due today or overdue
  */
-function isDueTodayOrOverdue(dueDate) {
-  if (!dueDate) return false;
+function isDueTodayOrOverdue(due, now = getNow()) {
+  if (!due) return false;
+
+  // Task is due today or earlier (YYYY-MM-DD days sort as strings)
+  return due.day <= getDayKey(now);
+}
 
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const taskDay = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate());
+/**
+ * Check if a task is overdue
+ * Date-only tasks are overdue from the day after they are due.
+ * @param {Object|null} due - Parsed due date from parseDueDate()
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if the deadline has passed
+ */
+function isTaskOverdue(due, now = getNow()) {
+  if (!due) return false;
 
-  // Task is due today or earlier
-  return taskDay <= today;
+  return due.deadline <= now;
 }
 
 /**
  * Check if a task is urgent (due within 2 hours)
- * @param {Date|null} dueDate - Task due date
+ * Date-only tasks count as due at the end of their day.
+ * @param {Object|null} due - Parsed due date from parseDueDate()
+ * @param {Date} [now] - Current time
  * @returns {boolean} True if task is urgent
  */
-function isTaskUrgent(dueDate) {
-  if (!dueDate) return false;
+function isTaskUrgent(due, now = getNow()) {
+  if (!due) return false;
 
-  const now = new Date();
-  const hoursUntilDue = (dueDate.getTime() - now.getTime()) / (1000 * 60 * 60);
+  const hoursUntilDue = (due.deadline.getTime() - now.getTime()) / (1000 * 60 * 60);
 
   // Task is urgent if it's due within 2 hours (including overdue tasks)
   return hoursUntilDue <= URGENT_THRESHOLD_HOURS;
@@ -56,28 +79,29 @@ function isTaskUrgent(dueDate) {
 
 /**
  * Get todos from Todoist, filtered and sorted
+ * Without a token the fixture scenario's todos are shown, so the display
+ * (and completing todos) still works.
  * @returns {Promise<Array>} Array of todo items
  */
 async function getTodos() {
   const apiToken = process.env.TODOIST_API_TOKEN;
 
-  // Return mock data if Todoist not configured
-  if (!apiToken) {
-    console.warn('⚠️  Todoist not configured');
-    return getMockTodos();
+  if (!apiToken && !isFixtureMode()) {
+    log.warn('⚠️  Todoist not configured, showing fixture todos');
   }
 
   try {
-    console.log('✅ Fetching tasks from Todoist...');
+    log.debug('🔄 Fetching tasks from Todoist...');
     const tasks = await getTasks(apiToken);
 
     if (!tasks || tasks.length === 0) {
-      console.log('📋 No tasks found in Todoist');
+      log.debug('📋 No tasks found in Todoist');
       return [];
     }
 
     // Parse and filter tasks
     const parsedTasks = tasks.map(parseTodoistTask);
+    const now = getNow();
 
     // Filter for incomplete tasks that are due today or overdue
     const relevantTasks = parsedTasks
@@ -89,89 +113,67 @@ async function getTodos() {
           dueDate: dueDate
         };
       })
-      .filter(task => isDueTodayOrOverdue(task.dueDate));
+      .filter(task => isDueTodayOrOverdue(task.dueDate, now));
+
+    // Sort by due day, then time (date-only tasks first, like all-day events), then priority
+    relevantTasks.sort((a, b) => {
+      if (a.dueDate.day !== b.dueDate.day) return a.dueDate.day < b.dueDate.day ? -1 : 1;
+
+      if (!a.dueDate.time !== !b.dueDate.time) return a.dueDate.time ? 1 : -1;
+
+      if (a.dueDate.time && b.dueDate.time) {
+        const timeComparison = a.dueDate.time.getTime() - b.dueDate.time.getTime();
+        if (timeComparison !== 0) return timeComparison;
+      }
+
+      // If due at the same time, sort by priority (4 is highest)
+      return b.priority - a.priority;
+    });
 
     // Format for dashboard
     const todos = relevantTasks.map(task => ({
       text: task.content,
-      urgent: isTaskUrgent(task.dueDate),
+      urgent: isTaskUrgent(task.dueDate, now),
+      overdue: isTaskOverdue(task.dueDate, now),
       done: false, // All are incomplete (we filtered out completed ones)
       id: task.id,
-      dueDate: task.dueDate ? task.dueDate.toISOString() : null,
+      // Exact due time, or the YYYY-MM-DD day for date-only tasks
+      dueDate: task.dueDate.time ? task.dueDate.time.toISOString() : task.dueDate.day,
+      isAllDay: !task.dueDate.time,
       priority: task.priority,
       labels: task.labels
     }));
 
-    // Sort by due date (soonest first), then by priority
-    todos.sort((a, b) => {
-      // If one has a due date and the other doesn't, prioritize the one with a date
-      if (a.dueDate && !b.dueDate) return -1;
-      if (!a.dueDate && b.dueDate) return 1;
-
-      // If both have due dates, sort by date
-      if (a.dueDate && b.dueDate) {
-        const dateComparison = new Date(a.dueDate).getTime() - new Date(b.dueDate).getTime();
-        if (dateComparison !== 0) return dateComparison;
-      }
-
-      // If dates are equal or both null, sort by priority (4 is highest)
-      return b.priority - a.priority;
-    });
-
-    console.log(`✅ Found ${todos.length} task(s) due today or overdue`);
+    log.debug(`✅ Found ${todos.length} task(s) due today or overdue`);
     return todos;
 
   } catch (error) {
-    console.error('❌ Failed to fetch Todoist tasks:', error.message);
-
-    // Return mock data on failure
-    return getMockTodos();
+    log.error('❌ Failed to fetch Todoist tasks', { error });
+    reportSourceFailure('todos', error);
+    return [];
   }
 }
 
 /**
- * Get mock todos for testing/fallback
- * @returns {Array} Mock todo items
+ * Complete a todo in Todoist (or in the fixture scenario, without a token or
+ * with DATA_SOURCE=fixtures)
+ * @param {string} todoId - Todo ID to complete
+ * @returns {Promise<boolean>} Success status
  */
-function getMockTodos() {
-  const now = new Date();
-  const urgent = new Date(now.getTime() + 60 * 60 * 1000); // 1 hour from now
-  const later = new Date(now.getTime() + 4 * 60 * 60 * 1000); // 4 hours from now
-
-  return [
-    {
-      text: 'Review PRs',
-      urgent: true,
-      done: false,
-      id: 'mock-1',
-      dueDate: urgent.toISOString(),
-      priority: 4,
-      labels: ['work']
-    },
-    {
-      text: 'Update documentation',
-      urgent: false,
-      done: false,
-      id: 'mock-2',
-      dueDate: later.toISOString(),
-      priority: 2,
-      labels: ['work']
-    },
-    {
-      text: 'Team sync',
-      urgent: false,
-      done: false,
-      id: 'mock-3',
-      dueDate: later.toISOString(),
-      priority: 3,
-      labels: ['meeting']
-    }
-  ];
+async function completeTodo(todoId) {
+  const apiToken = process.env.TODOIST_API_TOKEN;
+  const id = String(todoId);
+
+  await completeTask(apiToken, id);
+  log.info(`✅ Completed todo: ${id}`);
+  return true;
 }
 
 module.exports = {
   getTodos,
-  getMockTodos,
+  completeTodo,
+  parseDueDate,
   isTaskUrgent,
+  isTaskOverdue,
   isDueTodayOrOverdue
 };
@@ -1,34 +1,43 @@
-const { getCurrentWeather, parseWeatherResponse } = require('../clients/weatherClient');
+const {
+  getCurrentWeather,
+  getForecast: getForecastData,
+  parseWeatherResponse,
+  parseForecastResponse
+} = require('../clients/weatherClient');
+const { reportSourceFailure } = require('../utils/sourceStatus');
+const { getDayKey, getDayStart, getZonedParts } = require('../utils/timeZone');
+const { isFixtureMode, getNow } = require('../utils/fixtures');
+const {
+  formatTemperature,
+  formatSpeed,
+  formatPrecipitation,
+  formatPercent,
+  formatTime,
+  formatWeekday
+} = require('../utils/formatting');
+const { createLogger } = require('../utils/logger');
 
-const CACHE_DURATION = 10 * 60 * 1000; // 10 minutes in milliseconds
+const log = createLogger('weather');
 
-// Cache storage
-let cachedWeather = null;
-let cacheTimestamp = null;
+const HOURLY_FORECAST_HOURS = 24;
+const DAILY_FORECAST_DAYS = 5;
 
 /**
- * Get weather data with caching
+ * Get weather data (cached by the weather client)
+ * Temperatures are in °C and wind speed in m/s; see formatWeather() for display strings.
  * @returns {Promise<Object|null>} Weather data or null on failure
  */
 async function getWeather() {
-  // Check if cache is still valid
-  if (cachedWeather && cacheTimestamp && (Date.now() - cacheTimestamp < CACHE_DURATION)) {
-    console.log('📦 Returning cached weather data');
-    return cachedWeather;
-  }
-
-  // Try to fetch fresh data
   try {
     const apiKey = process.env.WEATHER_API_KEY;
     const lat = parseFloat(process.env.WEATHER_LAT);
     const lon = parseFloat(process.env.WEATHER_LON);
 
-    if (!apiKey || !lat || !lon) {
-      console.warn('⚠️  Weather API not configured (missing API key or coordinates)');
-      return cachedWeather || null;
+    if (!isFixtureMode() && (!apiKey || !lat || !lon)) {
+      log.warn('⚠️  Weather API not configured (missing API key or coordinates)');
+      return null;
     }
 
-    console.log('🌤️  Fetching fresh weather data...');
     const rawData = await getCurrentWeather(lat, lon, apiKey);
     const parsedData = parseWeatherResponse(rawData);
 
@@ -45,51 +54,168 @@ async function getWeather() {
       low: parsedData.low
     };
 
-    // Update cache
-    cachedWeather = weatherData;
-    cacheTimestamp = Date.now();
-
-    console.log(`✅ Weather data updated: ${weatherData.temp}°F, ${weatherData.condition}`);
     return weatherData;
 
   } catch (error) {
-    console.error('❌ Failed to fetch weather:', error.message);
+    // The client already fell back to any cached data, so nothing is available
+    log.error('❌ Failed to fetch weather', { error });
+    reportSourceFailure('weather', error);
+    return null;
+  }
+}
 
-    // Return cached data if available
-    if (cachedWeather) {
-      console.log('📦 Returning stale cached weather data due to API failure');
-      return cachedWeather;
+/**
+ * Build the hourly forecast for the next HOURLY_FORECAST_HOURS
+ * OpenWeatherMap's free forecast has 3-hour steps.
+ * @param {Array<Object>} entries - Parsed forecast entries
+ * @returns {Array<Object>} Hourly forecast items
+ */
+function buildHourlyForecast(entries) {
+  const cutoff = getNow().getTime() + HOURLY_FORECAST_HOURS * 60 * 60 * 1000;
+
+  return entries
+    .filter(entry => entry.time.getTime() <= cutoff)
+    .map(entry => ({
+      time: entry.time.toISOString(),
+      temp: entry.temp,
+      condition: entry.condition,
+      icon: entry.icon,
+      precipProbability: entry.precipProbability,
+      windSpeed: entry.windSpeed
+    }));
+}
+
+/**
+ * Build the daily forecast by grouping entries per day in the household time zone
+ * @param {Array<Object>} entries - Parsed forecast entries
+ * @returns {Array<Object>} Daily forecast items
+ */
+function buildDailyForecast(entries) {
+  const days = new Map();
+
+  entries.forEach((entry) => {
+    const key = getDayKey(entry.time);
+    if (!days.has(key)) {
+      days.set(key, []);
     }
+    days.get(key).push(entry);
+  });
+
+  return Array.from(days.entries())
+    .slice(0, DAILY_FORECAST_DAYS)
+    .map(([date, dayEntries]) => {
+      // Use the entry closest to midday to describe the day
+      const midday = dayEntries.reduce((best, entry) => (
+        Math.abs(getZonedParts(entry.time).hour - 12) < Math.abs(getZonedParts(best.time).hour - 12) ? entry : best
+      ));
 
-    // No cached data available
-    console.warn('⚠️  No cached weather data available');
+      return {
+        date: date,
+        high: Math.round(Math.max(...dayEntries.map(entry => entry.tempMax)) * 10) / 10,
+        low: Math.round(Math.min(...dayEntries.map(entry => entry.tempMin)) * 10) / 10,
+        condition: midday.condition,
+        icon: midday.icon,
+        precipProbability: Math.max(...dayEntries.map(entry => entry.precipProbability)),
+        rain: Math.round(dayEntries.reduce((total, entry) => total + entry.rain, 0) * 10) / 10,
+        snow: Math.round(dayEntries.reduce((total, entry) => total + entry.snow, 0) * 10) / 10
+      };
+    });
+}
+
+/**
+ * Get hourly and daily forecast (cached by the weather client)
+ * Temperatures are in °C, wind speed in m/s and rain/snow in mm.
+ * @returns {Promise<Object|null>} Forecast with hourly and daily arrays, or null on failure
+ */
+async function getForecast() {
+  try {
+    const apiKey = process.env.WEATHER_API_KEY;
+    const lat = parseFloat(process.env.WEATHER_LAT);
+    const lon = parseFloat(process.env.WEATHER_LON);
+
+    if (!isFixtureMode() && (!apiKey || !lat || !lon)) {
+      return null;
+    }
+
+    const rawData = await getForecastData(lat, lon, apiKey);
+    const entries = parseForecastResponse(rawData);
+
+    // Built on every call so the hourly window moves with the clock
+    return {
+      hourly: buildHourlyForecast(entries),
+      daily: buildDailyForecast(entries)
+    };
+
+  } catch (error) {
+    log.error('❌ Failed to fetch forecast', { error });
+    reportSourceFailure('forecast', error);
     return null;
   }
 }
 
 /**
- * Clear the weather cache (useful for testing or forced refresh)
+ * Add display strings to current weather
+ * @param {Object|null} weather - Weather from getWeather()
+ * @param {Object} format - Complete display format (see utils/formatting)
+ * @returns {Object|null} Weather with a `formatted` object
  */
-function clearCache() {
-  cachedWeather = null;
-  cacheTimestamp = null;
-  console.log('🗑️  Weather cache cleared');
+function formatWeather(weather, format) {
+  if (!weather) {
+    return weather;
+  }
+
+  return {
+    ...weather,
+    formatted: {
+      temp: formatTemperature(weather.temp, format),
+      feelsLike: formatTemperature(weather.feelsLike, format),
+      high: formatTemperature(weather.high, format),
+      low: formatTemperature(weather.low, format),
+      humidity: formatPercent(weather.humidity, format),
+      windSpeed: formatSpeed(weather.windSpeed, format)
+    }
+  };
 }
 
 /**
- * Get cache status
- * @returns {Object} Cache status information
+ * Add display strings to the hourly and daily forecast
+ * @param {Object|null} forecast - Forecast from getForecast()
+ * @param {Object} format - Complete display format (see utils/formatting)
+ * @returns {Object|null} Forecast whose entries have a `formatted` object
  */
-function getCacheStatus() {
+function formatForecast(forecast, format) {
+  if (!forecast) {
+    return forecast;
+  }
+
   return {
-    hasCachedData: !!cachedWeather,
-    cacheAge: cacheTimestamp ? Date.now() - cacheTimestamp : null,
-    isValid: cachedWeather && cacheTimestamp && (Date.now() - cacheTimestamp < CACHE_DURATION)
+    ...forecast,
+    hourly: (forecast.hourly || []).map(entry => ({
+      ...entry,
+      formatted: {
+        time: formatTime(entry.time, format),
+        temp: formatTemperature(entry.temp, format),
+        precipProbability: formatPercent(entry.precipProbability, format),
+        windSpeed: formatSpeed(entry.windSpeed, format)
+      }
+    })),
+    daily: (forecast.daily || []).map(day => ({
+      ...day,
+      formatted: {
+        day: formatWeekday(getDayStart(day.date), format),
+        high: formatTemperature(day.high, format),
+        low: formatTemperature(day.low, format),
+        precipProbability: formatPercent(day.precipProbability, format),
+        rain: formatPrecipitation(day.rain, format),
+        snow: formatPrecipitation(day.snow, format)
+      }
+    }))
   };
 }
 
 module.exports = {
   getWeather,
-  clearCache,
-  getCacheStatus
+  getForecast,
+  formatWeather,
+  formatForecast
 };
@@ -0,0 +1,281 @@
+const { getWeatherAlerts: fetchWeatherAlerts, parseWeatherAlert } = require('../clients/weatherClient');
+const { reportSourceFailure } = require('../utils/sourceStatus');
+const { isFixtureMode, getNow } = require('../utils/fixtures');
+const {
+  getDefaultFormat,
+  formatTemperature,
+  formatSpeed,
+  formatTime,
+  toCelsius,
+  toMetersPerSecond
+} = require('../utils/formatting');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('weatherAlerts');
+
+const ALERT_WINDOW_HOURS = 12; // How far ahead thresholds are checked
+const FORECAST_STEP = 3 * 60 * 60 * 1000; // Forecast entries cover 3 hours
+const CURRENT_CONDITIONS_EXPIRY = 60 * 60 * 1000; // 1 hour
+
+const URGENCY_RANK = { none: 0, info: 1, warning: 2, critical: 3 };
+
+/**
+ * Threshold alert messages, by threshold
+ * Each builds the message from the alert's raw values, a "when" string and a display format.
+ */
+const DESCRIPTIONS = {
+  freeze: ({ temp }, when, format) => `Freezing temperatures ${when}, down to ${formatTemperature(temp, format)}`,
+  wind: ({ windSpeed }, when, format) => `High wind ${when}, up to ${formatSpeed(windSpeed, format)}`,
+  precipitation: ({ precipProbability }, when) => `${precipProbability}% chance of rain ${when}`
+};
+
+/**
+ * Read a numeric threshold from env
+ * @param {string} name - Env variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Threshold value
+ */
+function readThreshold(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Get configured alert thresholds
+ * They are set in the default units (UNITS: °F and mph, or °C and km/h).
+ * @returns {Object} Thresholds (°C, m/s, %)
+ */
+function getThresholds() {
+  const { units } = getDefaultFormat();
+  const metric = units === 'metric';
+
+  return {
+    freezeTemp: toCelsius(readThreshold('WEATHER_ALERT_FREEZE_TEMP', metric ? 0 : 32), units),
+    windSpeed: toMetersPerSecond(readThreshold('WEATHER_ALERT_WIND_SPEED', metric ? 50 : 30), units),
+    precipProbability: readThreshold('WEATHER_ALERT_PRECIP_PROBABILITY', 70)
+  };
+}
+
+/**
+ * Map an official alert's name to an urgency level
+ * @param {string} event - Alert name, e.g. "Severe Thunderstorm Warning"
+ * @returns {string} Urgency (info, warning, critical)
+ */
+function getOfficialUrgency(event) {
+  if (/warning|emergency/i.test(event)) return 'critical';
+  if (/watch/i.test(event)) return 'warning';
+  return 'info';
+}
+
+/**
+ * Get official alerts from the provider (cached by the weather client)
+ * Only enabled when WEATHER_OFFICIAL_ALERTS=true (needs One Call 3.0), or
+ * with DATA_SOURCE=fixtures.
+ * @returns {Promise<Array>} Parsed official alerts
+ */
+async function getOfficialAlerts() {
+  if (!isFixtureMode() && process.env.WEATHER_OFFICIAL_ALERTS !== 'true') {
+    return [];
+  }
+
+  try {
+    const apiKey = process.env.WEATHER_API_KEY;
+    const lat = parseFloat(process.env.WEATHER_LAT);
+    const lon = parseFloat(process.env.WEATHER_LON);
+
+    if (!isFixtureMode() && (!apiKey || !lat || !lon)) {
+      return [];
+    }
+
+    const rawAlerts = await fetchWeatherAlerts(lat, lon, apiKey);
+
+    return rawAlerts.map(parseWeatherAlert).map(alert => ({
+      id: `official:${alert.event}:${alert.start.getTime()}`,
+      source: 'official',
+      title: alert.event,
+      message: alert.sender ? `${alert.event} (${alert.sender})` : alert.event,
+      urgency: getOfficialUrgency(alert.event),
+      startsAt: alert.start.toISOString(),
+      expiresAt: alert.end.toISOString()
+    }));
+  } catch (error) {
+    log.error('❌ Failed to fetch weather alerts', { error });
+    reportSourceFailure('weatherAlerts', error);
+    return [];
+  }
+}
+
+/**
+ * Write a threshold alert's message for a display format
+ * @param {Object} alert - Threshold alert
+ * @param {Object} [format] - Complete display format (see utils/formatting)
+ * @returns {string} Message
+ */
+function describeThresholdAlert(alert, format = getDefaultFormat()) {
+  const startsAt = new Date(alert.startsAt);
+  const when = startsAt.getTime() <= getNow().getTime() ? 'now' : `around ${formatTime(startsAt, format)}`;
+
+  return DESCRIPTIONS[alert.threshold](alert.values, when, format);
+}
+
+/**
+ * Build a threshold alert from the points that crossed it
+ * The raw values are kept so the message can be written in each display's format.
+ * @param {Object} options - Alert details
+ * @param {string} options.id - Threshold (see DESCRIPTIONS)
+ * @param {string} options.title - Alert title
+ * @param {string} options.urgency - Urgency level
+ * @param {Array<Object>} options.matches - Points that crossed the threshold
+ * @param {Object} options.values - Raw values for the message (°C, m/s, %)
+ * @returns {Object} Alert
+ */
+function buildThresholdAlert({ id, title, urgency, matches, values }) {
+  const first = matches[0];
+  const last = matches[matches.length - 1];
+
+  const alert = {
+    id: `threshold:${id}`,
+    source: 'threshold',
+    threshold: id,
+    title: title,
+    urgency: urgency,
+    values: values,
+    startsAt: first.time.toISOString(),
+    expiresAt: new Date(last.time.getTime() + last.duration).toISOString()
+  };
+
+  // Written in the default format until a display's format is applied
+  alert.message = describeThresholdAlert(alert);
+  return alert;
+}
+
+/**
+ * Check current conditions and the near-term forecast against thresholds
+ * @param {Object|null} weather - Current weather
+ * @param {Object|null} forecast - Forecast with hourly entries
+ * @returns {Array} Threshold alerts
+ */
+function evaluateThresholds(weather, forecast) {
+  const thresholds = getThresholds();
+  const now = getNow().getTime();
+  const windowEnd = now + ALERT_WINDOW_HOURS * 60 * 60 * 1000;
+
+  const points = [];
+  if (weather) {
+    points.push({
+      time: new Date(now),
+      duration: CURRENT_CONDITIONS_EXPIRY,
+      temp: weather.temp,
+      windSpeed: weather.windSpeed,
+      precipProbability: null
+    });
+  }
+  if (forecast && Array.isArray(forecast.hourly)) {
+    forecast.hourly
+      .map(entry => ({ ...entry, time: new Date(entry.time), duration: FORECAST_STEP }))
+      .filter(entry => entry.time.getTime() <= windowEnd)
+      .forEach(entry => points.push(entry));
+  }
+
+  const alerts = [];
+
+  const freezing = points.filter(point => typeof point.temp === 'number' && point.temp <= thresholds.freezeTemp);
+  if (freezing.length > 0) {
+    alerts.push(buildThresholdAlert({
+      id: 'freeze',
+      title: 'Freezing temperatures',
+      urgency: 'warning',
+      matches: freezing,
+      values: { temp: Math.min(...freezing.map(point => point.temp)) }
+    }));
+  }
+
+  const windy = points.filter(point => typeof point.windSpeed === 'number' && point.windSpeed >= thresholds.windSpeed);
+  if (windy.length > 0) {
+    alerts.push(buildThresholdAlert({
+      id: 'wind',
+      title: 'High wind',
+      urgency: 'warning',
+      matches: windy,
+      values: { windSpeed: Math.max(...windy.map(point => point.windSpeed)) }
+    }));
+  }
+
+  const wet = points.filter(point => typeof point.precipProbability === 'number' && point.precipProbability >= thresholds.precipProbability);
+  if (wet.length > 0) {
+    alerts.push(buildThresholdAlert({
+      id: 'precipitation',
+      title: 'Heavy rain likely',
+      urgency: 'info',
+      matches: wet,
+      values: { precipProbability: Math.max(...wet.map(point => point.precipProbability)) }
+    }));
+  }
+
+  return alerts;
+}
+
+/**
+ * Get active weather alerts, most urgent first
+ * Official alerts are combined with our own threshold checks.
+ * @param {Object|null} weather - Current weather
+ * @param {Object|null} forecast - Forecast with hourly entries
+ * @returns {Promise<Array>} Active alerts
+ */
+async function getWeatherAlerts(weather, forecast) {
+  const officialAlerts = await getOfficialAlerts();
+  const now = getNow().getTime();
+
+  return [...officialAlerts, ...evaluateThresholds(weather, forecast)]
+    .filter(alert => new Date(alert.expiresAt).getTime() > now)
+    .sort((a, b) => URGENCY_RANK[b.urgency] - URGENCY_RANK[a.urgency]);
+}
+
+/**
+ * Write threshold alert messages in a display format
+ * Official alerts are passed through unchanged.
+ * @param {Array} alerts - Active alerts from getWeatherAlerts()
+ * @param {Object} format - Complete display format (see utils/formatting)
+ * @returns {Array} Alerts with messages for the format
+ */
+function formatWeatherAlerts(alerts, format) {
+  if (!Array.isArray(alerts)) {
+    return alerts;
+  }
+
+  return alerts.map(alert => (
+    alert.source === 'threshold' && DESCRIPTIONS[alert.threshold]
+      ? { ...alert, message: describeThresholdAlert(alert, format) }
+      : alert
+  ));
+}
+
+/**
+ * Turn the most urgent alert into an urgent banner message
+ * @param {Array} alerts - Active alerts from getWeatherAlerts()
+ * @returns {Object|null} Banner message, or null when there are no alerts
+ */
+function getAlertMessage(alerts) {
+  if (!alerts || alerts.length === 0) {
+    return null;
+  }
+
+  const [topAlert] = alerts;
+
+  return {
+    active: true,
+    message: topAlert.message,
+    urgency: topAlert.urgency,
+    expiresAt: topAlert.expiresAt,
+    source: 'weather',
+    public: true,
+    alertCount: alerts.length
+  };
+}
+
+module.exports = {
+  getWeatherAlerts,
+  getAlertMessage,
+  formatWeatherAlerts,
+  evaluateThresholds
+};
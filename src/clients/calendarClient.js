@@ -1,6 +1,13 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const { cached } = require('../utils/cache');
+const { withBreaker, upstreamError } = require('../utils/circuitBreaker');
+const { getDayKey, getDayStart } = require('../utils/timeZone');
+const { isFixtureMode, getFixture, getNow } = require('../utils/fixtures');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('googleCalendar');
 
 let calendarClient = null;
 
@@ -16,7 +23,7 @@ function initializeCalendarClient() {
   const keyPath = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH;
 
   if (!keyPath) {
-    console.warn('⚠️  Google Calendar not configured: GOOGLE_SERVICE_ACCOUNT_KEY_PATH not set');
+    log.warn('⚠️  Google Calendar not configured: GOOGLE_SERVICE_ACCOUNT_KEY_PATH not set');
     return null;
   }
 
@@ -25,10 +32,10 @@ function initializeCalendarClient() {
     ? keyPath
     : path.resolve(process.cwd(), keyPath);
 
-  console.log(`🔍 Looking for service account key at: ${absoluteKeyPath}`);
+  log.debug(`🔍 Looking for service account key at: ${absoluteKeyPath}`);
 
   if (!fs.existsSync(absoluteKeyPath)) {
-    console.warn(`⚠️  Google Calendar service account key not found at: ${absoluteKeyPath}`);
+    log.warn(`⚠️  Google Calendar service account key not found at: ${absoluteKeyPath}`);
     return null;
   }
 
@@ -43,11 +50,10 @@ function initializeCalendarClient() {
     });
 
     calendarClient = google.calendar({ version: 'v3', auth });
-    console.log('✅ Google Calendar client initialized');
+    log.info('✅ Google Calendar client initialized');
     return calendarClient;
   } catch (error) {
-    console.error('❌ Failed to initialize Google Calendar client:', error.message);
-    console.error('   Error details:', error);
+    log.error('❌ Failed to initialize Google Calendar client', { error });
     return null;
   }
 }
@@ -57,22 +63,22 @@ function initializeCalendarClient() {
  * @param {string} calendarId - Google Calendar ID
  * @returns {Promise<Array>} Array of calendar events
  */
-async function getTodaysEvents(calendarId) {
+async function fetchTodaysEvents(calendarId) {
   const calendar = initializeCalendarClient();
 
   if (!calendar) {
-    throw new Error('Calendar client not initialized');
+    throw upstreamError('Calendar client not initialized', { kind: 'config' });
   }
 
   if (!calendarId) {
-    throw new Error('Calendar ID not configured');
+    throw upstreamError('Calendar ID not configured', { kind: 'config' });
   }
 
   try {
-    // Get start and end of today
-    const now = new Date();
-    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    // Get start and end of today in the household time zone
+    const today = getDayKey(new Date());
+    const startOfDay = getDayStart(today);
+    const endOfDay = getDayStart(today, 1);
 
     const response = await calendar.events.list({
       calendarId: calendarId,
@@ -86,11 +92,11 @@ async function getTodaysEvents(calendarId) {
     return response.data.items || [];
   } catch (error) {
     if (error.code === 404) {
-      throw new Error(`Calendar not found: ${calendarId}`);
+      throw upstreamError(`Calendar not found: ${calendarId}`, { status: 404 });
     } else if (error.code === 403) {
-      throw new Error('Calendar access denied - check service account permissions');
+      throw upstreamError('Calendar access denied - check service account permissions', { status: 403 });
     } else {
-      throw new Error(`Calendar API error: ${error.message}`);
+      throw upstreamError(`Calendar API error: ${error.message}`, { status: Number(error.code) || undefined });
     }
   }
 }
@@ -99,23 +105,27 @@ async function getTodaysEvents(calendarId) {
  * Fetch upcoming events from Google Calendar
  * @param {string} calendarId - Google Calendar ID
  * @param {number} maxResults - Maximum number of events to return
+ * @param {Object} [range] - Optional time range
+ * @param {Date} [range.timeMin] - Earliest end time (defaults to now)
+ * @param {Date} [range.timeMax] - Latest start time (defaults to no limit)
  * @returns {Promise<Array>} Array of upcoming calendar events
  */
-async function getUpcomingEvents(calendarId, maxResults = 10) {
+async function fetchUpcomingEvents(calendarId, maxResults, { timeMin, timeMax }) {
   const calendar = initializeCalendarClient();
 
   if (!calendar) {
-    throw new Error('Calendar client not initialized');
+    throw upstreamError('Calendar client not initialized', { kind: 'config' });
   }
 
   if (!calendarId) {
-    throw new Error('Calendar ID not configured');
+    throw upstreamError('Calendar ID not configured', { kind: 'config' });
   }
 
   try {
     const response = await calendar.events.list({
       calendarId: calendarId,
-      timeMin: new Date().toISOString(),
+      timeMin: timeMin.toISOString(),
+      ...(timeMax && { timeMax: timeMax.toISOString() }),
       singleEvents: true,
       orderBy: 'startTime',
       maxResults: maxResults
@@ -124,32 +134,116 @@ async function getUpcomingEvents(calendarId, maxResults = 10) {
     return response.data.items || [];
   } catch (error) {
     if (error.code === 404) {
-      throw new Error(`Calendar not found: ${calendarId}`);
+      throw upstreamError(`Calendar not found: ${calendarId}`, { status: 404 });
     } else if (error.code === 403) {
-      throw new Error('Calendar access denied - check service account permissions');
+      throw upstreamError('Calendar access denied - check service account permissions', { status: 403 });
     } else {
-      throw new Error(`Calendar API error: ${error.message}`);
+      throw upstreamError(`Calendar API error: ${error.message}`, { status: Number(error.code) || undefined });
     }
   }
 }
 
+/**
+ * Get the settings a calendar's requests depend on (for its circuit breaker)
+ * @param {string} calendarId - Google Calendar ID
+ * @returns {Array} Settings
+ */
+function getBreakerConfig(calendarId) {
+  return [process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH, calendarId];
+}
+
+/**
+ * Get a fixture calendar's events in a time range, as Google would list them
+ * @param {string} calendarId - Calendar ID from the fixture scenario
+ * @param {Date} timeMin - Earliest end time
+ * @param {Date|null} timeMax - Latest start time
+ * @param {number} [maxResults] - Maximum number of events to return
+ * @returns {Array} Array of calendar events
+ */
+function getFixtureEvents(calendarId, timeMin, timeMax, maxResults = Infinity) {
+  const calendar = getFixture('calendars').find(entry => entry.id === calendarId);
+
+  if (!calendar) {
+    throw upstreamError(`Calendar not found: ${calendarId}`, { status: 404 });
+  }
+
+  return calendar.events
+    .filter(event => parseEventDate(event.end) > timeMin && (!timeMax || parseEventDate(event.start) < timeMax))
+    .sort((a, b) => parseEventDate(a.start).getTime() - parseEventDate(b.start).getTime())
+    .slice(0, maxResults);
+}
+
+/**
+ * Get today's events, through the shared cache and circuit breaker
+ * With DATA_SOURCE=fixtures they come from the fixture scenario instead.
+ * @param {string} calendarId - Google Calendar ID
+ * @returns {Promise<Array>} Array of calendar events
+ */
+async function getTodaysEvents(calendarId) {
+  const day = getDayKey(getNow());
+
+  if (isFixtureMode()) {
+    return getFixtureEvents(calendarId, getDayStart(day), getDayStart(day, 1));
+  }
+
+  return cached('calendar', `${calendarId}|${day}`, () =>
+    withBreaker(`calendar:${calendarId}`, () => fetchTodaysEvents(calendarId), { config: getBreakerConfig(calendarId) }));
+}
+
+/**
+ * Get upcoming events, through the shared cache and circuit breaker
+ * With DATA_SOURCE=fixtures they come from the fixture scenario instead.
+ * @param {string} calendarId - Google Calendar ID
+ * @param {number} maxResults - Maximum number of events to return
+ * @param {Object} [range] - Optional time range
+ * @param {Date} [range.timeMin] - Earliest end time (defaults to now)
+ * @param {Date} [range.timeMax] - Latest start time (defaults to no limit)
+ * @returns {Promise<Array>} Array of upcoming calendar events
+ */
+async function getUpcomingEvents(calendarId, maxResults = 10, { timeMin = getNow(), timeMax = null } = {}) {
+  if (isFixtureMode()) {
+    return getFixtureEvents(calendarId, timeMin, timeMax, maxResults);
+  }
+
+  const key = [calendarId, timeMin.toISOString(), timeMax ? timeMax.toISOString() : '', maxResults].join('|');
+
+  return cached('calendarUpcoming', key, () =>
+    withBreaker(`calendar:${calendarId}`, () => fetchUpcomingEvents(calendarId, maxResults, { timeMin, timeMax }), {
+      config: getBreakerConfig(calendarId)
+    }));
+}
+
+/**
+ * Parse a Google Calendar event date
+ * All-day events only have a date ("2025-10-03"), which must be read as
+ * midnight in the household time zone rather than UTC midnight.
+ * @param {Object} eventDate - Google Calendar start/end object
+ * @returns {Date} Parsed date
+ */
+function parseEventDate(eventDate) {
+  if (eventDate.dateTime) {
+    return new Date(eventDate.dateTime);
+  }
+
+  return getDayStart(eventDate.date);
+}
+
 /**
  * Parse Google Calendar event into simplified format
  * @param {Object} event - Google Calendar event object
  * @returns {Object} Parsed event data
  */
 function parseCalendarEvent(event) {
-  const start = event.start.dateTime || event.start.date;
-  const end = event.end.dateTime || event.end.date;
-  const startTime = new Date(start);
+  const startTime = parseEventDate(event.start);
 
   return {
     id: event.id,
+    iCalUID: event.iCalUID || null,
     title: event.summary || '(No title)',
     description: event.description || '',
     location: event.location || '',
     startTime: startTime,
-    endTime: new Date(end),
+    endTime: parseEventDate(event.end),
     isAllDay: !event.start.dateTime,
     attendees: event.attendees || [],
     htmlLink: event.htmlLink
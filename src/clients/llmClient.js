@@ -0,0 +1,58 @@
+const axios = require('axios');
+const { upstreamError } = require('../utils/circuitBreaker');
+
+const DEFAULT_LLM_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Create a chat completion on an OpenAI-compatible endpoint
+ * Works with OpenAI and local servers that mimic its API (Ollama, llama.cpp, LM Studio).
+ * @param {Object} options - Request options
+ * @param {string} [options.baseUrl] - API base URL, e.g. http://localhost:11434/v1
+ * @param {string} [options.apiKey] - API key (optional for local servers)
+ * @param {string} options.model - Model name
+ * @param {Array<Object>} options.messages - Chat messages ({role, content})
+ * @param {number} options.maxTokens - Maximum tokens to generate
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<string>} Generated text
+ */
+async function createChatCompletion({ baseUrl = DEFAULT_LLM_BASE_URL, apiKey, model, messages, maxTokens, timeout }) {
+  if (!model) {
+    throw upstreamError('LLM model not configured', { kind: 'config' });
+  }
+
+  let response;
+  try {
+    response = await axios.post(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      model: model,
+      messages: messages,
+      max_tokens: maxTokens,
+      temperature: 0.7
+    }, {
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      timeout: timeout
+    });
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 401) {
+        throw upstreamError('LLM authentication failed - check API key', { status: 401 });
+      }
+      throw upstreamError(`LLM API error: ${error.response.status} - ${error.response.statusText}`, { status: error.response.status });
+    } else if (error.request) {
+      throw upstreamError('LLM API timeout or network error');
+    } else {
+      throw upstreamError(`LLM API request failed: ${error.message}`);
+    }
+  }
+
+  // Checked outside the try so the error isn't wrapped as a request failure
+  const choice = response.data && response.data.choices && response.data.choices[0];
+  if (!choice || !choice.message || !choice.message.content) {
+    throw upstreamError('LLM API returned no content');
+  }
+
+  return choice.message.content.trim();
+}
+
+module.exports = {
+  createChatCompletion
+};
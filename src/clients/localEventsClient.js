@@ -0,0 +1,503 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { zonedTimeToDate, getDayStart, parseDateTime } = require('../utils/timeZone');
+const { cached } = require('../utils/cache');
+const { withBreaker, upstreamError } = require('../utils/circuitBreaker');
+const { isFixtureMode, getFixture, getNow } = require('../utils/fixtures');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('localEvents');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RECURRENCE_DAYS = 31; // Window recurring events are expanded over when none is given
+const MAX_RECURRENCE_PERIODS = 5000; // Safety limit on days/weeks/months/years stepped through
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'];
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Recurrence rules already reported as unsupported, so each is only logged once
+const reportedRules = new Set();
+
+/**
+ * Read a local events source (URL or local file path)
+ * @param {string} source - http(s) URL or file path
+ * @returns {Promise<string>} Raw source content
+ */
+async function fetchSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    try {
+      const response = await axios.get(source, {
+        responseType: 'text',
+        transformResponse: data => data, // Keep raw text, we parse it ourselves
+        timeout: 10000
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        throw upstreamError(`Events feed error: ${error.response.status} - ${error.response.statusText}`, { status: error.response.status });
+      } else if (error.request) {
+        throw upstreamError('Events feed timeout or network error');
+      } else {
+        throw upstreamError(`Events feed request failed: ${error.message}`);
+      }
+    }
+  }
+
+  // Resolve to absolute path (handles both relative and absolute paths)
+  const absolutePath = path.isAbsolute(source)
+    ? source
+    : path.resolve(process.cwd(), source);
+
+  try {
+    return await fs.promises.readFile(absolutePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Events file not readable: ${absolutePath}`);
+  }
+}
+
+/**
+ * Get the cache key for a feed
+ * Feed URLs often carry a private token, so only the host and a hash are kept.
+ * @param {string} source - http(s) URL
+ * @returns {string} Cache key
+ */
+function getCacheKey(source) {
+  const hash = crypto.createHash('sha256').update(source).digest('hex').slice(0, 8);
+  try {
+    return `${new URL(source).host}#${hash}`;
+  } catch (error) {
+    return `#${hash}`;
+  }
+}
+
+/**
+ * Parse an iCalendar date or date-time value
+ * Handles UTC ("Z"), TZID-qualified, floating and date-only values. The wall
+ * time and its time zone are kept so recurrences can step in local time.
+ * @param {string} value - Value, e.g. "20251003T190000Z" or "20251003"
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @returns {{date: Date, isAllDay: boolean, wallTime: Object, timeZone: string|undefined}|null}
+ *   Parsed date (timeZone is undefined for the household time zone), or null if invalid
+ */
+function parseICalDate(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const fields = [Number(year), Number(month) - 1, Number(day), Number(hour || 0), Number(minute || 0), Number(second || 0)];
+  const wallTime = {
+    year: fields[0],
+    month: fields[1] + 1,
+    day: fields[2],
+    hour: fields[3],
+    minute: fields[4],
+    second: fields[5]
+  };
+
+  // Date-only values are all-day events in the household time zone
+  if (hour === undefined) {
+    return { date: zonedTimeToDate(wallTime), isAllDay: true, wallTime };
+  }
+
+  if (utc) {
+    return { date: new Date(Date.UTC(...fields)), isAllDay: false, wallTime, timeZone: 'UTC' };
+  }
+
+  if (params.TZID) {
+    try {
+      return { date: zonedTimeToDate(wallTime, params.TZID), isAllDay: false, wallTime, timeZone: params.TZID };
+    } catch (error) {
+      // Unknown TZID, fall back to floating time
+    }
+  }
+
+  // Floating time, read in the household time zone
+  return { date: zonedTimeToDate(wallTime), isAllDay: false, wallTime };
+}
+
+/**
+ * Parse an RRULE value
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL and,
+ * for weekly rules, BYDAY with plain weekdays.
+ * @param {string} value - Rule, e.g. "FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10"
+ * @returns {{rule: Object|null, problem: string|null}} Parsed rule, or why it isn't supported
+ */
+function parseRecurrenceRule(value) {
+  const parts = {};
+  value.split(';').filter(Boolean).forEach((part) => {
+    const [key, partValue] = part.split('=');
+    parts[key.toUpperCase()] = (partValue || '').toUpperCase();
+  });
+
+  const unsupported = Object.keys(parts).filter(key => !RRULE_PARTS.includes(key));
+  if (unsupported.length > 0) {
+    return { rule: null, problem: `${unsupported.join(', ')} not supported` };
+  }
+  if (!RRULE_FREQUENCIES.includes(parts.FREQ)) {
+    return { rule: null, problem: `FREQ=${parts.FREQ || ''} not supported` };
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  const count = parts.COUNT === undefined ? null : Number(parts.COUNT);
+  if (!Number.isInteger(interval) || interval < 1 || (count !== null && (!Number.isInteger(count) || count < 1))) {
+    return { rule: null, problem: 'invalid INTERVAL or COUNT' };
+  }
+
+  let until = null;
+  if (parts.UNTIL !== undefined) {
+    const parsed = parseICalDate(parts.UNTIL);
+    if (!parsed) {
+      return { rule: null, problem: 'invalid UNTIL' };
+    }
+    until = parsed.date;
+  }
+
+  let byDay = null;
+  if (parts.BYDAY !== undefined) {
+    byDay = parts.BYDAY.split(',').map(day => ICAL_WEEKDAYS.indexOf(day));
+    if (parts.FREQ !== 'WEEKLY' || byDay.includes(-1)) {
+      return { rule: null, problem: `BYDAY=${parts.BYDAY} not supported with FREQ=${parts.FREQ}` };
+    }
+  }
+
+  return { rule: { freq: parts.FREQ, interval, count, until, byDay }, problem: null };
+}
+
+/**
+ * Get the days (UTC midnight of the wall date, in ms) a rule produces in one period
+ * @param {Object} rule - Rule from parseRecurrenceRule()
+ * @param {number} firstDay - Wall date of DTSTART (UTC midnight, in ms)
+ * @param {number} period - Period number (0 = the period DTSTART is in)
+ * @returns {Array<number>} Days, in order
+ */
+function getRecurrenceDays(rule, firstDay, period) {
+  const step = period * rule.interval;
+  const first = new Date(firstDay);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [firstDay + step * DAY_MS];
+    case 'WEEKLY': {
+      // Weeks start on Monday (WKST=MO)
+      const weekStart = firstDay - ((first.getUTCDay() + 6) % 7) * DAY_MS + step * 7 * DAY_MS;
+      return (rule.byDay || [first.getUTCDay()])
+        .map(weekday => weekStart + ((weekday + 6) % 7) * DAY_MS)
+        .sort((a, b) => a - b);
+    }
+    case 'MONTHLY':
+    case 'YEARLY': {
+      const year = first.getUTCFullYear() + (rule.freq === 'YEARLY' ? step : 0);
+      const month = first.getUTCMonth() + (rule.freq === 'MONTHLY' ? step : 0);
+      const day = new Date(Date.UTC(year, month, first.getUTCDate()));
+      // Months without the day (e.g. the 31st, or Feb 29) are skipped
+      return day.getUTCDate() === first.getUTCDate() ? [day.getTime()] : [];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Expand a recurring event into its occurrences within a window
+ * Occurrences keep the wall-clock time of DTSTART across DST changes.
+ * @param {Object} event - Parsed event (the first occurrence)
+ * @param {Object} startWall - { wallTime, timeZone } of DTSTART, from parseICalDate()
+ * @param {Object} rule - Rule from parseRecurrenceRule()
+ * @param {Set<number>} excluded - Start times (ms) of occurrences to leave out (EXDATE, RECURRENCE-ID)
+ * @param {Object} window - { from, until } Dates
+ * @returns {Array<Object>} Occurrences that haven't ended by `from` and start before `until`
+ */
+function expandRecurrence(event, { wallTime, timeZone }, rule, excluded, { from, until }) {
+  const duration = event.end ? event.end.getTime() - event.start.getTime() : 0;
+  const firstDay = Date.UTC(wallTime.year, wallTime.month - 1, wallTime.day);
+  const occurrences = [];
+
+  // Without COUNT, daily and weekly rules can skip straight to the window
+  let firstPeriod = 0;
+  if (!rule.count && (rule.freq === 'DAILY' || rule.freq === 'WEEKLY')) {
+    const periodMs = rule.interval * (rule.freq === 'DAILY' ? 1 : 7) * DAY_MS;
+    firstPeriod = Math.max(0, Math.floor((from.getTime() - duration - event.start.getTime()) / periodMs) - 1);
+  }
+
+  let count = 0;
+  for (let period = firstPeriod; period < firstPeriod + MAX_RECURRENCE_PERIODS; period++) {
+    for (const day of getRecurrenceDays(rule, firstDay, period)) {
+      if (day < firstDay) {
+        continue;
+      }
+
+      const date = new Date(day);
+      const start = zonedTimeToDate({
+        ...wallTime,
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate()
+      }, timeZone);
+
+      count++;
+      if ((rule.count && count > rule.count) || (rule.until && start > rule.until) || start >= until) {
+        return occurrences;
+      }
+
+      if (!excluded.has(start.getTime()) && start.getTime() + duration > from.getTime()) {
+        occurrences.push({
+          ...event,
+          start,
+          ...(event.end && { end: new Date(start.getTime() + duration) })
+        });
+      }
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Unescape an iCalendar text value
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeICalText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Parse an iCalendar (.ics) document into raw events
+ * Recurring events (RRULE) are expanded into their occurrences within the
+ * window, leaving out EXDATEs and occurrences replaced by a RECURRENCE-ID
+ * event. Events with rules that can't be expanded are skipped with a warning.
+ * @param {string} content - iCalendar text
+ * @param {Object} [window] - Window to expand recurring events over
+ * @param {Date} [window.from] - Start (defaults to now)
+ * @param {Date} [window.until] - End (defaults to DEFAULT_RECURRENCE_DAYS after the start)
+ * @returns {Array<Object>} Raw events
+ */
+function parseICalendar(content, { from = getNow(), until = new Date(from.getTime() + DEFAULT_RECURRENCE_DAYS * DAY_MS) } = {}) {
+  // Unfold continuation lines (lines starting with a space or tab)
+  const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const events = [];
+  let current = null;
+
+  lines.forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (current && current.start) {
+        events.push(current);
+      }
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      return;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+
+    const [name, ...paramParts] = line.slice(0, separator).split(';');
+    const value = line.slice(separator + 1);
+    const params = {};
+    paramParts.forEach((part) => {
+      const [key, paramValue] = part.split('=');
+      params[key.toUpperCase()] = (paramValue || '').replace(/^"|"$/g, '');
+    });
+
+    switch (name.toUpperCase()) {
+      case 'SUMMARY':
+        current.title = unescapeICalText(value);
+        break;
+      case 'DTSTART': {
+        const parsed = parseICalDate(value, params);
+        if (parsed) {
+          current.start = parsed.date;
+          current.isAllDay = parsed.isAllDay;
+          current.startWall = { wallTime: parsed.wallTime, timeZone: parsed.timeZone };
+        }
+        break;
+      }
+      case 'DTEND': {
+        const parsed = parseICalDate(value, params);
+        if (parsed) {
+          current.end = parsed.date;
+        }
+        break;
+      }
+      case 'LOCATION':
+        current.venue = unescapeICalText(value);
+        break;
+      case 'URL':
+        current.url = value;
+        break;
+      case 'CATEGORIES':
+        current.categories = (current.categories || []).concat(
+          value.split(/(?<!\\),/).map(category => unescapeICalText(category).trim()).filter(Boolean)
+        );
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeICalText(value);
+        break;
+      case 'UID':
+        current.uid = value;
+        break;
+      case 'RRULE':
+        current.rrule = value;
+        break;
+      case 'EXDATE':
+        current.exdates = (current.exdates || []).concat(
+          value.split(',').map(exdate => parseICalDate(exdate, params)).filter(Boolean).map(parsed => parsed.date.getTime())
+        );
+        break;
+      case 'RECURRENCE-ID': {
+        const parsed = parseICalDate(value, params);
+        if (parsed) {
+          current.recurrenceId = parsed.date.getTime();
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  // Occurrences moved or changed by their own VEVENT, by UID
+  const replaced = new Map();
+  events.forEach((event) => {
+    if (event.uid && event.recurrenceId !== undefined) {
+      replaced.set(event.uid, (replaced.get(event.uid) || []).concat(event.recurrenceId));
+    }
+  });
+
+  const expanded = [];
+  events.forEach(({ uid, rrule, exdates, recurrenceId, startWall, ...event }) => {
+    if (!rrule) {
+      expanded.push(event);
+      return;
+    }
+
+    const { rule, problem } = parseRecurrenceRule(rrule);
+    if (!rule) {
+      if (!reportedRules.has(rrule)) {
+        log.warn(`⚠️  Skipping recurring event '${event.title}': ${problem}`, { rrule });
+        reportedRules.add(rrule);
+      }
+      return;
+    }
+
+    const excluded = new Set([...(exdates || []), ...(replaced.get(uid) || [])]);
+    expanded.push(...expandRecurrence(event, startWall, rule, excluded, { from, until }));
+  });
+
+  return expanded;
+}
+
+/**
+ * Parse a JSON date value
+ * Date-only strings ("2025-10-03") are read as midnight and times without
+ * an offset as wall-clock times, both in the household time zone.
+ * @param {string|number} value - ISO string or timestamp
+ * @returns {Date|null} Parsed date, or null if invalid
+ */
+function parseJsonDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? getDayStart(value)
+    : parseDateTime(value);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse a JSON events document into raw events
+ * Accepts an array, or an object with an "events" array. Common field names
+ * (title/name/summary, start/startTime/date, venue/location, url/link) are read.
+ * @param {string} content - JSON text
+ * @returns {Array<Object>} Raw events
+ */
+function parseEventsJson(content) {
+  const data = JSON.parse(content);
+  const items = Array.isArray(data) ? data : (data.events || []);
+
+  return items
+    .map((item) => {
+      const startValue = item.start || item.startTime || item.date;
+      const start = parseJsonDate(startValue);
+
+      if (!start) {
+        return null;
+      }
+
+      const categories = item.categories || item.category || [];
+
+      return {
+        title: item.title || item.name || item.summary,
+        start: start,
+        end: parseJsonDate(item.end || item.endTime),
+        isAllDay: typeof startValue === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(startValue),
+        venue: item.venue || item.location || '',
+        url: item.url || item.link || '',
+        type: item.type || null,
+        categories: Array.isArray(categories) ? categories : [categories],
+        description: item.description || ''
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Fetch and parse events from a local events source
+ * The format is detected from the content (iCalendar or JSON). With
+ * DATA_SOURCE=fixtures the fixture scenario's events are returned instead.
+ * @param {string} source - http(s) URL or file path
+ * @param {Object} [window] - { from, until } to expand recurring iCalendar events over
+ * @returns {Promise<Array<Object>>} Raw events
+ */
+async function getEventsFromSource(source, window) {
+  if (isFixtureMode()) {
+    return parseEventsJson(JSON.stringify(getFixture('localEvents')));
+  }
+
+  // Files are cheap to re-read (and edits show up on the next refresh), so
+  // only feeds go through the cache and a circuit breaker
+  let content;
+  if (/^https?:\/\//i.test(source)) {
+    const key = getCacheKey(source);
+    content = await cached('localEvents', key, () =>
+      withBreaker(`localEvents:${key}`, () => fetchSource(source)));
+  } else {
+    content = await fetchSource(source);
+  }
+
+  if (/BEGIN:VCALENDAR/.test(content)) {
+    return parseICalendar(content, window);
+  }
+
+  try {
+    return parseEventsJson(content);
+  } catch (error) {
+    throw new Error(`Events source is neither iCalendar nor JSON: ${source}`);
+  }
+}
+
+module.exports = {
+  getEventsFromSource,
+  parseICalendar,
+  parseEventsJson
+};
@@ -1,19 +1,31 @@
 const axios = require('axios');
+const { cached, invalidate } = require('../utils/cache');
+const { withBreaker, upstreamError } = require('../utils/circuitBreaker');
+const { isFixtureMode, getFixture, completeFixtureTask } = require('../utils/fixtures');
 
-const TODOIST_BASE_URL = 'https://api.todoist.com/rest/v2';
+const DEFAULT_TODOIST_BASE_URL = 'https://api.todoist.com/rest/v2';
+
+/**
+ * Get the Todoist REST API base URL
+ * TODOIST_BASE_URL points the client at a stand-in server instead.
+ * @returns {string} Base URL without a trailing slash
+ */
+function getBaseUrl() {
+  return (process.env.TODOIST_BASE_URL || DEFAULT_TODOIST_BASE_URL).replace(/\/+$/, '');
+}
 
 /**
  * Fetch all active tasks from Todoist
  * @param {string} apiToken - Todoist API token
  * @returns {Promise<Array>} Array of tasks
  */
-async function getTasks(apiToken) {
+async function fetchTasks(apiToken) {
   if (!apiToken) {
-    throw new Error('Todoist API token not configured');
+    throw upstreamError('Todoist API token not configured', { kind: 'config' });
   }
 
   try {
-    const response = await axios.get(`${TODOIST_BASE_URL}/tasks`, {
+    const response = await axios.get(`${getBaseUrl()}/tasks`, {
       headers: {
         'Authorization': `Bearer ${apiToken}`
       },
@@ -24,32 +36,48 @@ async function getTasks(apiToken) {
   } catch (error) {
     if (error.response) {
       if (error.response.status === 401) {
-        throw new Error('Todoist authentication failed - check API token');
+        throw upstreamError('Todoist authentication failed - check API token', { status: 401 });
       } else if (error.response.status === 403) {
-        throw new Error('Todoist access denied');
+        throw upstreamError('Todoist access denied', { status: 403 });
       }
-      throw new Error(`Todoist API error: ${error.response.status} - ${error.response.statusText}`);
+      throw upstreamError(`Todoist API error: ${error.response.status} - ${error.response.statusText}`, { status: error.response.status });
     } else if (error.request) {
-      throw new Error('Todoist API timeout or network error');
+      throw upstreamError('Todoist API timeout or network error');
     } else {
-      throw new Error(`Todoist API request failed: ${error.message}`);
+      throw upstreamError(`Todoist API request failed: ${error.message}`);
     }
   }
 }
 
+/**
+ * Get all active tasks, through the shared cache
+ * Without a token, or with DATA_SOURCE=fixtures, they come from the fixture
+ * scenario instead.
+ * @param {string} apiToken - Todoist API token
+ * @returns {Promise<Array>} Array of tasks
+ */
+async function getTasks(apiToken) {
+  if (!apiToken || isFixtureMode()) {
+    return getFixture('todos');
+  }
+
+  return cached('todos', 'tasks', () =>
+    withBreaker('todoist', () => fetchTasks(apiToken), { config: [getBaseUrl(), apiToken] }));
+}
+
 /**
  * Fetch tasks with a specific filter
  * @param {string} apiToken - Todoist API token
  * @param {string} filter - Todoist filter query
  * @returns {Promise<Array>} Array of filtered tasks
  */
-async function getTasksWithFilter(apiToken, filter) {
+async function fetchTasksWithFilter(apiToken, filter) {
   if (!apiToken) {
-    throw new Error('Todoist API token not configured');
+    throw upstreamError('Todoist API token not configured', { kind: 'config' });
   }
 
   try {
-    const response = await axios.get(`${TODOIST_BASE_URL}/tasks`, {
+    const response = await axios.get(`${getBaseUrl()}/tasks`, {
       headers: {
         'Authorization': `Bearer ${apiToken}`
       },
@@ -63,55 +91,84 @@ async function getTasksWithFilter(apiToken, filter) {
   } catch (error) {
     if (error.response) {
       if (error.response.status === 401) {
-        throw new Error('Todoist authentication failed - check API token');
+        throw upstreamError('Todoist authentication failed - check API token', { status: 401 });
       } else if (error.response.status === 403) {
-        throw new Error('Todoist access denied');
+        throw upstreamError('Todoist access denied', { status: 403 });
       }
-      throw new Error(`Todoist API error: ${error.response.status} - ${error.response.statusText}`);
+      throw upstreamError(`Todoist API error: ${error.response.status} - ${error.response.statusText}`, { status: error.response.status });
     } else if (error.request) {
-      throw new Error('Todoist API timeout or network error');
+      throw upstreamError('Todoist API timeout or network error');
     } else {
-      throw new Error(`Todoist API request failed: ${error.message}`);
+      throw upstreamError(`Todoist API request failed: ${error.message}`);
     }
   }
 }
 
 /**
- * Complete a task in Todoist
+ * Fetch tasks with a specific filter, through the circuit breaker
+ * @param {string} apiToken - Todoist API token
+ * @param {string} filter - Todoist filter query
+ * @returns {Promise<Array>} Array of filtered tasks
+ */
+async function getTasksWithFilter(apiToken, filter) {
+  return withBreaker('todoist', () => fetchTasksWithFilter(apiToken, filter), { config: [getBaseUrl(), apiToken] });
+}
+
+/**
+ * Close a task in Todoist
  * @param {string} apiToken - Todoist API token
  * @param {string} taskId - Task ID to complete
  * @returns {Promise<boolean>} Success status
  */
-async function completeTask(apiToken, taskId) {
+async function closeTask(apiToken, taskId) {
   if (!apiToken) {
-    throw new Error('Todoist API token not configured');
+    throw upstreamError('Todoist API token not configured', { kind: 'config' });
   }
 
   try {
-    await axios.post(`${TODOIST_BASE_URL}/tasks/${taskId}/close`, {}, {
+    await axios.post(`${getBaseUrl()}/tasks/${taskId}/close`, {}, {
       headers: {
         'Authorization': `Bearer ${apiToken}`
       },
       timeout: 5000
     });
 
+    // The cached task list still has this task open
+    invalidate('todos');
+
     return true;
   } catch (error) {
     if (error.response) {
       if (error.response.status === 401) {
-        throw new Error('Todoist authentication failed - check API token');
+        throw upstreamError('Todoist authentication failed - check API token', { status: 401 });
       } else if (error.response.status === 404) {
-        throw new Error(`Task not found: ${taskId}`);
+        throw upstreamError(`Task not found: ${taskId}`, { status: 404, kind: 'request' });
       }
-      throw new Error(`Todoist API error: ${error.response.status} - ${error.response.statusText}`);
+      throw upstreamError(`Todoist API error: ${error.response.status} - ${error.response.statusText}`, { status: error.response.status });
     } else if (error.request) {
-      throw new Error('Todoist API timeout or network error');
+      throw upstreamError('Todoist API timeout or network error');
     } else {
-      throw new Error(`Todoist API request failed: ${error.message}`);
+      throw upstreamError(`Todoist API request failed: ${error.message}`);
     }
   }
 }
 
+/**
+ * Complete a task in Todoist, through the circuit breaker
+ * Without a token, or with DATA_SOURCE=fixtures, the fixture todo is
+ * completed instead.
+ * @param {string} apiToken - Todoist API token
+ * @param {string} taskId - Task ID to complete
+ * @returns {Promise<boolean>} Success status
+ */
+async function completeTask(apiToken, taskId) {
+  if (!apiToken || isFixtureMode()) {
+    return completeFixtureTask(taskId);
+  }
+
+  return withBreaker('todoist', () => closeTask(apiToken, taskId), { config: [getBaseUrl(), apiToken] });
+}
+
 /**
  * Parse Todoist task into simplified format
  * @param {Object} task - Todoist task object
@@ -1,6 +1,19 @@
 const axios = require('axios');
+const { cached } = require('../utils/cache');
+const { withBreaker, upstreamError } = require('../utils/circuitBreaker');
+const { isFixtureMode, getFixture } = require('../utils/fixtures');
 
-const OPENWEATHER_BASE_URL = 'https://api.openweathermap.org/data/2.5';
+const DEFAULT_OPENWEATHER_BASE_URL = 'https://api.openweathermap.org';
+
+/**
+ * Get the OpenWeatherMap base URL
+ * OPENWEATHER_BASE_URL points the client at a stand-in server instead,
+ * which must serve the same /data/2.5 and /data/3.0 paths.
+ * @returns {string} Base URL without a trailing slash
+ */
+function getBaseUrl() {
+  return (process.env.OPENWEATHER_BASE_URL || DEFAULT_OPENWEATHER_BASE_URL).replace(/\/+$/, '');
+}
 
 /**
  * Fetch current weather from OpenWeatherMap API
@@ -9,22 +22,22 @@ const OPENWEATHER_BASE_URL = 'https://api.openweathermap.org/data/2.5';
  * @param {string} apiKey - OpenWeatherMap API key
  * @returns {Promise<Object>} Weather data
  */
-async function getCurrentWeather(lat, lon, apiKey) {
+async function fetchCurrentWeather(lat, lon, apiKey) {
   if (!apiKey) {
-    throw new Error('Weather API key not configured');
+    throw upstreamError('Weather API key not configured', { kind: 'config' });
   }
 
   if (!lat || !lon) {
-    throw new Error('Weather location (lat/lon) not configured');
+    throw upstreamError('Weather location (lat/lon) not configured', { kind: 'config' });
   }
 
   try {
-    const response = await axios.get(`${OPENWEATHER_BASE_URL}/weather`, {
+    const response = await axios.get(`${getBaseUrl()}/data/2.5/weather`, {
       params: {
         lat,
         lon,
         appid: apiKey,
-        units: 'imperial' // Fahrenheit
+        units: 'metric' // °C and m/s; converted for display by utils/formatting
       },
       timeout: 5000 // 5 second timeout
     });
@@ -33,40 +46,240 @@ async function getCurrentWeather(lat, lon, apiKey) {
   } catch (error) {
     if (error.response) {
       // API responded with error
-      throw new Error(`Weather API error: ${error.response.status} - ${error.response.data.message || 'Unknown error'}`);
+      throw upstreamError(`Weather API error: ${error.response.status} - ${error.response.data.message || 'Unknown error'}`, { status: error.response.status });
+    } else if (error.request) {
+      // No response received
+      throw upstreamError('Weather API timeout or network error');
+    } else {
+      // Other error
+      throw upstreamError(`Weather API request failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Fetch 5-day / 3-hour forecast from OpenWeatherMap API
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} apiKey - OpenWeatherMap API key
+ * @returns {Promise<Object>} Forecast data
+ */
+async function fetchForecast(lat, lon, apiKey) {
+  if (!apiKey) {
+    throw upstreamError('Weather API key not configured', { kind: 'config' });
+  }
+
+  if (!lat || !lon) {
+    throw upstreamError('Weather location (lat/lon) not configured', { kind: 'config' });
+  }
+
+  try {
+    const response = await axios.get(`${getBaseUrl()}/data/2.5/forecast`, {
+      params: {
+        lat,
+        lon,
+        appid: apiKey,
+        units: 'metric' // °C and m/s; converted for display by utils/formatting
+      },
+      timeout: 5000 // 5 second timeout
+    });
+
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      // API responded with error
+      throw upstreamError(`Forecast API error: ${error.response.status} - ${error.response.data.message || 'Unknown error'}`, { status: error.response.status });
+    } else if (error.request) {
+      // No response received
+      throw upstreamError('Forecast API timeout or network error');
+    } else {
+      // Other error
+      throw upstreamError(`Forecast API request failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Fetch official weather alerts from the OpenWeatherMap One Call API
+ * Requires a One Call 3.0 subscription.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} apiKey - OpenWeatherMap API key
+ * @returns {Promise<Array>} Raw alerts (empty when none are active)
+ */
+async function fetchWeatherAlerts(lat, lon, apiKey) {
+  if (!apiKey) {
+    throw upstreamError('Weather API key not configured', { kind: 'config' });
+  }
+
+  if (!lat || !lon) {
+    throw upstreamError('Weather location (lat/lon) not configured', { kind: 'config' });
+  }
+
+  try {
+    const response = await axios.get(`${getBaseUrl()}/data/3.0/onecall`, {
+      params: {
+        lat,
+        lon,
+        appid: apiKey,
+        exclude: 'current,minutely,hourly,daily'
+      },
+      timeout: 5000 // 5 second timeout
+    });
+
+    return response.data.alerts || [];
+  } catch (error) {
+    if (error.response) {
+      // API responded with error
+      throw upstreamError(`Weather alerts API error: ${error.response.status} - ${error.response.data.message || 'Unknown error'}`, { status: error.response.status });
     } else if (error.request) {
       // No response received
-      throw new Error('Weather API timeout or network error');
+      throw upstreamError('Weather alerts API timeout or network error');
     } else {
       // Other error
-      throw new Error(`Weather API request failed: ${error.message}`);
+      throw upstreamError(`Weather alerts API request failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Get current weather, through the shared cache and circuit breaker
+ * With DATA_SOURCE=fixtures it comes from the fixture scenario instead.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} apiKey - OpenWeatherMap API key
+ * @returns {Promise<Object>} Weather data
+ */
+async function getCurrentWeather(lat, lon, apiKey) {
+  if (isFixtureMode()) {
+    const weather = getFixture('weather');
+    if (!weather) {
+      throw upstreamError('Fixture scenario has no weather', { kind: 'config' });
     }
+    return weather;
   }
+
+  return cached('weather', `${lat},${lon},metric`, () =>
+    withBreaker('weather', () => fetchCurrentWeather(lat, lon, apiKey), { config: [getBaseUrl(), lat, lon, apiKey] }));
+}
+
+/**
+ * Get forecast, through the shared cache and circuit breaker
+ * With DATA_SOURCE=fixtures it comes from the fixture scenario instead.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} apiKey - OpenWeatherMap API key
+ * @returns {Promise<Object>} Forecast data
+ */
+async function getForecast(lat, lon, apiKey) {
+  if (isFixtureMode()) {
+    return getFixture('forecast');
+  }
+
+  return cached('forecast', `${lat},${lon},metric`, () =>
+    withBreaker('weather', () => fetchForecast(lat, lon, apiKey), { config: [getBaseUrl(), lat, lon, apiKey] }));
+}
+
+/**
+ * Get official weather alerts, through the shared cache and circuit breaker
+ * With DATA_SOURCE=fixtures they come from the fixture scenario instead.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} apiKey - OpenWeatherMap API key
+ * @returns {Promise<Array>} Raw alerts (empty when none are active)
+ */
+async function getWeatherAlerts(lat, lon, apiKey) {
+  if (isFixtureMode()) {
+    return getFixture('weatherAlerts');
+  }
+
+  return cached('weatherAlerts', `${lat},${lon}`, () =>
+    withBreaker('weatherAlerts', () => fetchWeatherAlerts(lat, lon, apiKey), { config: [getBaseUrl(), lat, lon, apiKey] }));
+}
+
+/**
+ * Round to one decimal place
+ * Raw values keep a decimal so they still convert accurately to other units.
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function roundToTenth(value) {
+  return Math.round(value * 10) / 10;
 }
 
 /**
  * Parse OpenWeatherMap response into simplified format
- * @param {Object} data - OpenWeatherMap API response
- * @returns {Object} Parsed weather data
+ * @param {Object} data - OpenWeatherMap API response (metric units)
+ * @returns {Object} Parsed weather data (°C, m/s)
  */
 function parseWeatherResponse(data) {
   return {
-    temp: Math.round(data.main.temp),
-    feelsLike: Math.round(data.main.feels_like),
+    temp: roundToTenth(data.main.temp),
+    feelsLike: roundToTenth(data.main.feels_like),
     condition: data.weather[0].main,
     description: data.weather[0].description,
     icon: data.weather[0].icon,
     humidity: data.main.humidity,
-    windSpeed: Math.round(data.wind.speed),
-    high: Math.round(data.main.temp_max),
-    low: Math.round(data.main.temp_min),
+    windSpeed: roundToTenth(data.wind.speed),
+    high: roundToTenth(data.main.temp_max),
+    low: roundToTenth(data.main.temp_min),
     sunrise: data.sys.sunrise,
     sunset: data.sys.sunset,
     location: data.name
   };
 }
 
+/**
+ * Parse a single OpenWeatherMap forecast entry
+ * @param {Object} entry - Entry from the forecast "list" array (metric units)
+ * @returns {Object} Parsed forecast entry (°C, m/s, mm)
+ */
+function parseForecastEntry(entry) {
+  return {
+    time: new Date(entry.dt * 1000),
+    temp: roundToTenth(entry.main.temp),
+    tempMin: entry.main.temp_min,
+    tempMax: entry.main.temp_max,
+    condition: entry.weather[0].main,
+    description: entry.weather[0].description,
+    icon: entry.weather[0].icon,
+    precipProbability: Math.round((entry.pop || 0) * 100), // 0-100%
+    rain: entry.rain ? entry.rain['3h'] || 0 : 0,
+    snow: entry.snow ? entry.snow['3h'] || 0 : 0,
+    windSpeed: roundToTenth(entry.wind.speed)
+  };
+}
+
+/**
+ * Parse OpenWeatherMap forecast response into simplified format
+ * @param {Object} data - OpenWeatherMap forecast API response
+ * @returns {Array<Object>} Parsed forecast entries (3-hour steps)
+ */
+function parseForecastResponse(data) {
+  return (data.list || []).map(parseForecastEntry);
+}
+
+/**
+ * Parse an official OpenWeatherMap alert into simplified format
+ * @param {Object} alert - Entry from the One Call "alerts" array
+ * @returns {Object} Parsed alert
+ */
+function parseWeatherAlert(alert) {
+  return {
+    event: alert.event,
+    sender: alert.sender_name || '',
+    description: alert.description || '',
+    start: new Date(alert.start * 1000),
+    end: new Date(alert.end * 1000),
+    tags: alert.tags || []
+  };
+}
+
 module.exports = {
   getCurrentWeather,
-  parseWeatherResponse
+  getForecast,
+  getWeatherAlerts,
+  parseWeatherResponse,
+  parseForecastResponse,
+  parseWeatherAlert
 };
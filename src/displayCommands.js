@@ -0,0 +1,530 @@
+const crypto = require('crypto');
+const eventBus = require('./eventBus');
+const { getDisplay } = require('./utils/displayRegistry');
+const { setState } = require('./utils/stateStore');
+const { increment } = require('./utils/metrics');
+const { createLogger } = require('./utils/logger');
+
+const log = createLogger('commands');
+
+const ACK_TIMEOUT = (parseInt(process.env.COMMAND_ACK_TIMEOUT_SECONDS) || 10) * 1000; // 10 seconds
+const DEFAULT_TTL_SECONDS = parseInt(process.env.COMMAND_QUEUE_TTL_SECONDS) || 3600; // 1 hour
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const QUEUE_LIMIT = 50; // Pending commands per display
+const HISTORY_LIMIT = 20; // Finished commands kept per display
+
+/**
+ * Command types and their parameters
+ * Each validator checks the params and returns { params, problems } with the
+ * defaults filled in.
+ */
+const COMMAND_TYPES = {
+  reload: () => ({ params: {}, problems: [] }),
+
+  toast: params => validateParams(params, {
+    message: { type: 'string', required: true, maxLength: 200 },
+    durationSeconds: { type: 'number', min: 1, max: 300, default: 8 },
+    urgency: { oneOf: ['info', 'warning', 'critical'], default: 'info' }
+  }),
+
+  overlay: params => validateParams(params, {
+    title: { type: 'string', maxLength: 100 },
+    message: { type: 'string', required: true, maxLength: 500 },
+    durationSeconds: { type: 'number', min: 1, max: 3600, default: 30 }
+  }),
+
+  brightness: params => validateParams(params, {
+    level: { type: 'number', required: true, min: 0, max: 100 }
+  }),
+
+  dim: params => validateParams(params, {
+    enabled: { type: 'boolean', default: true }
+  }),
+
+  rotate: params => validateParams(params, {
+    rotation: { oneOf: [0, 90, 180, 270], required: true }
+  }),
+
+  identify: params => validateParams(params, {
+    durationSeconds: { type: 'number', min: 1, max: 60, default: 10 }
+  })
+};
+
+/**
+ * Check command params against a spec
+ * @param {Object} params - Params sent by the caller
+ * @param {Object} spec - Param name → { type, required, min, max, maxLength, oneOf, default }
+ * @returns {Object} { params, problems }
+ */
+function validateParams(params, spec) {
+  const result = {};
+  const problems = [];
+
+  Object.keys(params).forEach((name) => {
+    if (!spec[name]) {
+      problems.push(`unknown param '${name}'`);
+    }
+  });
+
+  Object.entries(spec).forEach(([name, rule]) => {
+    const value = params[name];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        problems.push(`${name} is required`);
+      } else if (rule.default !== undefined) {
+        result[name] = rule.default;
+      }
+      return;
+    }
+
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+      problems.push(`${name} must be one of ${rule.oneOf.join(', ')}`);
+    } else if (rule.type === 'number' && (!Number.isFinite(value) || value < rule.min || value > rule.max)) {
+      problems.push(`${name} must be a number from ${rule.min} to ${rule.max}`);
+    } else if (rule.type === 'string' && (typeof value !== 'string' || !value.trim() || value.length > rule.maxLength)) {
+      problems.push(`${name} must be a non-empty string of at most ${rule.maxLength} characters`);
+    } else if (rule.type === 'boolean' && typeof value !== 'boolean') {
+      problems.push(`${name} must be true or false`);
+    } else {
+      result[name] = value;
+    }
+  });
+
+  return { params: result, problems };
+}
+
+/**
+ * Create an error for a rejected command request
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status for the API
+ * @param {Array<string>} [problems] - Validation problems
+ * @returns {Error} Error with statusCode (and problems)
+ */
+function commandError(message, statusCode, problems) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (problems) {
+    error.problems = problems;
+  }
+  return error;
+}
+
+/**
+ * Remote commands for named displays
+ *
+ * A command (reload, toast, overlay, brightness, dim, rotate, identify) is
+ * sent to a display as a `display:command` event, and the display answers
+ * with a `command:ack` message (or POST .../ack for SSE displays):
+ *   - queued: the display is offline; it is sent when the display says hello again
+ *   - sent: waiting for the display's ack
+ *   - acknowledged / failed: the display carried it out, or reported it couldn't
+ *   - timeout: no ack within COMMAND_ACK_TIMEOUT_SECONDS
+ *   - expired: the display didn't come back within the command's TTL
+ *
+ * Only the connection a command was sent to can acknowledge it: WebSocket
+ * acks must come from that connection, and SSE displays send back the
+ * command's ackToken, which only that connection received.
+ *
+ * A command that was sent to a connection that closed before acking goes back
+ * in the queue. Pending commands are saved with the rest of the state.
+ */
+class DisplayCommands {
+  constructor() {
+    this.commands = new Map(); // command ID → command, pending and recently finished
+    this.ackTimers = new Map(); // command ID → timeout waiting for the ack
+    this.waiters = new Map(); // command ID → resolve functions of callers waiting for the result
+    this.ackTokens = new Map(); // command ID → token the display must send back with an HTTP ack
+  }
+
+  /**
+   * Check a command request
+   * @param {Object} request - { type, params, ttlSeconds }
+   * @returns {Object} { type, params, ttlSeconds, problems }
+   */
+  validateCommand({ type, params = {}, ttlSeconds } = {}) {
+    if (!COMMAND_TYPES[type]) {
+      return { problems: [`type must be one of ${Object.keys(COMMAND_TYPES).join(', ')}`] };
+    }
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      return { problems: ['params must be an object'] };
+    }
+
+    const result = COMMAND_TYPES[type](params);
+
+    if (ttlSeconds !== undefined && (!Number.isInteger(ttlSeconds) || ttlSeconds < 0 || ttlSeconds > MAX_TTL_SECONDS)) {
+      result.problems.push(`ttlSeconds must be a whole number from 0 to ${MAX_TTL_SECONDS}`);
+    }
+
+    return { type, params: result.params, ttlSeconds: ttlSeconds ?? DEFAULT_TTL_SECONDS, problems: result.problems };
+  }
+
+  /**
+   * Send a command to a display, or queue it until the display reconnects
+   * @param {string} displayId - Display ID
+   * @param {Object} request - { type, params, ttlSeconds }
+   * @returns {Object} Command
+   * @throws {Error} 400 for an invalid command, 404 for an unknown display,
+   *   409 if the display is offline and the command can't be queued (ttlSeconds 0)
+   */
+  send(displayId, request) {
+    const display = getDisplay(displayId);
+    if (!display) {
+      throw commandError(`No display has said hello with ID '${displayId}'`, 404);
+    }
+
+    const { type, params, ttlSeconds, problems } = this.validateCommand(request);
+    if (problems.length > 0) {
+      throw commandError(`Invalid command: ${problems.join('; ')}`, 400, problems);
+    }
+
+    if (!display.clientId && ttlSeconds === 0) {
+      throw commandError(`Display '${display.name}' is offline`, 409);
+    }
+
+    const now = new Date();
+    const command = {
+      id: crypto.randomUUID(),
+      displayId,
+      type,
+      params,
+      status: 'queued',
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+      sentAt: null,
+      clientId: null,
+      attempts: 0,
+      finishedAt: null,
+      error: null
+    };
+
+    this.commands.set(command.id, command);
+    this.trimQueue(displayId);
+    log.info(`📟 ${display.clientId ? 'Sending' : 'Queued'} '${type}' command for display '${display.name}'`, { displayId, commandId: command.id });
+
+    if (display.clientId) {
+      this.deliver(command, display);
+    } else {
+      this.save();
+    }
+
+    return command;
+  }
+
+  /**
+   * Send a command to the display's current connection and wait for the ack
+   * @param {Object} command - Command
+   * @param {Object} display - Display it is for
+   */
+  deliver(command, display) {
+    const ackToken = crypto.randomBytes(16).toString('hex');
+    const data = {
+      id: command.id,
+      type: command.type,
+      ackToken,
+      // The display shows its own name when identifying itself
+      params: command.type === 'identify' ? { ...command.params, name: display.name } : command.params
+    };
+
+    if (!eventBus.sendToClient(display.clientId, { event: 'display:command', data })) {
+      return;
+    }
+
+    command.status = 'sent';
+    command.sentAt = new Date().toISOString();
+    command.clientId = display.clientId;
+    command.attempts++;
+    this.ackTokens.set(command.id, ackToken);
+    this.save();
+
+    const timer = setTimeout(() => {
+      this.ackTimers.delete(command.id);
+      log.warn(`⏱️  No ack for '${command.type}' command from display '${display.name}'`, { displayId: display.id, commandId: command.id });
+      this.finish(command, 'timeout', 'Display did not acknowledge the command in time');
+    }, ACK_TIMEOUT);
+    timer.unref();
+    this.ackTimers.set(command.id, timer);
+  }
+
+  /**
+   * Send a display the commands queued while it was offline (call after hello)
+   * @param {string} displayId - Display ID
+   */
+  deliverQueued(displayId) {
+    const display = getDisplay(displayId);
+    if (!display || !display.clientId) {
+      return;
+    }
+
+    this.expireQueued();
+
+    const queued = this.getCommands(displayId).filter(command => command.status === 'queued').reverse();
+    if (queued.length > 0) {
+      log.info(`📟 Sending ${queued.length} queued command(s) to display '${display.name}'`, { displayId });
+    }
+
+    queued.forEach(command => this.deliver(command, display));
+  }
+
+  /**
+   * Record a display's answer to a command
+   * The answer must come from the connection the command was sent to (its
+   * clientId) or carry the command's ackToken. Late acks (after a timeout)
+   * still count.
+   * @param {string} commandId - Command ID
+   * @param {Object} ack - Answer
+   * @param {string} ack.displayId - Display that answered
+   * @param {string} [ack.clientId] - Connection the answer came from
+   * @param {string} [ack.ackToken] - Token sent with the command
+   * @param {boolean} [ack.success] - False if the display couldn't carry it out
+   * @param {string} [ack.error] - Why it failed
+   * @returns {Object} Command
+   * @throws {Error} 404 if the display has no such command, 403 if the answer isn't from
+   *   the connection the command was sent to, 409 if it wasn't waiting for an ack
+   */
+  acknowledge(commandId, { displayId, clientId, ackToken, success = true, error } = {}) {
+    const command = this.commands.get(commandId);
+    if (!command || command.displayId !== displayId) {
+      throw commandError(`Display '${displayId}' has no command '${commandId}'`, 404);
+    }
+    if (command.status !== 'sent' && command.status !== 'timeout') {
+      throw commandError(`Command '${commandId}' is ${command.status}`, 409);
+    }
+
+    const fromConnection = !!clientId && clientId === command.clientId;
+    const hasToken = !!ackToken && ackToken === this.ackTokens.get(command.id);
+    if (!fromConnection && !hasToken) {
+      log.warn('⚠️  Rejected ack from a connection the command was not sent to', { displayId, commandId, clientId });
+      throw commandError(`Command '${commandId}' was not sent to this connection`, 403);
+    }
+
+    if (success === false) {
+      log.warn(`⚠️  Display couldn't carry out '${command.type}' command`, { displayId, commandId, error });
+    } else {
+      log.info(`✅ Display acknowledged '${command.type}' command`, { displayId, commandId });
+    }
+
+    this.finish(command, success === false ? 'failed' : 'acknowledged', success === false ? String(error || 'Display reported a failure').slice(0, 200) : null);
+    return command;
+  }
+
+  /**
+   * Put commands back in the queue when the connection they were sent to closes
+   * @param {string} clientId - Client ID of the closed connection
+   */
+  handleDisconnect(clientId) {
+    let requeued = 0;
+
+    this.commands.forEach((command) => {
+      if (command.status === 'sent' && command.clientId === clientId) {
+        this.clearAckTimer(command.id);
+        command.status = 'queued';
+        command.clientId = null;
+        this.ackTokens.delete(command.id);
+        // Callers waiting for the result get the queued command back
+        this.resolveWaiters(command);
+        requeued++;
+      }
+    });
+
+    if (requeued > 0) {
+      log.info(`📟 Requeued ${requeued} unacknowledged command(s)`, { clientId });
+      this.save();
+    }
+  }
+
+  /**
+   * Mark a command as finished and tell anyone waiting for it
+   * @param {Object} command - Command
+   * @param {string} status - acknowledged, failed, timeout or expired
+   * @param {string|null} [error] - What went wrong
+   */
+  finish(command, status, error = null) {
+    this.clearAckTimer(command.id);
+    // Timed out commands can still be acknowledged late
+    if (status !== 'timeout') {
+      this.ackTokens.delete(command.id);
+    }
+    command.status = status;
+    command.error = error;
+    command.finishedAt = new Date().toISOString();
+    increment('display_commands_total', { type: command.type, status });
+
+    this.resolveWaiters(command);
+
+    this.trimHistory(command.displayId);
+    this.save();
+  }
+
+  /**
+   * Tell everyone waiting for a command what happened to it
+   * @param {Object} command - Command
+   */
+  resolveWaiters(command) {
+    const waiters = this.waiters.get(command.id) || [];
+    this.waiters.delete(command.id);
+    waiters.forEach(resolve => resolve(command));
+  }
+
+  /**
+   * Wait until a sent command is acknowledged, fails or times out
+   * Queued commands resolve right away; they may wait hours for their display.
+   * Never waits longer than COMMAND_ACK_TIMEOUT_SECONDS, even if the command
+   * is still pending by then.
+   * @param {Object} command - Command
+   * @returns {Promise<Object>} Command
+   */
+  waitForResult(command) {
+    if (command.status !== 'sent') {
+      return Promise.resolve(command);
+    }
+
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        const remaining = (this.waiters.get(command.id) || []).filter(waiter => waiter !== done);
+        if (remaining.length > 0) {
+          this.waiters.set(command.id, remaining);
+        } else {
+          this.waiters.delete(command.id);
+        }
+        resolve(command);
+      };
+
+      const timer = setTimeout(done, ACK_TIMEOUT);
+      timer.unref();
+
+      const waiters = this.waiters.get(command.id) || [];
+      waiters.push(done);
+      this.waiters.set(command.id, waiters);
+    });
+  }
+
+  /**
+   * Stop waiting for a command's ack
+   * @param {string} commandId - Command ID
+   */
+  clearAckTimer(commandId) {
+    const timer = this.ackTimers.get(commandId);
+    if (timer) {
+      clearTimeout(timer);
+      this.ackTimers.delete(commandId);
+    }
+  }
+
+  /**
+   * Expire queued commands past their TTL
+   */
+  expireQueued() {
+    const now = new Date().toISOString();
+
+    this.commands.forEach((command) => {
+      if (command.status === 'queued' && command.expiresAt <= now) {
+        log.info(`⌛ '${command.type}' command expired before display '${command.displayId}' reconnected`, { commandId: command.id });
+        this.finish(command, 'expired', 'Display did not reconnect before the command expired');
+      }
+    });
+  }
+
+  /**
+   * Drop the oldest queued commands beyond QUEUE_LIMIT for a display
+   * @param {string} displayId - Display ID
+   */
+  trimQueue(displayId) {
+    const queued = this.getCommands(displayId).filter(command => command.status === 'queued');
+
+    queued.slice(QUEUE_LIMIT).forEach((command) => {
+      this.finish(command, 'expired', `Dropped: more than ${QUEUE_LIMIT} commands queued`);
+    });
+  }
+
+  /**
+   * Forget finished commands beyond HISTORY_LIMIT for a display
+   * @param {string} displayId - Display ID
+   */
+  trimHistory(displayId) {
+    const finished = this.getCommands(displayId).filter(command => command.finishedAt);
+
+    finished.slice(HISTORY_LIMIT).forEach((command) => {
+      this.ackTokens.delete(command.id);
+      this.commands.delete(command.id);
+    });
+  }
+
+  /**
+   * Get a display's pending and recent commands
+   * @param {string} displayId - Display ID
+   * @returns {Array<Object>} Commands, newest first
+   */
+  getCommands(displayId) {
+    return Array.from(this.commands.values())
+      .filter(command => command.displayId === displayId)
+      .reverse();
+  }
+
+  /**
+   * List a display's commands for the API (expiring stale ones first)
+   * @param {string} displayId - Display ID
+   * @returns {Array<Object>} Commands, newest first
+   */
+  listCommands(displayId) {
+    this.expireQueued();
+    return this.getCommands(displayId);
+  }
+
+  /**
+   * Get one of a display's commands
+   * @param {string} displayId - Display ID
+   * @param {string} commandId - Command ID
+   * @returns {Object|null} Command
+   */
+  getCommand(displayId, commandId) {
+    const command = this.commands.get(commandId);
+    return command && command.displayId === displayId ? command : null;
+  }
+
+  /**
+   * Forget a display's commands (when the display is removed)
+   * @param {string} displayId - Display ID
+   */
+  removeCommands(displayId) {
+    this.getCommands(displayId).forEach((command) => {
+      this.clearAckTimer(command.id);
+      this.ackTokens.delete(command.id);
+      this.commands.delete(command.id);
+    });
+    this.save();
+  }
+
+  /**
+   * Queue pending commands to be saved
+   * Finished commands aren't kept across restarts.
+   */
+  save() {
+    const pending = Array.from(this.commands.values())
+      .filter(command => command.status === 'queued' || command.status === 'sent');
+
+    setState('displayCommands', pending.length > 0 ? pending : undefined);
+  }
+
+  /**
+   * Restore commands that were pending before a restart
+   * Commands that were sent but not acknowledged are queued again.
+   * @param {Array<Object>} saved - Saved commands
+   */
+  restore(saved) {
+    (Array.isArray(saved) ? saved : []).forEach((command) => {
+      if (!command || !command.id || !COMMAND_TYPES[command.type] || !getDisplay(command.displayId)) {
+        return;
+      }
+      this.commands.set(command.id, { ...command, status: 'queued', clientId: null });
+    });
+
+    this.expireQueued();
+  }
+}
+
+// Export singleton instance
+const displayCommands = new DisplayCommands();
+
+module.exports = displayCommands;
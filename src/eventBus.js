@@ -0,0 +1,248 @@
+const { EventEmitter } = require('events');
+const { getFormatKey } = require('./utils/formatting');
+const { increment } = require('./utils/metrics');
+
+const REPLAY_LIMIT = 50; // Broadcast events kept for clients that reconnect
+
+/**
+ * Internal event bus shared by every transport (WebSocket, Server-Sent Events)
+ *
+ * The scheduler publishes here and each transport subscribes, so all displays
+ * get the same payloads, versions and events whichever way they connect:
+ *   - 'dashboard': a new payload for one stream (mode + display format)
+ *     { stream, version, data, previous, delta, defaultMode }
+ *   - 'broadcast': an event for every display (errors, mode changes)
+ *     { version, event, data, timestamp }
+ *
+ * Transports publish 'disconnect' ({ clientId, transport }) when a client goes away.
+ *
+ * Payload and event versions come from one counter, so a client that knows
+ * the last version it saw can tell what it missed.
+ */
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.transports = [];
+    this.snapshots = new Map(); // stream key (mode + format) → { version, data } last published for that stream
+    this.version = 0; // Increases with every new payload or event, across all streams
+    this.recentEvents = []; // Last REPLAY_LIMIT broadcast events
+    this.snapshotProvider = null;
+    this.runId = Date.now().toString(36); // Versions restart with the process
+  }
+
+  /**
+   * Register a transport so its clients are counted in subscriptions
+   * A transport implements getSubscribedStreams, clearClientModes, setClientMode,
+   * setClientFormat, sendSnapshotToClient, sendToClient and getActiveConnectionCount.
+   * @param {Object} transport - Transport handler
+   */
+  registerTransport(transport) {
+    if (!this.transports.includes(transport)) {
+      this.transports.push(transport);
+    }
+  }
+
+  /**
+   * Set the function that supplies the current payload for a new or resyncing client
+   * @param {Function} provider - Receives the client's mode (null = default) and format
+   *   overrides, and returns mode-filtered dashboard data, or null if there is none yet
+   */
+  setSnapshotProvider(provider) {
+    this.snapshotProvider = provider;
+  }
+
+  /**
+   * Get the stream a payload belongs to
+   * Displays with the same mode and display format share a stream.
+   * @param {string} mode - Dashboard mode
+   * @param {Object} format - Complete display format
+   * @returns {string} Stream key
+   */
+  getStreamKey(mode, format) {
+    return `${mode}|${getFormatKey(format)}`;
+  }
+
+  /**
+   * Compare two payloads section by section
+   * @param {Object} previous - Last payload published for the stream
+   * @param {Object} next - New payload
+   * @returns {Object} { changes: { section: value }, removed: [section] }
+   */
+  diffSnapshots(previous, next) {
+    const changes = {};
+    Object.keys(next).forEach((key) => {
+      if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+        changes[key] = next[key];
+      }
+    });
+
+    const removed = Object.keys(previous).filter(key => !(key in next));
+
+    return { changes, removed };
+  }
+
+  /**
+   * Remember a payload as the latest for its stream
+   * An unchanged payload keeps its version.
+   * @param {Object} dashboardData - Mode-filtered dashboard data
+   * @returns {Object} { stream, version, data, previous, delta } (delta is null for a stream's first payload)
+   */
+  recordSnapshot(dashboardData) {
+    const stream = this.getStreamKey(dashboardData.mode, dashboardData.format);
+    const previous = this.snapshots.get(stream) || null;
+    const delta = previous ? this.diffSnapshots(previous.data, dashboardData) : null;
+
+    if (delta && Object.keys(delta.changes).length === 0 && delta.removed.length === 0) {
+      return { stream, ...previous, previous, delta };
+    }
+
+    const snapshot = { version: ++this.version, data: dashboardData };
+    this.snapshots.set(stream, snapshot);
+
+    return { stream, ...snapshot, previous, delta };
+  }
+
+  /**
+   * Get the current payload for a client's mode and format from the snapshot provider
+   * @param {string|null} mode - Client's mode (null = default)
+   * @param {Object} format - Client's format overrides
+   * @returns {Object|null} { stream, version, data, ... }, or null if there is no data yet
+   */
+  getSnapshot(mode, format) {
+    const dashboardData = this.snapshotProvider ? this.snapshotProvider(mode, format) : null;
+    return dashboardData ? this.recordSnapshot(dashboardData) : null;
+  }
+
+  /**
+   * Publish a new payload for one stream
+   * @param {Object} dashboardData - Mode-filtered dashboard data
+   * @param {string} dashboardData.mode - Mode the data was filtered for
+   * @param {Object} dashboardData.format - Display format the data was formatted with
+   * @param {string} [defaultMode] - Mode used by clients that have not chosen one
+   */
+  publishDashboardUpdate(dashboardData, defaultMode = dashboardData.mode) {
+    const snapshot = this.recordSnapshot(dashboardData);
+
+    if (!snapshot.previous || snapshot.previous.version !== snapshot.version) {
+      increment('broadcasts_total', { event: 'dashboard:update' });
+    }
+
+    this.emit('dashboard', { ...snapshot, defaultMode });
+  }
+
+  /**
+   * Publish an event for every display
+   * @param {string} event - Event name, e.g. 'error' or 'mode:changed'
+   * @param {Object} data - Event data
+   */
+  publish(event, data) {
+    const entry = {
+      version: ++this.version,
+      event,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    this.recentEvents.push(entry);
+    if (this.recentEvents.length > REPLAY_LIMIT) {
+      this.recentEvents.shift();
+    }
+
+    increment('broadcasts_total', { event });
+    this.emit('broadcast', entry);
+  }
+
+  /**
+   * Get the broadcast events published after a version
+   * Only the last REPLAY_LIMIT events are kept; payloads are resent in full instead.
+   * @param {number} version - Last version the client saw
+   * @returns {Array<Object>} Missed events, oldest first
+   */
+  getEventsSince(version) {
+    return this.recentEvents.filter(entry => entry.version > version);
+  }
+
+  /**
+   * Get the distinct streams (mode + display format) clients of every transport are shown
+   * @param {string} defaultMode - Mode used by clients that have not chosen one
+   * @returns {Array<Object>} { key, mode, format } per stream
+   */
+  getSubscribedStreams(defaultMode) {
+    const streams = new Map();
+    this.transports.forEach((transport) => {
+      transport.getSubscribedStreams(defaultMode).forEach((stream) => {
+        streams.set(stream.key, stream);
+      });
+    });
+    return Array.from(streams.values());
+  }
+
+  /**
+   * Get the set of modes clients of every transport are displaying
+   * @param {string} defaultMode - Mode used by clients that have not chosen one
+   * @returns {Set<string>} Distinct effective modes
+   */
+  getSubscribedModes(defaultMode) {
+    return new Set(this.getSubscribedStreams(defaultMode).map(stream => stream.mode));
+  }
+
+  /**
+   * Make clients follow the default mode again
+   * @param {string} [mode] - Only reset clients showing this mode
+   */
+  clearClientModes(mode) {
+    this.transports.forEach(transport => transport.clearClientModes(mode));
+  }
+
+  /**
+   * Set the mode for a specific client, whichever transport it uses
+   * @param {string} clientId - Target client ID
+   * @param {string|null} mode - Mode to display, or null to follow the default
+   * @returns {boolean} True if the client was found
+   */
+  setClientMode(clientId, mode) {
+    return this.transports.some(transport => transport.setClientMode(clientId, mode));
+  }
+
+  /**
+   * Set the display format for a specific client, whichever transport it uses
+   * @param {string} clientId - Target client ID
+   * @param {Object} format - Valid format overrides ({} for the defaults)
+   * @returns {boolean} True if the client was found
+   */
+  setClientFormat(clientId, format) {
+    return this.transports.some(transport => transport.setClientFormat(clientId, format));
+  }
+
+  /**
+   * Send a specific client the current payload for its mode and format
+   * @param {string} clientId - Target client ID
+   * @returns {boolean} True if the client was found and there was data to send
+   */
+  sendSnapshotToClient(clientId) {
+    return this.transports.some(transport => transport.sendSnapshotToClient(clientId));
+  }
+
+  /**
+   * Send a message to a specific client, whichever transport it uses
+   * @param {string} clientId - Target client ID
+   * @param {Object} payload - Message payload with event and data
+   * @returns {boolean} True if the client was found
+   */
+  sendToClient(clientId, payload) {
+    return this.transports.some(transport => transport.sendToClient(clientId, payload));
+  }
+
+  /**
+   * Get count of active connections across transports
+   * @returns {number} Number of active clients
+   */
+  getActiveConnectionCount() {
+    return this.transports.reduce((count, transport) => count + transport.getActiveConnectionCount(), 0);
+  }
+}
+
+// Export singleton instance
+const eventBus = new EventBus();
+
+module.exports = eventBus;
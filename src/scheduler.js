@@ -1,6 +1,41 @@
 const cron = require('node-cron');
-const wsHandler = require('./wsHandler');
-const { getDashboardData } = require('./aggregators');
+const eventBus = require('./eventBus');
+const displayCommands = require('./displayCommands');
+const { aggregateDashboardData, applyMode } = require('./aggregators');
+const { completeTodo: completeTodoItem } = require('./aggregators/todoAggregator');
+const {
+  loadSchedule,
+  validateSchedule,
+  getActiveEntry,
+  getScheduledMode,
+  getNextChange
+} = require('./utils/modeSchedule');
+const { getTimeZone } = require('./utils/timeZone');
+const {
+  isValidMode,
+  getAvailableModes,
+  isCustomMode,
+  restoreCustomModes,
+  deleteMode: deleteCustomMode
+} = require('./utils/modeManager');
+const {
+  restoreDisplays,
+  saveDisplays,
+  connectDisplay,
+  disconnectDisplay,
+  getDisplay,
+  findDisplayByClientId,
+  updateDisplay,
+  clearDisplayModes,
+  getDisplaySettings,
+  listDisplays
+} = require('./utils/displayRegistry');
+const { loadState, getState, setState, flushState } = require('./utils/stateStore');
+const { exportCache, restoreCache } = require('./utils/cache');
+const { observe, collect } = require('./utils/metrics');
+const { createLogger } = require('./utils/logger');
+
+const log = createLogger('scheduler');
 
 // Get refresh interval from env or default to 30 seconds
 const REFRESH_INTERVAL = parseInt(process.env.REFRESH_INTERVAL) || 30;
@@ -18,55 +53,223 @@ const getCronExpression = (seconds) => {
 
 let scheduledTask = null;
 let currentMode = 'personal'; // Default mode
+let lastAggregatedData = null; // Last unfiltered data sent to clients
+let modeSchedule = loadSchedule();
+let manualOverride = null; // { mode, until } while a manual mode change beats the schedule
+let stateRestored = null; // Resolves once saved state has been loaded
+
+const DEFAULT_OVERRIDE_MINUTES = 120;
+
+/**
+ * Load the mode, override, schedule, displays, last snapshot and response cache saved before a restart
+ */
+async function restoreState() {
+  await loadState();
+
+  // Custom modes first, so a saved custom mode is still valid
+  restoreCustomModes(getState('customModes'));
+
+  // A schedule set with PUT /api/schedule replaces the one in the file
+  const savedSchedule = getState('modeSchedule');
+  const scheduleProblems = savedSchedule ? validateSchedule(savedSchedule) : [];
+  if (savedSchedule && scheduleProblems.length === 0) {
+    modeSchedule = savedSchedule;
+  } else {
+    if (savedSchedule) {
+      log.warn(`⚠️  Ignoring saved mode schedule: ${scheduleProblems.join('; ')}`);
+    }
+    if (getState('customModes')) {
+      // The schedule file may use custom modes, which weren't known when it was first loaded
+      modeSchedule = loadSchedule();
+    }
+  }
+
+  restoreDisplays(getState('displays'));
+  displayCommands.restore(getState('displayCommands'));
+
+  const savedMode = getState('mode');
+  if (savedMode && isValidMode(savedMode)) {
+    currentMode = savedMode;
+  }
+
+  const savedOverride = getState('modeOverride');
+  if (savedOverride && isValidMode(savedOverride.mode) && new Date(savedOverride.until) > new Date()) {
+    manualOverride = { mode: savedOverride.mode, until: new Date(savedOverride.until) };
+  }
+
+  restoreCache(getState('responseCache'));
+
+  const snapshot = getState('snapshot');
+  if (snapshot) {
+    lastAggregatedData = snapshot;
+  }
+
+  log.info(`💾 Restored state (mode: ${currentMode}${manualOverride ? `, override until ${manualOverride.until.toISOString()}` : ''}${snapshot ? ', last snapshot' : ''})`);
+}
+
+/**
+ * Queue the current mode, override, displays, snapshot and response cache to be saved
+ */
+function saveState() {
+  setState('mode', currentMode);
+  setState('modeOverride', manualOverride ? {
+    mode: manualOverride.mode,
+    until: manualOverride.until.toISOString()
+  } : undefined);
+  saveDisplays();
+  setState('snapshot', lastAggregatedData || undefined);
+  setState('responseCache', exportCache());
+}
+
+/**
+ * Save state immediately (call before shutdown)
+ * @returns {Promise<void>}
+ */
+async function persistState() {
+  saveState();
+  await flushState();
+}
+
+/**
+ * Switch the default mode to whatever the schedule wants, unless a manual
+ * override is still active. Per-display modes are left alone.
+ */
+function applySchedule() {
+  if (!modeSchedule.enabled) {
+    return;
+  }
+
+  const now = new Date();
+
+  if (manualOverride) {
+    if (now < manualOverride.until) {
+      return;
+    }
+    log.info(`⏰ Manual override to '${manualOverride.mode}' expired, returning to schedule`);
+    manualOverride = null;
+  }
+
+  const scheduledMode = getScheduledMode(modeSchedule, now, getTimeZone());
+  if (scheduledMode !== currentMode) {
+    log.info(`⏰ Schedule changing dashboard mode: ${currentMode} → ${scheduledMode}`);
+    changeMode(scheduledMode, 'schedule');
+  }
+}
+
+/**
+ * Set the default mode and tell every display about it
+ * @param {string} mode - New default mode
+ * @param {string} reason - 'manual' or 'schedule'
+ */
+function changeMode(mode, reason) {
+  const previousMode = currentMode;
+  currentMode = mode;
+
+  eventBus.publish('mode:changed', { mode, previousMode, reason });
+}
+
+/**
+ * Filter and format aggregated data for every mode and display format clients
+ * are subscribed to, and send each client only its own payload
+ * @param {Object} fullData - Data from aggregateDashboardData()
+ */
+function distributeDashboardData(fullData) {
+  eventBus.getSubscribedStreams(currentMode).forEach(({ mode, format }) => {
+    eventBus.publishDashboardUpdate(applyMode(mode, fullData, format), currentMode);
+  });
+}
 
 /**
  * Main data refresh function
- * Aggregates data and broadcasts to all connected clients
+ * Aggregates data once and sends each connected client its mode's payload
  */
 async function refreshDashboardData() {
+  let startedAt = null;
+
   try {
-    console.log(`🔄 Refreshing dashboard data (mode: ${currentMode})...`);
+    // Saved state must be in place before the first refresh uses it
+    await stateRestored;
+
+    startedAt = Date.now();
+    applySchedule();
+
+    log.debug(`🔄 Refreshing dashboard data (default mode: ${currentMode})...`);
 
     // Get aggregated data
-    const dashboardData = await getDashboardData(currentMode);
+    const fullData = await aggregateDashboardData(Array.from(eventBus.getSubscribedModes(currentMode)));
+    lastAggregatedData = fullData;
 
-    // Broadcast to all connected clients
-    wsHandler.sendDashboardUpdate(dashboardData);
+    // Send to all connected clients
+    distributeDashboardData(fullData);
+    saveState();
 
-    console.log(`✅ Dashboard data refreshed and broadcasted to ${wsHandler.getActiveConnectionCount()} client(s)`);
+    const durationMs = Date.now() - startedAt;
+    observe('refresh_duration_seconds', { result: 'ok' }, durationMs / 1000);
+    log.info(`✅ Dashboard data refreshed and sent to ${eventBus.getActiveConnectionCount()} client(s)`, { durationMs });
   } catch (error) {
-    console.error('❌ Error refreshing dashboard data:', error.message);
+    log.error('❌ Error refreshing dashboard data', { error });
+    if (startedAt) {
+      observe('refresh_duration_seconds', { result: 'error' }, (Date.now() - startedAt) / 1000);
+    }
 
     // Send error notification to clients
-    wsHandler.broadcast({
-      event: 'error',
-      data: {
-        message: 'Failed to refresh dashboard data',
-        error: error.message
-      }
+    eventBus.publish('error', {
+      message: 'Failed to refresh dashboard data',
+      error: error.message
     });
   }
 }
 
+// Current mode for GET /metrics
+collect('current_mode', () => getAvailableModes().map(mode => ({
+  labels: { mode },
+  value: mode === currentMode ? 1 : 0
+})));
+
 /**
  * Start the scheduler
  */
 function startScheduler() {
   const cronExpression = getCronExpression(REFRESH_INTERVAL);
 
-  console.log(`⏰ Starting scheduler with ${REFRESH_INTERVAL}s interval (cron: ${cronExpression})`);
+  log.info(`⏰ Starting scheduler with ${REFRESH_INTERVAL}s interval (cron: ${cronExpression})`);
+
+  // New and resyncing clients get the latest data for their mode straight away
+  eventBus.setSnapshotProvider((mode, format) => (
+    lastAggregatedData ? applyMode(mode || currentMode, lastAggregatedData, format) : null
+  ));
+  eventBus.on('disconnect', ({ clientId }) => {
+    disconnectDisplay(clientId);
+    displayCommands.handleDisconnect(clientId);
+  });
 
   scheduledTask = cron.schedule(cronExpression, refreshDashboardData, {
     scheduled: true,
-    timezone: process.env.TZ || 'America/New_York'
+    timezone: getTimeZone()
   });
 
+  loadSavedState();
+
   // Immediately fetch data on startup
   refreshDashboardData().catch(err => {
-    console.error('Error during initial data fetch:', err);
+    log.error('❌ Error during initial data fetch', { error: err });
   });
 
-  console.log('✅ Scheduler started');
+  log.info('✅ Scheduler started');
+}
+
+/**
+ * Restore the state saved before a restart (only loaded once)
+ * @returns {Promise<void>} Resolves once the state is restored (or failed to load)
+ */
+function loadSavedState() {
+  if (!stateRestored) {
+    stateRestored = restoreState().catch(err => {
+      log.error('❌ Error restoring saved state', { error: err });
+    });
+  }
+
+  return stateRestored;
 }
 
 /**
@@ -75,22 +278,172 @@ function startScheduler() {
 function stopScheduler() {
   if (scheduledTask) {
     scheduledTask.stop();
-    console.log('🛑 Scheduler stopped');
+    log.info('🛑 Scheduler stopped');
   }
 }
 
 /**
- * Update dashboard mode
+ * Update dashboard mode for all displays
+ * Connections that picked their own mode follow the new mode again, except
+ * named displays with a saved mode, which keep it unless resetDisplays is set.
+ * When the mode schedule is enabled, the change overrides it for a while.
  * @param {string} mode - New mode to set
+ * @param {Object} [options] - Options
+ * @param {number} [options.durationMinutes] - How long the override beats the schedule
+ * @param {boolean} [options.resetDisplays] - Also make named displays forget their saved modes
+ * @returns {Date|null} When the override ends, or null if there is no schedule
  */
-function setMode(mode) {
-  console.log(`🔧 Changing dashboard mode: ${currentMode} → ${mode}`);
-  currentMode = mode;
+function setMode(mode, { durationMinutes, resetDisplays = false } = {}) {
+  log.info(`🔧 Changing dashboard mode: ${currentMode} → ${mode}`);
+  changeMode(mode, 'manual');
+  eventBus.clearClientModes();
+
+  if (resetDisplays) {
+    clearDisplayModes();
+  } else {
+    // Named displays keep the mode they were given
+    listDisplays(currentMode)
+      .filter(display => display.online && !display.followsDefaultMode)
+      .forEach(display => eventBus.setClientMode(display.clientId, display.mode));
+  }
+
+  if (modeSchedule.enabled) {
+    const minutes = durationMinutes ?? modeSchedule.overrideMinutes ?? DEFAULT_OVERRIDE_MINUTES;
+    manualOverride = { mode, until: new Date(Date.now() + minutes * 60 * 1000) };
+    log.info(`⏰ Schedule overridden until ${manualOverride.until.toISOString()}`);
+  }
+
+  saveState();
 
   // Immediately refresh with new mode
   refreshDashboardData().catch(err => {
-    console.error('Error refreshing data after mode change:', err);
+    log.error('❌ Error refreshing data after mode change', { error: err });
   });
+
+  return manualOverride ? manualOverride.until : null;
+}
+
+/**
+ * Find the registered display and connection an ID refers to
+ * @param {string} id - Display ID (sent in hello) or client ID
+ * @returns {Object} { display, clientId } (display is null for connections that never said hello,
+ *   clientId is null for offline displays)
+ */
+function resolveDisplay(id) {
+  const display = getDisplay(id) || findDisplayByClientId(id);
+  return { display, clientId: display ? display.clientId : id };
+}
+
+/**
+ * Update dashboard mode for a single display
+ * Registered displays keep the mode, and get it back when they reconnect.
+ * @param {string} id - Display ID or client ID
+ * @param {string|null} mode - New mode, or null to follow the default mode
+ * @returns {boolean} True if the display is registered or connected
+ */
+function setDisplayMode(id, mode) {
+  const { display, clientId } = resolveDisplay(id);
+  if (display) {
+    updateDisplay(display.id, { mode });
+  }
+
+  const online = !!clientId && eventBus.setClientMode(clientId, mode);
+  if (!display && !online) {
+    return false;
+  }
+
+  log.info(`🔧 Changing display mode → ${mode || `default (${currentMode})`}`, { clientId, displayId: display ? display.id : undefined });
+
+  // Send the new mode's payload right away when we already have data
+  if (online) {
+    eventBus.sendSnapshotToClient(clientId);
+  }
+
+  return true;
+}
+
+/**
+ * Update the display format for a single display
+ * Registered displays keep the format, and get it back when they reconnect.
+ * @param {string} id - Display ID or client ID
+ * @param {Object} format - Valid format overrides (units, timeFormat, locale); {} for the defaults
+ * @returns {boolean} True if the display is registered or connected
+ */
+function setDisplayFormat(id, format) {
+  const { display, clientId } = resolveDisplay(id);
+  if (display) {
+    updateDisplay(display.id, { format });
+  }
+
+  const online = !!clientId && eventBus.setClientFormat(clientId, format);
+  if (!display && !online) {
+    return false;
+  }
+
+  log.info(`🔧 Changing display format → ${JSON.stringify(format)}`, { clientId, displayId: display ? display.id : undefined });
+
+  if (online) {
+    eventBus.sendSnapshotToClient(clientId);
+  }
+
+  return true;
+}
+
+/**
+ * Register a connection as a named display (the hello handshake)
+ * A known display gets its saved mode and format back; a new one keeps
+ * what its connection asked for. Commands queued while it was offline follow.
+ * @param {string} clientId - Client ID of the connection
+ * @param {Object} connection - { displayId, name, transport, ip, userAgent, mode, format }
+ * @returns {Object} { displayId, name, settings } to send to the display
+ */
+function identifyDisplay(clientId, connection) {
+  const { display, isNew } = connectDisplay({ ...connection, clientId });
+
+  if (!isNew) {
+    eventBus.setClientMode(clientId, display.settings.mode);
+    eventBus.setClientFormat(clientId, display.settings.format);
+    eventBus.sendSnapshotToClient(clientId);
+  }
+
+  // After the reply to hello, so the display knows who it is first
+  setImmediate(() => displayCommands.deliverQueued(display.id));
+
+  return getDisplaySettings(display);
+}
+
+/**
+ * Change a registered display's name or settings
+ * An online display gets the new settings (a `display:settings` event) and
+ * its payload right away; an offline one when it reconnects.
+ * @param {string} displayId - Display ID
+ * @param {Object} changes - { name, mode, format, theme } (all optional, already validated)
+ * @returns {Object|null} Updated display, or null if it is unknown
+ */
+function updateDisplaySettings(displayId, changes) {
+  const display = updateDisplay(displayId, changes);
+  if (!display) {
+    return null;
+  }
+
+  log.info(`🔧 Updated settings for display '${display.name}'`, { displayId });
+
+  const { clientId } = display;
+  if (clientId) {
+    if (changes.mode !== undefined) {
+      eventBus.setClientMode(clientId, display.settings.mode);
+    }
+    if (changes.format !== undefined) {
+      eventBus.setClientFormat(clientId, display.settings.format);
+    }
+
+    eventBus.sendToClient(clientId, { event: 'display:settings', data: getDisplaySettings(display) });
+    if (changes.mode !== undefined || changes.format !== undefined) {
+      eventBus.sendSnapshotToClient(clientId);
+    }
+  }
+
+  return display;
 }
 
 /**
@@ -101,19 +454,185 @@ function getMode() {
   return currentMode;
 }
 
+/**
+ * Get the mode schedule, what it is doing now and what comes next
+ * @returns {Object} Schedule status
+ */
+function getScheduleStatus() {
+  const now = new Date();
+  const timeZone = getTimeZone();
+  const overrideActive = manualOverride && now < manualOverride.until;
+
+  let next = null;
+  if (modeSchedule.enabled) {
+    if (overrideActive) {
+      // The schedule takes over again when the override ends
+      const modeAfterOverride = getScheduledMode(modeSchedule, manualOverride.until, timeZone);
+      next = modeAfterOverride !== currentMode
+        ? { mode: modeAfterOverride, at: manualOverride.until.toISOString() }
+        : getNextChange(modeSchedule, manualOverride.until, timeZone);
+    } else {
+      next = getNextChange(modeSchedule, now, timeZone);
+    }
+  }
+
+  return {
+    enabled: !!modeSchedule.enabled,
+    timezone: timeZone,
+    currentMode: currentMode,
+    scheduledMode: getScheduledMode(modeSchedule, now, timeZone),
+    activeEntry: getActiveEntry(modeSchedule, now, timeZone),
+    override: overrideActive ? {
+      mode: manualOverride.mode,
+      until: manualOverride.until.toISOString()
+    } : null,
+    next: next,
+    schedule: modeSchedule
+  };
+}
+
+/**
+ * Replace the mode schedule
+ * The new schedule is saved with the rest of the state and kept across restarts.
+ * @param {Object} schedule - New schedule definition
+ * @returns {Object} Schedule status
+ * @throws {Error} With statusCode 400 and a problems list if the schedule is invalid
+ */
+function setSchedule(schedule) {
+  const problems = validateSchedule(schedule);
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid schedule: ${problems.join('; ')}`);
+    error.statusCode = 400;
+    error.problems = problems;
+    throw error;
+  }
+
+  log.info(`⏰ Mode schedule updated (${schedule.enabled ? 'enabled' : 'disabled'})`);
+  modeSchedule = schedule;
+  setState('modeSchedule', schedule);
+
+  // Apply the new plan right away
+  refreshDashboardData().catch(err => {
+    log.error('❌ Error refreshing data after schedule change', { error: err });
+  });
+
+  return getScheduleStatus();
+}
+
+/**
+ * End a manual override so the schedule takes over again
+ * @returns {Object} Schedule status
+ */
+function clearOverride() {
+  if (manualOverride) {
+    log.info('⏰ Manual override cleared, returning to schedule');
+    manualOverride = null;
+    saveState();
+
+    refreshDashboardData().catch(err => {
+      log.error('❌ Error refreshing data after clearing override', { error: err });
+    });
+  }
+
+  return getScheduleStatus();
+}
+
+/**
+ * Remove a custom mode
+ * Displays showing it go back to the default mode. A mode that is the current
+ * mode or used by the schedule can't be removed.
+ * @param {string} mode - Mode name
+ * @throws {Error} With statusCode 409 if the mode is in use (or 403/404, see modeManager.deleteMode)
+ */
+function removeMode(mode) {
+  const scheduled = modeSchedule.defaultMode === mode ||
+    (modeSchedule.entries || []).some(entry => entry.mode === mode);
+
+  if (isCustomMode(mode) && (currentMode === mode || scheduled)) {
+    const error = new Error(`Mode '${mode}' is in use by ${scheduled ? 'the mode schedule' : 'the dashboard'}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  deleteCustomMode(mode);
+  eventBus.clearClientModes(mode);
+  clearDisplayModes(mode);
+
+  refreshDashboardData().catch(err => {
+    log.error('❌ Error refreshing data after removing mode', { error: err });
+  });
+}
+
 /**
  * Manually trigger a data refresh
  */
 function triggerRefresh() {
-  console.log('🔄 Manual refresh triggered');
+  log.info('🔄 Manual refresh triggered');
   return refreshDashboardData();
 }
 
+/**
+ * Set the done state of a todo in the last aggregated data and resend it
+ * @param {string} todoId - Todo ID
+ * @param {boolean} done - New done state
+ */
+function broadcastTodoState(todoId, done) {
+  if (!lastAggregatedData || !Array.isArray(lastAggregatedData.todos)) {
+    return;
+  }
+
+  const id = String(todoId);
+  if (!lastAggregatedData.todos.some(todo => String(todo.id) === id)) {
+    return;
+  }
+
+  lastAggregatedData = {
+    ...lastAggregatedData,
+    todos: lastAggregatedData.todos.map(todo => (
+      String(todo.id) === id ? { ...todo, done } : todo
+    ))
+  };
+
+  distributeDashboardData(lastAggregatedData);
+}
+
+/**
+ * Complete a todo with an optimistic update
+ * Clients see the todo as done immediately; the change is rolled back if the
+ * upstream rejects it.
+ * @param {string} todoId - Todo ID to complete
+ * @returns {Promise<boolean>} Success status
+ */
+async function completeTodo(todoId) {
+  log.info(`☑️  Completing todo: ${todoId}`);
+  broadcastTodoState(todoId, true);
+
+  try {
+    return await completeTodoItem(todoId);
+  } catch (error) {
+    log.error(`❌ Failed to complete todo ${todoId}`, { error });
+    broadcastTodoState(todoId, false);
+    throw error;
+  }
+}
+
 module.exports = {
   startScheduler,
   stopScheduler,
+  loadSavedState,
   setMode,
+  setDisplayMode,
+  setDisplayFormat,
+  identifyDisplay,
+  updateDisplaySettings,
   getMode,
+  persistState,
+  getScheduleStatus,
+  setSchedule,
+  clearOverride,
+  removeMode,
   triggerRefresh,
-  refreshDashboardData
+  refreshDashboardData,
+  completeTodo
 };
@@ -4,14 +4,48 @@ const cors = require('cors');
 const http = require('http');
 const { WebSocketServer } = require('ws');
 const wsHandler = require('./wsHandler');
+const sseHandler = require('./sseHandler');
 const scheduler = require('./scheduler');
+const displayCommands = require('./displayCommands');
 const { getDashboardData } = require('./aggregators');
-const { isValidMode } = require('./utils/modeManager');
-
+const { getLookahead, formatLookahead, MAX_LOOKAHEAD_DAYS } = require('./aggregators/calendarAggregator');
+const {
+  isValidMode,
+  getAvailableModes,
+  getModes,
+  createMode,
+  updateMode
+} = require('./utils/modeManager');
+const { getCacheStatus, invalidate, NAMESPACES } = require('./utils/cache');
+const { getBreakerStatuses, getUpstreamHealth } = require('./utils/circuitBreaker');
+const { getSourceStatuses } = require('./utils/sourceStatus');
+const { renderMetrics } = require('./utils/metrics');
+const { pickFormat, validateFormat, resolveFormat, readFormatQuery } = require('./utils/formatting');
+const {
+  isAuthEnabled,
+  requireScope,
+  verifyWebSocketClient,
+  selectWebSocketProtocol
+} = require('./utils/auth');
+const { createLogger, requestContext } = require('./utils/logger');
+const { getDataSource, getScenarioName, getPinnedNow, isFixtureMode } = require('./utils/fixtures');
+const {
+  isValidDisplayId,
+  validateDisplaySettings,
+  getDisplay,
+  findDisplayByClientId,
+  removeDisplay,
+  describeDisplay,
+  listDisplays
+} = require('./utils/displayRegistry');
+
+const log = createLogger('server');
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
+// Every request gets an ID (X-Request-Id) that its log lines carry
+app.use(requestContext);
 app.use(cors({
   origin: (origin, callback) => {
     // Parse allowed origins from env (comma-separated)
@@ -34,6 +68,12 @@ app.use(cors({
       return callback(null, true);
     }
 
+    // Local network origins are only trusted with CORS_ALLOW_LAN=true
+    if (process.env.CORS_ALLOW_LAN !== 'true') {
+      log.warn(`🚫 CORS blocked origin: ${origin}`);
+      return callback(new Error('Not allowed by CORS'));
+    }
+
     // Allow local network IPs (192.168.x.x, 10.x.x.x, 172.16-31.x.x)
     if (/^https?:\/\/(192\.168\.\d{1,3}\.\d{1,3}|10\.\d{1,3}\.\d{1,3}\.\d{1,3}|172\.(1[6-9]|2[0-9]|3[0-1])\.\d{1,3}\.\d{1,3})(:\d+)?$/.test(origin)) {
       return callback(null, true);
@@ -45,22 +85,60 @@ app.use(cors({
     }
 
     // Log blocked origin for debugging
-    console.warn(`🚫 CORS blocked origin: ${origin}`);
+    log.warn(`🚫 CORS blocked origin: ${origin}`);
     callback(new Error('Not allowed by CORS'));
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Request-Id']
 }));
 app.use(express.json());
 
+// Every API route needs a key with the read scope (when auth is on);
+// routes that change state also check for the control scope
+app.use('/api', requireScope('read'));
+
 // Routes
+
+/**
+ * GET /health
+ * Server health. Always 200 while the server is up; status is 'degraded' or
+ * 'unhealthy' when some or all upstream services are paused by their circuit breakers.
+ * dataSource says whether sources are live or served from a fixture scenario
+ * (and fixtureNow when FIXTURE_NOW pins the clock).
+ */
 app.get('/health', (req, res) => {
   res.json({
-    status: 'healthy',
+    status: getUpstreamHealth(),
+    dataSource: getDataSource(),
+    ...(isFixtureMode() && { scenario: getScenarioName() }),
+    ...(getPinnedNow() && { fixtureNow: getPinnedNow().toISOString() }),
     timestamp: new Date().toISOString(),
     uptime: process.uptime()
   });
 });
 
+/**
+ * GET /health/sources
+ * Circuit breaker state per upstream service and the status of each dashboard source
+ */
+app.get('/health/sources', requireScope('read'), (req, res) => {
+  res.json({
+    status: getUpstreamHealth(),
+    breakers: getBreakerStatuses(),
+    sources: getSourceStatuses(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /metrics
+ * Prometheus metrics: refresh durations, source requests, cache hits, clients and broadcasts
+ */
+app.get('/metrics', requireScope('read'), (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
 // Dashboard API Routes
 
 /**
@@ -68,8 +146,9 @@ app.get('/health', (req, res) => {
  * Returns current dashboard data for the active mode
  * Query params:
  *   - mode (optional): Override the current mode for this request only
+ *   - units, timeFormat, locale (optional): Override the display format
  */
-app.get('/api/dashboard/data', async (req, res, next) => {
+app.get('/api/dashboard/data', readFormatQuery, async (req, res, next) => {
   try {
     // Use query param mode if provided, otherwise use scheduler's current mode
     const mode = req.query.mode || scheduler.getMode();
@@ -78,11 +157,11 @@ app.get('/api/dashboard/data', async (req, res, next) => {
       return res.status(400).json({
         error: 'Invalid mode',
         message: `Mode '${mode}' is not supported`,
-        validModes: ['personal', 'guest', 'briefing', 'weather', 'art']
+        validModes: getAvailableModes()
       });
     }
 
-    const data = await getDashboardData(mode);
+    const data = await getDashboardData(mode, req.format);
 
     res.json({
       success: true,
@@ -95,13 +174,70 @@ app.get('/api/dashboard/data', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/dashboard/stream
+ * Server-Sent Events stream of the same events WebSocket clients get
+ * Query params:
+ *   - mode (optional): Mode to display (defaults to following the current mode)
+ *   - units, timeFormat, locale (optional): Override the display format
+ *   - lastEventId (optional): Resume point, for clients that can't send Last-Event-ID
+ *   - displayId, name (optional): Register as a named display (the SSE form of the hello message)
+ */
+app.get('/api/dashboard/stream', readFormatQuery, (req, res) => {
+  const { mode, displayId, name } = req.query;
+
+  if (mode && !isValidMode(mode)) {
+    return res.status(400).json({
+      error: 'Invalid mode',
+      message: `Mode '${mode}' is not supported`,
+      validModes: getAvailableModes()
+    });
+  }
+
+  if (displayId !== undefined && !isValidDisplayId(displayId)) {
+    return res.status(400).json({
+      error: 'Invalid displayId',
+      message: 'displayId must be 1-64 letters, digits, ".", "_" or "-"'
+    });
+  }
+
+  const problems = name !== undefined ? validateDisplaySettings({ name }) : [];
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid name',
+      message: problems.join('; ')
+    });
+  }
+
+  const clientId = sseHandler.handleRequest(req, res);
+
+  if (displayId) {
+    const settings = scheduler.identifyDisplay(clientId, {
+      displayId,
+      name,
+      transport: 'sse',
+      ip: req.ip ? req.ip.replace(/^::ffff:/, '') : null,
+      userAgent: req.get('User-Agent') || null,
+      mode: mode || null,
+      format: req.format
+    });
+    sseHandler.sendToClient(clientId, { event: 'display:settings', data: settings });
+  }
+});
+
 /**
  * POST /api/dashboard/mode
- * Updates default mode and broadcasts update to all WebSocket clients
+ * Updates the mode for all displays, or for one display when displayId is given
+ * Body:
+ *   - mode: Mode to switch to
+ *   - displayId (optional): Display ID (from hello) or client ID (WebSocket or SSE) of the display to target
+ *   - durationMinutes (optional): How long the change overrides the mode
+ *     schedule (defaults to the schedule's overrideMinutes)
+ *   - resetDisplays (optional): Also make named displays forget their own modes
  */
-app.post('/api/dashboard/mode', async (req, res, next) => {
+app.post('/api/dashboard/mode', requireScope('control'), async (req, res, next) => {
   try {
-    const { mode } = req.body;
+    const { mode, displayId, durationMinutes, resetDisplays } = req.body;
 
     if (!mode) {
       return res.status(400).json({
@@ -114,23 +250,43 @@ app.post('/api/dashboard/mode', async (req, res, next) => {
       return res.status(400).json({
         error: 'Invalid mode',
         message: `Mode '${mode}' is not supported`,
-        validModes: ['personal', 'guest', 'briefing', 'weather', 'art']
+        validModes: getAvailableModes()
       });
     }
 
-    // Update scheduler mode
-    scheduler.setMode(mode);
+    if (displayId) {
+      // Update a single display
+      if (!scheduler.setDisplayMode(displayId, mode)) {
+        return res.status(404).json({
+          error: 'Display not found',
+          message: `No known or connected display with ID '${displayId}'`
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `Mode for display '${displayId}' updated to '${mode}'`,
+        mode: mode,
+        displayId: displayId,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    // Get fresh data with new mode
-    const data = await getDashboardData(mode);
+    if (durationMinutes !== undefined && (!Number.isFinite(durationMinutes) || durationMinutes <= 0)) {
+      return res.status(400).json({
+        error: 'Invalid durationMinutes',
+        message: '"durationMinutes" must be a positive number'
+      });
+    }
 
-    // Broadcast to all WebSocket clients
-    wsHandler.sendDashboardUpdate(data);
+    // Update scheduler mode (refreshes and sends to all WebSocket clients)
+    const overrideUntil = scheduler.setMode(mode, { durationMinutes, resetDisplays: resetDisplays === true });
 
     res.json({
       success: true,
       message: `Mode updated to '${mode}'`,
       mode: mode,
+      overrideUntil: overrideUntil ? overrideUntil.toISOString() : null,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -141,8 +297,9 @@ app.post('/api/dashboard/mode', async (req, res, next) => {
 /**
  * GET /api/dashboard/refresh
  * Triggers immediate data refresh and returns refreshed data
+ * Query params: mode, units, timeFormat, locale (optional, as for /api/dashboard/data)
  */
-app.get('/api/dashboard/refresh', async (req, res, next) => {
+app.get('/api/dashboard/refresh', requireScope('control'), readFormatQuery, async (req, res, next) => {
   try {
     const mode = req.query.mode || scheduler.getMode();
 
@@ -150,7 +307,7 @@ app.get('/api/dashboard/refresh', async (req, res, next) => {
     await scheduler.triggerRefresh();
 
     // Get fresh data for this request
-    const data = await getDashboardData(mode);
+    const data = await getDashboardData(mode, req.format);
 
     res.json({
       success: true,
@@ -163,6 +320,516 @@ app.get('/api/dashboard/refresh', async (req, res, next) => {
   }
 });
 
+// Mode Schedule API Routes
+
+/**
+ * GET /api/schedule
+ * Returns the mode schedule, the scheduled mode right now and the next change
+ */
+app.get('/api/schedule', (req, res) => {
+  res.json({
+    success: true,
+    data: scheduler.getScheduleStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * PUT /api/schedule
+ * Replaces the mode schedule (saved with the rest of the state, so it is kept across restarts)
+ * Body: schedule definition, see config/modeSchedule.json
+ */
+app.put('/api/schedule', requireScope('control'), (req, res, next) => {
+  try {
+    const status = scheduler.setSchedule(req.body);
+
+    res.json({
+      success: true,
+      message: 'Mode schedule updated',
+      data: status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.problems) {
+      return res.status(400).json({
+        error: 'Invalid schedule',
+        message: error.message,
+        problems: error.problems
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/schedule/override
+ * Ends a manual mode override so the schedule takes over again
+ */
+app.delete('/api/schedule/override', requireScope('control'), (req, res) => {
+  res.json({
+    success: true,
+    message: 'Manual override cleared',
+    data: scheduler.clearOverride(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Modes API Routes
+
+// Error names for rejected mode changes, by status code
+const MODE_ERRORS = {
+  400: 'Invalid mode',
+  403: 'Forbidden',
+  404: 'Mode not found',
+  409: 'Conflict'
+};
+
+/**
+ * Send a rejected mode change as a JSON error, or pass other errors on
+ * @param {Error} error - Error from modeManager or the scheduler
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+function sendModeError(error, res, next) {
+  if (!MODE_ERRORS[error.statusCode]) {
+    return next(error);
+  }
+
+  res.status(error.statusCode).json({
+    error: MODE_ERRORS[error.statusCode],
+    message: error.message,
+    ...(error.problems && { problems: error.problems })
+  });
+}
+
+/**
+ * GET /api/modes
+ * Lists every mode with its description and definition
+ */
+app.get('/api/modes', (req, res) => {
+  res.json({
+    success: true,
+    data: getModes(),
+    currentMode: scheduler.getMode(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/modes
+ * Adds a custom mode
+ * Body: { name, description, sections, filters, projections, extras, audience, llmTemplate }
+ */
+app.post('/api/modes', requireScope('control'), (req, res, next) => {
+  try {
+    const { name, ...definition } = req.body || {};
+    const mode = createMode(name, definition);
+
+    res.status(201).json({
+      success: true,
+      message: `Mode '${name}' created`,
+      data: mode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendModeError(error, res, next);
+  }
+});
+
+/**
+ * PUT /api/modes/:name
+ * Replaces a custom mode's definition (modes from the config file can't be changed)
+ */
+app.put('/api/modes/:name', requireScope('control'), (req, res, next) => {
+  try {
+    const { name, ...definition } = req.body || {};
+    const mode = updateMode(req.params.name, definition);
+
+    // Displays showing this mode get the new layout right away
+    scheduler.refreshDashboardData().catch(err => {
+      log.error('❌ Error refreshing data after updating mode', { error: err });
+    });
+
+    res.json({
+      success: true,
+      message: `Mode '${req.params.name}' updated`,
+      data: mode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendModeError(error, res, next);
+  }
+});
+
+/**
+ * DELETE /api/modes/:name
+ * Removes a custom mode; displays showing it return to the default mode
+ */
+app.delete('/api/modes/:name', requireScope('control'), (req, res, next) => {
+  try {
+    scheduler.removeMode(req.params.name);
+
+    res.json({
+      success: true,
+      message: `Mode '${req.params.name}' removed`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendModeError(error, res, next);
+  }
+});
+
+// Display API Routes
+
+/**
+ * Send a 404 for an unknown display
+ * @param {express.Response} res - Response
+ * @param {string} displayId - Display ID
+ */
+function sendDisplayNotFound(res, displayId) {
+  res.status(404).json({
+    error: 'Display not found',
+    message: `No display has said hello with ID '${displayId}'`
+  });
+}
+
+/**
+ * GET /api/displays
+ * Lists every display that has said hello, online displays first
+ */
+app.get('/api/displays', (req, res) => {
+  const displays = listDisplays(scheduler.getMode());
+
+  res.json({
+    success: true,
+    data: displays,
+    online: displays.filter(display => display.online).length,
+    currentMode: scheduler.getMode(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/displays/:id
+ * Returns one display with its recent connections
+ */
+app.get('/api/displays/:id', (req, res) => {
+  const display = getDisplay(req.params.id);
+  if (!display) {
+    return sendDisplayNotFound(res, req.params.id);
+  }
+
+  res.json({
+    success: true,
+    data: describeDisplay(display, scheduler.getMode(), { history: true }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * PATCH /api/displays/:id
+ * Changes a display's name or settings; they are kept across reconnects
+ * Body (all optional):
+ *   - name: Friendly name
+ *   - mode: Mode to display, or null to follow the default mode
+ *   - units, timeFormat, locale: Display format (null for the default)
+ *   - theme: Theme name for the frontend, or null
+ */
+app.patch('/api/displays/:id', requireScope('control'), (req, res) => {
+  const display = getDisplay(req.params.id);
+  if (!display) {
+    return sendDisplayNotFound(res, req.params.id);
+  }
+
+  const body = req.body || {};
+  const problems = validateDisplaySettings(body);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid display settings',
+      message: problems.join('; '),
+      problems: problems
+    });
+  }
+
+  const changes = { name: body.name, mode: body.mode, theme: body.theme };
+  const formatFields = ['units', 'timeFormat', 'locale'].filter(field => body[field] !== undefined);
+  if (formatFields.length > 0) {
+    // Fields left out keep their value; null goes back to the default
+    changes.format = { ...display.settings.format };
+    formatFields.forEach((field) => {
+      changes.format[field] = body[field];
+    });
+  }
+
+  const updated = scheduler.updateDisplaySettings(req.params.id, changes);
+
+  res.json({
+    success: true,
+    message: `Display '${updated.name}' updated`,
+    data: describeDisplay(updated, scheduler.getMode()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * DELETE /api/displays/:id
+ * Forgets an offline display, its settings and its commands
+ */
+app.delete('/api/displays/:id', requireScope('control'), (req, res) => {
+  const display = getDisplay(req.params.id);
+  if (!display) {
+    return sendDisplayNotFound(res, req.params.id);
+  }
+
+  if (display.clientId) {
+    return res.status(409).json({
+      error: 'Display online',
+      message: `Display '${display.name}' is connected; it would register again right away`
+    });
+  }
+
+  removeDisplay(req.params.id);
+  displayCommands.removeCommands(req.params.id);
+
+  res.json({
+    success: true,
+    message: `Display '${display.name}' removed`,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Errors from displayCommands, by status code
+const COMMAND_ERRORS = {
+  400: 'Invalid command',
+  403: 'Forbidden',
+  404: 'Not found',
+  409: 'Conflict'
+};
+
+/**
+ * Send a rejected command as a JSON error, or pass other errors on
+ * @param {Error} error - Error from displayCommands
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+function sendCommandError(error, res, next) {
+  if (!COMMAND_ERRORS[error.statusCode]) {
+    return next(error);
+  }
+
+  res.status(error.statusCode).json({
+    error: COMMAND_ERRORS[error.statusCode],
+    message: error.message,
+    ...(error.problems && { problems: error.problems })
+  });
+}
+
+/**
+ * POST /api/displays/:id/commands
+ * Sends a command to a display, or queues it until the display reconnects
+ * Body:
+ *   - type: reload, toast, overlay, brightness, dim, rotate or identify
+ *   - params (optional): Command params, e.g. { message } for a toast
+ *   - ttlSeconds (optional): How long to keep it for an offline display
+ *     (defaults to COMMAND_QUEUE_TTL_SECONDS; 0 = only if online now)
+ *   - wait (optional): Wait for the display's ack (or the ack timeout) before responding
+ */
+app.post('/api/displays/:id/commands', requireScope('control'), async (req, res, next) => {
+  try {
+    const { wait, ...request } = req.body || {};
+    let command = displayCommands.send(req.params.id, request);
+
+    if (wait) {
+      command = await displayCommands.waitForResult(command);
+    }
+
+    const pending = command.status === 'queued' || command.status === 'sent';
+    res.status(pending ? 202 : 200).json({
+      success: true,
+      message: `Command '${command.type}' ${command.status}`,
+      data: command,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendCommandError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/displays/:id/commands
+ * Lists a display's pending and recent commands, newest first
+ */
+app.get('/api/displays/:id/commands', (req, res) => {
+  if (!getDisplay(req.params.id)) {
+    return sendDisplayNotFound(res, req.params.id);
+  }
+
+  res.json({
+    success: true,
+    data: displayCommands.listCommands(req.params.id),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/displays/:id/commands/:commandId
+ * Returns one command and its delivery status
+ */
+app.get('/api/displays/:id/commands/:commandId', (req, res) => {
+  displayCommands.expireQueued();
+  const command = displayCommands.getCommand(req.params.id, req.params.commandId);
+
+  if (!command) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Display '${req.params.id}' has no command '${req.params.commandId}'`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: command,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/displays/:id/commands/:commandId/ack
+ * Acknowledges a command, for displays on the SSE stream (WebSocket
+ * displays send a command:ack message)
+ * Body:
+ *   - ackToken: Token sent with the display:command event
+ *   - success, error (optional): { success: false, error } if the display couldn't carry it out
+ */
+app.post('/api/displays/:id/commands/:commandId/ack', (req, res, next) => {
+  try {
+    const { ackToken, success, error } = req.body || {};
+    const command = displayCommands.acknowledge(req.params.commandId, {
+      displayId: req.params.id,
+      ackToken,
+      success,
+      error
+    });
+
+    res.json({
+      success: true,
+      data: command,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendCommandError(error, res, next);
+  }
+});
+
+// Cache API Routes
+
+/**
+ * GET /api/cache
+ * Returns each cache namespace's TTL and entries (age, state, hit counts)
+ */
+app.get('/api/cache', (req, res) => {
+  res.json({
+    success: true,
+    data: getCacheStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * DELETE /api/cache
+ * Clears cached responses so the next refresh fetches fresh data
+ * Query params:
+ *   - namespace (optional): Only clear this namespace (weather, calendar, todos...)
+ *   - key (optional): Only clear this key within the namespace
+ */
+app.delete('/api/cache', requireScope('control'), (req, res) => {
+  const { namespace, key } = req.query;
+
+  if (namespace !== undefined && !NAMESPACES[namespace]) {
+    return res.status(400).json({
+      error: 'Invalid namespace',
+      message: `Namespace must be one of: ${Object.keys(NAMESPACES).join(', ')}`
+    });
+  }
+
+  if (key !== undefined && namespace === undefined) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'key requires a namespace'
+    });
+  }
+
+  const removed = invalidate(namespace, key);
+
+  res.json({
+    success: true,
+    message: `Cleared ${removed} cached entr${removed === 1 ? 'y' : 'ies'}`,
+    data: { removed: removed },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Calendar API Routes
+
+/**
+ * GET /api/calendar
+ * Returns upcoming events grouped by day, starting tomorrow
+ * Query params:
+ *   - days (optional): Number of days to look ahead (1 = tomorrow only,
+ *     defaults to AGENDA_LOOKAHEAD_DAYS or 7)
+ *   - units, timeFormat, locale (optional): Override the display format
+ */
+app.get('/api/calendar', readFormatQuery, async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? undefined : Number(req.query.days);
+
+    if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > MAX_LOOKAHEAD_DAYS)) {
+      return res.status(400).json({
+        error: 'Invalid days',
+        message: `Query param "days" must be an integer between 1 and ${MAX_LOOKAHEAD_DAYS}`
+      });
+    }
+
+    const lookahead = await getLookahead(days);
+
+    res.json({
+      success: true,
+      days: lookahead.length,
+      data: formatLookahead(lookahead, req.format),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Todo API Routes
+
+/**
+ * POST /api/todos/:id/complete
+ * Completes a todo (Todoist task, or fixture todo in fixture mode)
+ * Clients are updated optimistically and rolled back if the upstream rejects it
+ */
+app.post('/api/todos/:id/complete', requireScope('control'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await scheduler.completeTodo(id);
+
+    res.json({
+      success: true,
+      message: `Todo '${id}' completed`,
+      id: id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    // Problems with the request itself (e.g. an unknown task) keep their status;
+    // other upstream rejections surface as a bad gateway unless more specific
+    error.statusCode = error.statusCode || (error.kind === 'request' ? error.status || 400 : 502);
+    next(error);
+  }
+});
+
 // 404 handler - must be after all routes
 app.use((req, res) => {
   res.status(404).json({
@@ -174,23 +841,24 @@ app.use((req, res) => {
 
 // Global error handling middleware - must be last
 app.use((err, req, res, next) => {
-  // Log error details
-  console.error('❌ API Error:', {
-    message: err.message,
-    stack: err.stack,
-    path: req.path,
-    method: req.method,
-    timestamp: new Date().toISOString()
-  });
-
   // Determine status code
   const statusCode = err.statusCode || err.status || 500;
 
+  // Client mistakes are warnings; anything else is ours to fix
+  const level = statusCode < 500 ? 'warn' : 'error';
+  log[level]('❌ API Error', {
+    method: req.method,
+    path: req.path,
+    statusCode,
+    error: err
+  });
+
   // Send clean JSON error response
   res.status(statusCode).json({
     error: err.name || 'Internal Server Error',
     message: err.message || 'An unexpected error occurred',
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
+    requestId: req.id,
     timestamp: new Date().toISOString()
   });
 });
@@ -199,27 +867,104 @@ app.use((err, req, res, next) => {
 const server = http.createServer(app);
 
 // Create WebSocket server
-const wss = new WebSocketServer({ server });
+// Connections need a key with the read scope (?token= or a "bearer.<key>" subprotocol)
+const wss = new WebSocketServer({
+  server,
+  verifyClient: verifyWebSocketClient,
+  handleProtocols: selectWebSocketProtocol
+});
 
-// Initialize WebSocket handler
+// Initialize WebSocket and Server-Sent Events handlers
 wsHandler.initialize(wss);
+sseHandler.initialize();
+
+// WebSocket message handlers
+wsHandler.registerMessageHandler('hello', async ({ displayId, name }, ws) => {
+  if (!isValidDisplayId(displayId)) {
+    throw new Error('Message must include a "displayId" of 1-64 letters, digits, ".", "_" or "-"');
+  }
+
+  const problems = name !== undefined ? validateDisplaySettings({ name }) : [];
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  return scheduler.identifyDisplay(ws.clientId, {
+    displayId,
+    name,
+    transport: 'websocket',
+    ip: ws.ip,
+    userAgent: ws.userAgent,
+    mode: ws.mode,
+    format: ws.format
+  });
+});
+
+wsHandler.registerMessageHandler('todo:complete', async ({ id }) => {
+  if (!id) {
+    throw new Error('Message must include "id" field');
+  }
+
+  await scheduler.completeTodo(id);
+  return { id };
+}, { scope: 'control' });
+
+wsHandler.registerMessageHandler('command:ack', async ({ commandId, success, error }, ws) => {
+  const display = findDisplayByClientId(ws.clientId);
+  if (!display) {
+    throw new Error('Send a hello message before acknowledging commands');
+  }
+
+  const command = displayCommands.acknowledge(commandId, { displayId: display.id, clientId: ws.clientId, success, error });
+  return { commandId, status: command.status };
+});
+
+wsHandler.registerMessageHandler('mode:set', async ({ mode }, ws) => {
+  // A null mode makes the display follow the default mode again
+  if (mode && !isValidMode(mode)) {
+    throw new Error(`Mode '${mode}' is not supported`);
+  }
+
+  scheduler.setDisplayMode(ws.clientId, mode || null);
+  return { mode: mode || null };
+});
+
+wsHandler.registerMessageHandler('format:set', async (message, ws) => {
+  // Fields left out (or null) use the server defaults
+  const format = pickFormat(message);
+  const problems = validateFormat(format);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`🚀 HTTP Server running on port ${PORT}`);
-  console.log(`🔌 WebSocket Server running on port ${PORT}`);
-  console.log(`📊 Health check available at http://localhost:${PORT}/health`);
+  scheduler.setDisplayFormat(ws.clientId, format);
+  return { format: resolveFormat(format) };
+});
+
+// Start server once saved state is restored, so a mode change or hello that
+// arrives early can't be undone by the restore
+scheduler.loadSavedState().then(() => server.listen(PORT, () => {
+  log.info(`🚀 HTTP Server running on port ${PORT}`);
+  log.info(`🔌 WebSocket Server running on port ${PORT}`);
+  log.info(`📊 Health check available at http://localhost:${PORT}/health`);
+  if (isAuthEnabled()) {
+    log.info('🔒 API key authentication enabled');
+  } else {
+    log.warn('⚠️  API key authentication is off (no API keys file), anyone on the network can control the dashboard');
+  }
 
   // Start scheduler after server is ready
   scheduler.startScheduler();
-});
+}));
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
+process.on('SIGTERM', async () => {
+  log.info('🛑 SIGTERM signal received: closing HTTP server');
   scheduler.stopScheduler();
+  await scheduler.persistState();
   wsHandler.shutdown();
+  sseHandler.shutdown();
   server.close(() => {
-    console.log('HTTP server closed');
+    log.info('✅ HTTP server closed');
   });
 });
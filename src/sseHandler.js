@@ -0,0 +1,378 @@
+const eventBus = require('./eventBus');
+const { authorize, getRequestToken } = require('./utils/auth');
+const { resolveFormat } = require('./utils/formatting');
+const { collect } = require('./utils/metrics');
+const { createLogger } = require('./utils/logger');
+
+const log = createLogger('sse');
+
+const HEARTBEAT_INTERVAL = (parseInt(process.env.SSE_HEARTBEAT_INTERVAL) || 15) * 1000; // 15 seconds
+const RETRY_DELAY = 5000; // How long browsers wait before reconnecting
+
+class ServerSentEventsHandler {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeatInterval = null;
+  }
+
+  /**
+   * Subscribe to the shared event bus and start heartbeats
+   */
+  initialize() {
+    eventBus.registerTransport(this);
+    eventBus.on('dashboard', update => this.sendDashboardUpdate(update));
+    eventBus.on('broadcast', entry => this.broadcast(entry));
+    collect('connected_clients', () => [{ labels: { transport: 'sse' }, value: this.getActiveConnectionCount() }]);
+
+    this.startHeartbeat();
+  }
+
+  /**
+   * Open an event stream for a display (Express handler)
+   * Expects a valid `req.query.mode` and `req.format` (see readFormatQuery).
+   * A `Last-Event-ID` header (or ?lastEventId=) resumes after the last event the display saw.
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   * @returns {string} Client ID of the new stream
+   */
+  handleRequest(req, res) {
+    const clientId = this.generateClientId();
+    const client = {
+      clientId: clientId,
+      res: res,
+      authToken: getRequestToken(req), // Checked again on each heartbeat
+      mode: req.query.mode || null, // null = follow the default mode
+      format: req.format, // Display format overrides
+      stream: null, // Stream (mode + format) of the last payload sent
+      version: null // Version of the last payload sent
+    };
+
+    req.socket.setTimeout(0);
+    req.socket.setNoDelay(true);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+    this.clients.add(client);
+    log.info('✅ SSE client connected', { clientId, connections: this.clients.size });
+
+    // Sent without an ID so the browser keeps its Last-Event-ID
+    this.sendEvent(client, {
+      event: 'connection',
+      data: {
+        message: 'Connected to TV Dashboard API',
+        clientId: clientId,
+        mode: client.mode,
+        format: resolveFormat(client.format)
+      }
+    });
+
+    const lastVersion = this.parseEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+    const missed = lastVersion !== null ? eventBus.getEventsSince(lastVersion) : [];
+    if (lastVersion !== null) {
+      log.info(`🔄 Resuming after version ${lastVersion} (${missed.length} missed event(s))`, { clientId });
+    }
+
+    // Send the last snapshot unless the display already has it, in version
+    // order with missed events so the browser's Last-Event-ID only moves forward
+    const snapshot = eventBus.getSnapshot(client.mode, client.format);
+    if (snapshot && lastVersion !== null && snapshot.version <= lastVersion) {
+      client.stream = snapshot.stream;
+      client.version = snapshot.version;
+    } else if (snapshot) {
+      missed.push({ ...snapshot, event: 'dashboard:update' });
+    }
+
+    missed
+      .sort((a, b) => a.version - b.version)
+      .forEach(entry => (entry.stream ? this.sendFullUpdate(client, entry) : this.sendEvent(client, entry)));
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      log.info('❌ SSE client disconnected', { clientId, connections: this.clients.size });
+      eventBus.emit('disconnect', { clientId, transport: 'sse' });
+    });
+
+    return clientId;
+  }
+
+  /**
+   * Build an event ID from a version
+   * IDs carry the run they come from, since versions restart with the server.
+   * @param {number} version - Event bus version
+   * @returns {string} Event ID, e.g. "lq3k2x9a-42"
+   */
+  formatEventId(version) {
+    return `${eventBus.runId}-${version}`;
+  }
+
+  /**
+   * Read the version from a Last-Event-ID
+   * @param {string} [eventId] - Event ID sent by the display
+   * @returns {number|null} Version, or null if missing or from an earlier run
+   */
+  parseEventId(eventId) {
+    const match = /^([a-z0-9]+)-(\d+)$/.exec(String(eventId || '').trim());
+
+    if (!match || match[1] !== eventBus.runId) {
+      return null;
+    }
+
+    return parseInt(match[2], 10);
+  }
+
+  /**
+   * Write an event to a display
+   * The data is the same JSON message a WebSocket client receives.
+   * @param {Object} client - SSE client
+   * @param {Object} payload - Message payload with event and data (and version, if any)
+   */
+  sendEvent(client, payload) {
+    if (client.res.writableEnded) {
+      return;
+    }
+
+    const message = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      ...payload
+    });
+
+    const lines = [];
+    if (payload.version !== undefined) {
+      lines.push(`id: ${this.formatEventId(payload.version)}`);
+    }
+    lines.push(`event: ${payload.event}`, `data: ${message}`);
+
+    client.res.write(`${lines.join('\n')}\n\n`);
+  }
+
+  /**
+   * Send a full payload to a display and mark it as up to date
+   * @param {Object} client - SSE client
+   * @param {Object} snapshot - { stream, version, data }
+   */
+  sendFullUpdate(client, snapshot) {
+    this.sendEvent(client, {
+      event: 'dashboard:update',
+      data: snapshot.data,
+      version: snapshot.version
+    });
+    client.stream = snapshot.stream;
+    client.version = snapshot.version;
+  }
+
+  /**
+   * Send a payload published on the event bus to every display subscribed to its stream
+   * SSE displays always get the full payload.
+   * @param {Object} snapshot - { stream, version, data, defaultMode } from the event bus
+   */
+  sendDashboardUpdate(snapshot) {
+    let sentCount = 0;
+    this.clients.forEach((client) => {
+      if (this.getClientStream(client, snapshot.defaultMode).key !== snapshot.stream) {
+        return;
+      }
+      if (client.stream === snapshot.stream && client.version === snapshot.version) {
+        return;
+      }
+
+      this.sendFullUpdate(client, snapshot);
+      sentCount++;
+    });
+
+    if (sentCount > 0) {
+      log.debug(`📡 Sent '${snapshot.data.mode}' v${snapshot.version} to ${sentCount} SSE client(s)`);
+    }
+  }
+
+  /**
+   * Send an event published on the event bus to every display
+   * @param {Object} entry - { version, event, data, timestamp } from the event bus
+   */
+  broadcast(entry) {
+    this.clients.forEach(client => this.sendEvent(client, entry));
+
+    if (this.clients.size > 0) {
+      log.debug(`📡 Broadcast '${entry.event}' to ${this.clients.size} SSE client(s)`);
+    }
+  }
+
+  /**
+   * Start heartbeats, which keep proxies from closing idle streams
+   * Displays whose API key was removed or expired are disconnected.
+   */
+  startHeartbeat() {
+    this.heartbeatInterval = setInterval(() => {
+      this.clients.forEach((client) => {
+        if (!authorize(client.authToken, 'read').ok) {
+          log.warn('🔒 Closing SSE stream with revoked API key', { clientId: client.clientId });
+          this.sendEvent(client, { event: 'error', data: { message: 'Unauthorized' } });
+          this.clients.delete(client);
+          client.res.end();
+          return;
+        }
+
+        this.sendEvent(client, { event: 'heartbeat', data: {} });
+      });
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  /**
+   * Stop heartbeat interval
+   */
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
+
+  /**
+   * Find a connected display by ID
+   * @param {string} clientId - Client ID
+   * @returns {Object|null} SSE client
+   */
+  findClient(clientId) {
+    for (const client of this.clients) {
+      if (client.clientId === clientId) {
+        return client;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Send a message to a specific display
+   * @param {string} clientId - Target client ID
+   * @param {Object} payload - Message payload with event and data
+   * @returns {boolean} True if the display was found
+   */
+  sendToClient(clientId, payload) {
+    const client = this.findClient(clientId);
+    if (client) {
+      this.sendEvent(client, payload);
+    }
+    return !!client;
+  }
+
+  /**
+   * Send a specific display the current payload for its mode and format
+   * @param {string} clientId - Target client ID
+   * @returns {boolean} True if the display was found and there was data to send
+   */
+  sendSnapshotToClient(clientId) {
+    const client = this.findClient(clientId);
+    const snapshot = client ? eventBus.getSnapshot(client.mode, client.format) : null;
+
+    if (!snapshot) {
+      return false;
+    }
+
+    this.sendFullUpdate(client, snapshot);
+    return true;
+  }
+
+  /**
+   * Get the mode and display format a display is shown
+   * @param {Object} client - SSE client
+   * @param {string} defaultMode - Mode used when the display has not chosen one
+   * @returns {Object} { key, mode, format }
+   */
+  getClientStream(client, defaultMode) {
+    const mode = client.mode || defaultMode;
+    const format = resolveFormat(client.format);
+
+    return { key: eventBus.getStreamKey(mode, format), mode, format };
+  }
+
+  /**
+   * Set the mode for a specific display
+   * @param {string} clientId - Target client ID
+   * @param {string|null} mode - Mode to display, or null to follow the default
+   * @returns {boolean} True if the display was found
+   */
+  setClientMode(clientId, mode) {
+    const client = this.findClient(clientId);
+    if (client) {
+      client.mode = mode || null;
+    }
+    return !!client;
+  }
+
+  /**
+   * Set the display format for a specific display
+   * @param {string} clientId - Target client ID
+   * @param {Object} format - Valid format overrides ({} for the defaults)
+   * @returns {boolean} True if the display was found
+   */
+  setClientFormat(clientId, format) {
+    const client = this.findClient(clientId);
+    if (client) {
+      client.format = format;
+    }
+    return !!client;
+  }
+
+  /**
+   * Make every display follow the default mode again
+   * @param {string} [mode] - Only reset displays showing this mode
+   */
+  clearClientModes(mode) {
+    this.clients.forEach((client) => {
+      if (!mode || client.mode === mode) {
+        client.mode = null;
+      }
+    });
+  }
+
+  /**
+   * Get the distinct streams (mode + display format) connected displays are shown
+   * @param {string} defaultMode - Mode used by displays that have not chosen one
+   * @returns {Array<Object>} { key, mode, format } per stream
+   */
+  getSubscribedStreams(defaultMode) {
+    const streams = new Map();
+    this.clients.forEach((client) => {
+      const stream = this.getClientStream(client, defaultMode);
+      streams.set(stream.key, stream);
+    });
+    return Array.from(streams.values());
+  }
+
+  /**
+   * Generate unique client ID
+   * @returns {string} Unique client ID
+   */
+  generateClientId() {
+    return `sse_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Get count of active streams
+   * @returns {number} Number of connected displays
+   */
+  getActiveConnectionCount() {
+    return this.clients.size;
+  }
+
+  /**
+   * Close all streams and stop heartbeats
+   */
+  shutdown() {
+    log.info('🛑 Shutting down SSE handler...');
+    this.stopHeartbeat();
+
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+    log.info('✅ SSE handler shut down');
+  }
+}
+
+// Export singleton instance
+const sseHandler = new ServerSentEventsHandler();
+
+module.exports = sseHandler;
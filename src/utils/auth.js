@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('auth');
+
+/**
+ * API key authentication
+ *
+ * Keys live in config/apiKeys.json (or AUTH_KEYS_PATH):
+ *
+ * {
+ *   "keys": [
+ *     { "name": "living-room-tv", "sha256": "<hex sha256 of the key>", "scopes": ["read"] },
+ *     { "name": "home-assistant", "key": "<the key>", "scopes": ["read", "control"], "expiresAt": "2026-01-01" }
+ *   ]
+ * }
+ *
+ * Scopes:
+ *   - read: dashboard data, status endpoints and WebSocket updates
+ *   - control: anything that changes state (mode, schedule, cache, todos); includes read
+ *
+ * The file is re-read whenever it changes, so keys can be added and removed
+ * without a restart. Without the file at startup, authentication is off; if
+ * the file goes missing after keys have loaded, the last keys stay in use
+ * until a restart.
+ */
+
+const SCOPES = ['read', 'control'];
+const PROTOCOL_PREFIX = 'bearer.'; // WebSocket subprotocol carrying a token
+
+let loadedKeys = [];
+let loadedKeysPath = null;
+let loadedKeysMtime = null;
+let keysEverLoaded = false;
+
+/**
+ * Get the path of the API keys file
+ * @returns {string} Absolute path
+ */
+function getKeysPath() {
+  const keysPath = process.env.AUTH_KEYS_PATH || path.join(__dirname, '../../config/apiKeys.json');
+
+  return path.isAbsolute(keysPath)
+    ? keysPath
+    : path.resolve(process.cwd(), keysPath);
+}
+
+/**
+ * Hash a key for comparison
+ * @param {string} key - API key
+ * @returns {string} Hex sha256
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Check an API key entry for mistakes
+ * @param {Object} entry - Key entry
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateKey(entry) {
+  const problems = [];
+
+  if (!entry || typeof entry !== 'object') {
+    return ['must be an object'];
+  }
+  if (!entry.name || typeof entry.name !== 'string') {
+    problems.push('name is required');
+  }
+  if (!entry.key && !/^[a-f0-9]{64}$/i.test(entry.sha256 || '')) {
+    problems.push('needs a key or a sha256 hash');
+  }
+  if (!Array.isArray(entry.scopes) || entry.scopes.length === 0 || entry.scopes.some(scope => !SCOPES.includes(scope))) {
+    problems.push(`scopes must be a list of ${SCOPES.join(', ')}`);
+  }
+  if (entry.expiresAt !== undefined && Number.isNaN(new Date(entry.expiresAt).getTime())) {
+    problems.push('expiresAt must be a date');
+  }
+
+  return problems;
+}
+
+/**
+ * Load API keys from the config file, skipping invalid ones
+ * The file is re-read whenever it changes on disk.
+ * @returns {Array<Object>|null} Valid keys ({ name, hash, scopes, expiresAt }), or null if auth is off
+ */
+function loadKeys() {
+  const keysPath = getKeysPath();
+
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = fs.statSync(keysPath));
+  } catch (error) {
+    if (!keysEverLoaded) {
+      loadedKeysPath = keysPath;
+      return null;
+    }
+    // Don't let a deleted or half-replaced file turn authentication off
+    if (loadedKeysMtime !== null) {
+      log.error(`❌ API keys file missing, keeping the last loaded keys: ${keysPath}`);
+    }
+    loadedKeysMtime = null;
+    return loadedKeys;
+  }
+
+  if (keysPath === loadedKeysPath && mtimeMs === loadedKeysMtime) {
+    return loadedKeys;
+  }
+
+  // Remember this version even if it is broken, so errors are only reported once
+  loadedKeysPath = keysPath;
+  loadedKeysMtime = mtimeMs;
+  keysEverLoaded = true;
+
+  try {
+    const config = JSON.parse(fs.readFileSync(keysPath, 'utf8'));
+    if (!config || !Array.isArray(config.keys)) {
+      throw new Error('keys file must contain a "keys" array');
+    }
+
+    loadedKeys = config.keys
+      .filter((entry) => {
+        const problems = validateKey(entry);
+        if (problems.length > 0) {
+          log.warn(`⚠️  Skipping API key '${entry && entry.name}': ${problems.join(', ')}`);
+          return false;
+        }
+        return true;
+      })
+      .map(entry => ({
+        name: entry.name,
+        hash: entry.key ? hashKey(entry.key) : entry.sha256.toLowerCase(),
+        scopes: entry.scopes,
+        expiresAt: entry.expiresAt ? new Date(entry.expiresAt) : null
+      }));
+
+    log.info(`✅ Loaded ${loadedKeys.length} API key(s) from ${keysPath}`);
+  } catch (error) {
+    // Keep the previous keys rather than locking everyone out (or letting everyone in)
+    log.error(`❌ Failed to load API keys from ${keysPath}`, { error });
+  }
+
+  return loadedKeys;
+}
+
+/**
+ * Check whether authentication is on (the keys file has been found since startup)
+ * @returns {boolean} True if requests need a key
+ */
+function isAuthEnabled() {
+  return loadKeys() !== null;
+}
+
+/**
+ * Check a token against the configured keys
+ * @param {string|null} token - Presented API key
+ * @param {string} scope - Required scope ('read' or 'control')
+ * @returns {Object} { ok, key } on success, { ok: false, status, error, message } otherwise
+ */
+function authorize(token, scope) {
+  const keys = loadKeys();
+
+  if (keys === null) {
+    return { ok: true, key: null };
+  }
+
+  if (!token) {
+    return { ok: false, status: 401, error: 'Unauthorized', message: 'An API key is required' };
+  }
+
+  const presented = Buffer.from(hashKey(token), 'hex');
+  const key = keys.find(entry => crypto.timingSafeEqual(Buffer.from(entry.hash, 'hex'), presented));
+
+  if (!key || (key.expiresAt && key.expiresAt <= new Date())) {
+    return { ok: false, status: 401, error: 'Unauthorized', message: 'Invalid or expired API key' };
+  }
+
+  if (!key.scopes.includes(scope) && !(scope === 'read' && key.scopes.includes('control'))) {
+    return { ok: false, status: 403, error: 'Forbidden', message: `API key '${key.name}' does not have the '${scope}' scope` };
+  }
+
+  return { ok: true, key: { name: key.name, scopes: key.scopes } };
+}
+
+/**
+ * Read the token from an HTTP request
+ * Accepts "Authorization: Bearer <key>", "X-API-Key: <key>" or ?token=<key>.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} Token, or null if none
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (match) {
+    return match[1].trim();
+  }
+
+  if (req.headers['x-api-key']) {
+    return String(req.headers['x-api-key']).trim();
+  }
+
+  try {
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the token from a WebSocket upgrade request
+ * Accepts ?token=<key> or a "bearer.<key>" subprotocol.
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {string|null} Token, or null if none
+ */
+function getWebSocketToken(req) {
+  const protocols = (req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(protocol => protocol.trim());
+  const bearer = protocols.find(protocol => protocol.startsWith(PROTOCOL_PREFIX));
+
+  if (bearer) {
+    return bearer.slice(PROTOCOL_PREFIX.length);
+  }
+
+  return getRequestToken(req);
+}
+
+/**
+ * Express middleware that requires a key with a scope
+ * @param {string} scope - 'read' or 'control'
+ * @returns {Function} Middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    const result = authorize(getRequestToken(req), scope);
+
+    if (!result.ok) {
+      if (result.status === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      return res.status(result.status).json({
+        error: result.error,
+        message: result.message
+      });
+    }
+
+    req.auth = result.key;
+    next();
+  };
+}
+
+/**
+ * WebSocketServer verifyClient hook: require a key with the read scope
+ * @param {Object} info - { origin, secure, req }
+ * @param {Function} callback - (allowed, statusCode, message)
+ */
+function verifyWebSocketClient(info, callback) {
+  const token = getWebSocketToken(info.req);
+  const result = authorize(token, 'read');
+
+  if (!result.ok) {
+    log.warn(`🚫 WebSocket connection refused: ${result.message}`);
+    return callback(false, result.status, result.error);
+  }
+
+  info.req.authToken = token;
+  callback(true);
+}
+
+/**
+ * WebSocketServer handleProtocols hook
+ * Picks the client's first real subprotocol, falling back to the token one
+ * (browsers drop the connection unless one of their protocols is selected).
+ * @param {Set<string>} protocols - Protocols offered by the client
+ * @returns {string|false} Selected protocol
+ */
+function selectWebSocketProtocol(protocols) {
+  const offered = Array.from(protocols);
+  return offered.find(protocol => !protocol.startsWith(PROTOCOL_PREFIX)) || offered[0] || false;
+}
+
+module.exports = {
+  authorize,
+  isAuthEnabled,
+  requireScope,
+  getRequestToken,
+  verifyWebSocketClient,
+  selectWebSocketProtocol,
+  hashKey,
+  SCOPES
+};
@@ -0,0 +1,347 @@
+const { reportSourceFailure } = require('./sourceStatus');
+const { collect } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cache');
+
+/**
+ * Shared response cache for upstream clients
+ *
+ * Responses are cached per namespace (weather, calendar, todos...) and key.
+ * - Within the namespace's TTL the cached value is returned.
+ * - For CACHE_STALE_SECONDS after that, the stale value is still returned right
+ *   away while a fresh copy is fetched in the background.
+ * - Older or missing entries are fetched before returning.
+ * - If a fetch fails, any cached value is returned instead (reported as stale).
+ * Concurrent callers asking for the same key share one request.
+ *
+ * TTLs can be changed with CACHE_TTL_<NAMESPACE> in seconds, e.g. CACHE_TTL_CALENDAR=300.
+ * Cached values must be JSON-serializable so they can be saved across restarts.
+ */
+
+const STALE_WINDOW = (parseInt(process.env.CACHE_STALE_SECONDS) || 300) * 1000;
+
+// Default TTLs (seconds) and the dashboard source each namespace feeds
+const NAMESPACES = {
+  weather: { ttl: 10 * 60, source: 'weather' },
+  forecast: { ttl: 10 * 60, source: 'forecast' },
+  weatherAlerts: { ttl: 10 * 60, source: 'weatherAlerts' },
+  calendar: { ttl: 2 * 60, source: 'calendar' },
+  calendarUpcoming: { ttl: 15 * 60, source: 'lookahead' },
+  todos: { ttl: 60, source: 'todos' },
+  localEvents: { ttl: 30 * 60, source: 'localEvents' },
+  llm: { ttl: (parseInt(process.env.LLM_CACHE_MINUTES) || 15) * 60, source: key => `llm:${key}` }
+};
+
+// Namespace → Map of key → entry
+const entries = new Map();
+
+// Namespace → { hit, stale, miss } lookup counts since startup (kept when entries are dropped)
+const lookups = new Map();
+
+/**
+ * Get a namespace's TTL
+ * @param {string} namespace - Cache namespace
+ * @returns {number} TTL in milliseconds
+ */
+function getTtl(namespace) {
+  const envName = `CACHE_TTL_${namespace.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+  const seconds = parseInt(process.env[envName]);
+  return (Number.isNaN(seconds) ? NAMESPACES[namespace].ttl : seconds) * 1000;
+}
+
+/**
+ * Get the dashboard source a cache entry feeds
+ * @param {string} namespace - Cache namespace
+ * @param {string} key - Cache key
+ * @returns {string} Source name
+ */
+function getSourceName(namespace, key) {
+  const { source } = NAMESPACES[namespace];
+  return typeof source === 'function' ? source(key) : source;
+}
+
+/**
+ * Drop a namespace's entries that are too old to be served without a fetch
+ * Keeps keys that change over time (dates, ranges) from piling up.
+ * @param {string} namespace - Cache namespace
+ * @param {Map} namespaceEntries - Key → entry
+ */
+function pruneExpired(namespace, namespaceEntries) {
+  const maxAge = getTtl(namespace) + STALE_WINDOW;
+  const now = Date.now();
+
+  namespaceEntries.forEach((entry, key) => {
+    if (!entry.pending && (entry.fetchedAt === null || now - entry.fetchedAt >= maxAge)) {
+      namespaceEntries.delete(key);
+    }
+  });
+}
+
+/**
+ * Get or create the entry for a key
+ * @param {string} namespace - Cache namespace
+ * @param {string} key - Cache key
+ * @returns {Object} Entry
+ */
+function getEntry(namespace, key) {
+  if (!entries.has(namespace)) {
+    entries.set(namespace, new Map());
+  }
+
+  const namespaceEntries = entries.get(namespace);
+  if (!namespaceEntries.has(key)) {
+    pruneExpired(namespace, namespaceEntries);
+    namespaceEntries.set(key, {
+      value: undefined,
+      fetchedAt: null,
+      error: null,
+      pending: null,
+      hits: 0,
+      misses: 0,
+      coalesced: 0
+    });
+  }
+
+  return namespaceEntries.get(key);
+}
+
+/**
+ * Fetch a fresh value for an entry, sharing the request with concurrent callers
+ * @param {string} namespace - Cache namespace
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry
+ * @param {Function} fetcher - Async function returning the value
+ * @returns {Promise<*>} Fresh value
+ */
+function revalidate(namespace, key, entry, fetcher) {
+  if (entry.pending) {
+    entry.coalesced++;
+    return entry.pending;
+  }
+
+  log.debug(`🔄 Fetching fresh ${namespace} data (${key})`);
+  entry.pending = Promise.resolve()
+    .then(fetcher)
+    .then((value) => {
+      entry.value = value;
+      entry.fetchedAt = Date.now();
+      entry.error = null;
+      return value;
+    }, (error) => {
+      entry.error = error.message;
+      throw error;
+    })
+    .finally(() => {
+      entry.pending = null;
+    });
+
+  return entry.pending;
+}
+
+/**
+ * Return a cached value, noting when it is stale because refreshing failed
+ * @param {string} namespace - Cache namespace
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry
+ * @returns {*} Cached value
+ */
+function serveCached(namespace, key, entry) {
+  if (entry.error) {
+    reportSourceFailure(getSourceName(namespace, key), entry.error, { stale: true });
+  }
+  return entry.value;
+}
+
+/**
+ * Get a value from the cache, fetching it when needed
+ * @param {string} namespace - Cache namespace (see NAMESPACES)
+ * @param {string} key - Cache key (must not contain secrets, it is shown by GET /api/cache)
+ * @param {Function} fetcher - Async function returning a fresh value
+ * @returns {Promise<*>} Cached or fresh value
+ * @throws {Error} If the fetch fails and nothing is cached
+ */
+async function cached(namespace, key, fetcher) {
+  if (!NAMESPACES[namespace]) {
+    throw new Error(`Unknown cache namespace: ${namespace}`);
+  }
+
+  const entry = getEntry(namespace, key);
+  const ttl = getTtl(namespace);
+  const age = entry.fetchedAt === null ? Infinity : Date.now() - entry.fetchedAt;
+
+  if (age < ttl) {
+    entry.hits++;
+    countLookup(namespace, 'hit');
+    return serveCached(namespace, key, entry);
+  }
+
+  if (age < ttl + STALE_WINDOW) {
+    entry.hits++;
+    countLookup(namespace, 'stale');
+    revalidate(namespace, key, entry, fetcher).catch((error) => {
+      log.error(`❌ Background refresh of ${namespace} data failed`, { error });
+    });
+    return serveCached(namespace, key, entry);
+  }
+
+  entry.misses++;
+  countLookup(namespace, 'miss');
+  try {
+    return await revalidate(namespace, key, entry, fetcher);
+  } catch (error) {
+    if (entry.fetchedAt === null) {
+      throw error;
+    }
+
+    log.warn(`📦 Returning stale cached ${namespace} data due to failure`, { error });
+    return serveCached(namespace, key, entry);
+  }
+}
+
+/**
+ * Count a cache lookup for the metrics
+ * @param {string} namespace - Cache namespace
+ * @param {string} result - 'hit', 'stale' or 'miss'
+ */
+function countLookup(namespace, result) {
+  if (!lookups.has(namespace)) {
+    lookups.set(namespace, { hit: 0, stale: 0, miss: 0 });
+  }
+  lookups.get(namespace)[result]++;
+}
+
+/**
+ * Drop cached entries so the next request fetches fresh data
+ * @param {string} [namespace] - Namespace to clear (all when omitted)
+ * @param {string} [key] - Single key to clear within the namespace
+ * @returns {number} Number of entries removed
+ */
+function invalidate(namespace, key) {
+  let removed = 0;
+
+  entries.forEach((namespaceEntries, name) => {
+    if (namespace && name !== namespace) {
+      return;
+    }
+
+    if (key !== undefined) {
+      removed += namespaceEntries.delete(key) ? 1 : 0;
+    } else {
+      removed += namespaceEntries.size;
+      namespaceEntries.clear();
+    }
+  });
+
+  if (removed > 0) {
+    log.info(`🗑️  Cleared ${removed} cached ${namespace || 'response'} entr${removed === 1 ? 'y' : 'ies'}`);
+  }
+
+  return removed;
+}
+
+/**
+ * Get cache status for every namespace
+ * @returns {Object} Namespace → { ttlSeconds, staleSeconds, entries }
+ */
+function getCacheStatus() {
+  const now = Date.now();
+  const status = {};
+
+  Object.keys(NAMESPACES).forEach((namespace) => {
+    const ttl = getTtl(namespace);
+    const namespaceEntries = entries.get(namespace) || new Map();
+
+    status[namespace] = {
+      ttlSeconds: ttl / 1000,
+      staleSeconds: STALE_WINDOW / 1000,
+      entries: Array.from(namespaceEntries.entries())
+        .filter(([, entry]) => entry.fetchedAt !== null || entry.pending || entry.error)
+        .map(([key, entry]) => {
+          const age = entry.fetchedAt === null ? null : now - entry.fetchedAt;
+
+          let state = 'empty';
+          if (age !== null) {
+            state = age < ttl ? 'fresh' : age < ttl + STALE_WINDOW ? 'stale' : 'expired';
+          }
+
+          return {
+            key: key,
+            state: state,
+            ageSeconds: age === null ? null : Math.round(age / 1000),
+            fetchedAt: entry.fetchedAt === null ? null : new Date(entry.fetchedAt).toISOString(),
+            refreshing: !!entry.pending,
+            lastError: entry.error,
+            hits: entry.hits,
+            misses: entry.misses,
+            coalesced: entry.coalesced
+          };
+        })
+    };
+  });
+
+  return status;
+}
+
+/**
+ * Get cached values so they can be saved across restarts
+ * @returns {Object} Namespace → key → { value, fetchedAt }
+ */
+function exportCache() {
+  const snapshot = {};
+
+  entries.forEach((namespaceEntries, namespace) => {
+    namespaceEntries.forEach((entry, key) => {
+      if (entry.fetchedAt !== null) {
+        snapshot[namespace] = snapshot[namespace] || {};
+        snapshot[namespace][key] = { value: entry.value, fetchedAt: entry.fetchedAt };
+      }
+    });
+  });
+
+  return snapshot;
+}
+
+/**
+ * Restore cached values saved by exportCache()
+ * Unknown namespaces and malformed entries are skipped.
+ * @param {Object} snapshot - Namespace → key → { value, fetchedAt }
+ */
+function restoreCache(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object') {
+    return;
+  }
+
+  Object.entries(snapshot).forEach(([namespace, namespaceEntries]) => {
+    if (!NAMESPACES[namespace] || !namespaceEntries || typeof namespaceEntries !== 'object') {
+      return;
+    }
+
+    Object.entries(namespaceEntries).forEach(([key, saved]) => {
+      if (saved && Number.isFinite(saved.fetchedAt)) {
+        const entry = getEntry(namespace, key);
+        entry.value = saved.value;
+        entry.fetchedAt = saved.fetchedAt;
+      }
+    });
+  });
+}
+
+// Lookup counts and hit ratio for GET /metrics
+collect('cache_requests_total', () => Array.from(lookups.entries()).flatMap(([namespace, counts]) => (
+  Object.keys(counts).map(result => ({ labels: { namespace, result }, value: counts[result] }))
+)));
+
+collect('cache_hit_ratio', () => Array.from(lookups.entries()).map(([namespace, counts]) => ({
+  labels: { namespace },
+  value: (counts.hit + counts.stale) / (counts.hit + counts.stale + counts.miss)
+})));
+
+module.exports = {
+  cached,
+  invalidate,
+  getCacheStatus,
+  exportCache,
+  restoreCache,
+  NAMESPACES
+};
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('circuitBreaker');
+
+/**
+ * Circuit breakers for upstream services
+ *
+ * Each upstream (todoist, weather, a calendar, an events feed...) gets a breaker
+ * that stops calling it while it is failing:
+ *   - transient errors (timeouts, 429, 5xx): after CIRCUIT_FAILURE_THRESHOLD
+ *     failures in a row the breaker opens and waits before trying again,
+ *     doubling the wait after each failed retry (up to CIRCUIT_MAX_BACKOFF_SECONDS)
+ *   - auth and config errors (401, 403, 404, missing settings): the breaker opens
+ *     right away and stays open until the service's config changes
+ *   - request errors (e.g. a task that doesn't exist): the service is fine, so
+ *     they don't count as failures
+ *
+ * While a breaker is open, calls fail immediately without reaching the upstream,
+ * so cached data is shown instead.
+ */
+
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3;
+const BASE_BACKOFF = (parseInt(process.env.CIRCUIT_BACKOFF_SECONDS) || 30) * 1000;
+const MAX_BACKOFF = (parseInt(process.env.CIRCUIT_MAX_BACKOFF_SECONDS) || 30 * 60) * 1000;
+
+// Error kinds that won't go away by retrying
+const PERMANENT_KINDS = ['auth', 'config'];
+
+// Breaker name → state
+const breakers = new Map();
+
+/**
+ * Get the error kind for an HTTP status
+ * @param {number} [status] - HTTP status code (none for network errors)
+ * @returns {string} 'auth', 'config' or 'transient'
+ */
+function getKindForStatus(status) {
+  if (status === 401 || status === 403) {
+    return 'auth';
+  }
+  if (status === 400 || status === 404) {
+    return 'config';
+  }
+  return 'transient';
+}
+
+/**
+ * Create an error for a failed upstream request
+ * @param {string} message - Error message
+ * @param {Object} [details] - Details
+ * @param {number} [details.status] - HTTP status code, used to pick the kind
+ * @param {string} [details.kind] - 'auth', 'config', 'transient' or 'request' (overrides status)
+ * @returns {Error} Error with status and kind properties
+ */
+function upstreamError(message, { status, kind } = {}) {
+  const error = new Error(message);
+  error.status = status || null;
+  error.kind = kind || getKindForStatus(status);
+  return error;
+}
+
+/**
+ * Hash a service's config so changes can be noticed without keeping secrets
+ * @param {*} config - Settings the service depends on (API key, URL...)
+ * @returns {string} Short hash
+ */
+function getConfigHash(config) {
+  return crypto.createHash('sha256').update(JSON.stringify(config === undefined ? null : config)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Get or create a breaker
+ * @param {string} name - Breaker name
+ * @returns {Object} Breaker state
+ */
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, {
+      state: 'closed',
+      reason: null,
+      failures: 0,
+      retries: 0,
+      probing: false,
+      retryAt: null,
+      configHash: null,
+      lastError: null,
+      lastFailure: null,
+      lastSuccess: null
+    });
+  }
+
+  return breakers.get(name);
+}
+
+/**
+ * Close a breaker and forget its failures
+ * @param {Object} breaker - Breaker state
+ */
+function closeBreaker(breaker) {
+  breaker.state = 'closed';
+  breaker.reason = null;
+  breaker.failures = 0;
+  breaker.retries = 0;
+  breaker.retryAt = null;
+}
+
+/**
+ * Error thrown instead of calling an upstream whose breaker is open
+ * @param {string} name - Breaker name
+ * @param {Object} breaker - Breaker state
+ * @returns {Error} Error with kind 'open'
+ */
+function openCircuitError(name, breaker) {
+  const until = PERMANENT_KINDS.includes(breaker.reason)
+    ? 'until its config changes'
+    : `until ${new Date(breaker.retryAt).toISOString()}`;
+
+  return upstreamError(`${name} paused ${until} (last error: ${breaker.lastError})`, { kind: 'open' });
+}
+
+/**
+ * Record a failed call and open the breaker if needed
+ * @param {string} name - Breaker name
+ * @param {Object} breaker - Breaker state
+ * @param {Error} error - What went wrong
+ * @param {string} configHash - Hash of the config used for the call
+ */
+function recordFailure(name, breaker, error, configHash) {
+  const kind = error.kind || 'transient';
+
+  breaker.failures++;
+  breaker.lastError = error.message;
+  breaker.lastFailure = new Date().toISOString();
+
+  if (PERMANENT_KINDS.includes(kind)) {
+    breaker.state = 'open';
+    breaker.reason = kind;
+    breaker.retryAt = null;
+    breaker.configHash = configHash;
+    log.error(`🚫 ${name} paused after ${kind} error, not retrying until its config changes`, { error });
+    return;
+  }
+
+  if (breaker.state === 'half-open' || breaker.failures >= FAILURE_THRESHOLD) {
+    const backoff = Math.min(BASE_BACKOFF * Math.pow(2, breaker.retries), MAX_BACKOFF);
+
+    breaker.state = 'open';
+    breaker.reason = 'transient';
+    breaker.retries++;
+    breaker.retryAt = Date.now() + backoff;
+    log.warn(`⚠️  ${name} paused after ${breaker.failures} failures, retrying in ${Math.round(backoff / 1000)}s`);
+  }
+}
+
+/**
+ * Call an upstream through its circuit breaker
+ * @param {string} name - Breaker name, e.g. 'todoist' or 'calendar:family'
+ * @param {Function} request - Async function making the call
+ * @param {Object} [options] - Options
+ * @param {*} [options.config] - Settings the call depends on; a change reopens a breaker stuck on an auth/config error
+ * @returns {Promise<*>} The request's result
+ * @throws {Error} The request's error, or an error with kind 'open' while the breaker is open
+ */
+async function withBreaker(name, request, { config } = {}) {
+  const breaker = getBreaker(name);
+  const configHash = getConfigHash(config);
+
+  if (breaker.state === 'open' && PERMANENT_KINDS.includes(breaker.reason)) {
+    if (breaker.configHash === configHash) {
+      throw openCircuitError(name, breaker);
+    }
+    log.info(`🔄 ${name} config changed, retrying`);
+    closeBreaker(breaker);
+  }
+
+  if (breaker.state === 'open') {
+    if (Date.now() < breaker.retryAt) {
+      throw openCircuitError(name, breaker);
+    }
+    breaker.state = 'half-open';
+  }
+
+  // Only one trial call while half-open
+  const isProbe = breaker.state === 'half-open';
+  if (isProbe) {
+    if (breaker.probing) {
+      throw openCircuitError(name, breaker);
+    }
+    breaker.probing = true;
+  }
+
+  try {
+    const result = await request();
+
+    if (breaker.state !== 'closed') {
+      log.info(`✅ ${name} recovered`);
+    }
+    closeBreaker(breaker);
+    breaker.lastSuccess = new Date().toISOString();
+
+    return result;
+  } catch (error) {
+    if (error.kind === 'request') {
+      closeBreaker(breaker);
+    } else {
+      recordFailure(name, breaker, error, configHash);
+    }
+    throw error;
+  } finally {
+    if (isProbe) {
+      breaker.probing = false;
+    }
+  }
+}
+
+/**
+ * Get the state of every breaker used so far
+ * @returns {Object} Breaker name → { state, reason, failures, retryAt, lastError, lastFailure, lastSuccess }
+ */
+function getBreakerStatuses() {
+  const statuses = {};
+
+  breakers.forEach((breaker, name) => {
+    statuses[name] = {
+      state: breaker.state,
+      reason: breaker.reason,
+      failures: breaker.failures,
+      retryAt: breaker.retryAt ? new Date(breaker.retryAt).toISOString() : null,
+      lastError: breaker.lastError,
+      lastFailure: breaker.lastFailure,
+      lastSuccess: breaker.lastSuccess
+    };
+  });
+
+  return statuses;
+}
+
+/**
+ * Summarize upstream health from the breakers
+ * @returns {string} 'healthy' (all closed), 'degraded' (some paused) or 'unhealthy' (all paused)
+ */
+function getUpstreamHealth() {
+  const states = Array.from(breakers.values()).map(breaker => breaker.state);
+  const paused = states.filter(state => state !== 'closed').length;
+
+  if (paused === 0) {
+    return 'healthy';
+  }
+  return paused === states.length ? 'unhealthy' : 'degraded';
+}
+
+/**
+ * Close breakers so their upstreams are tried again on the next call
+ * @param {string} [name] - Breaker to reset (all when omitted)
+ */
+function resetBreakers(name) {
+  breakers.forEach((breaker, breakerName) => {
+    if (!name || breakerName === name) {
+      closeBreaker(breaker);
+    }
+  });
+}
+
+module.exports = {
+  withBreaker,
+  upstreamError,
+  getKindForStatus,
+  getBreakerStatuses,
+  getUpstreamHealth,
+  resetBreakers
+};
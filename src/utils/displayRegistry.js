@@ -0,0 +1,397 @@
+const { setState } = require('./stateStore');
+const { isValidMode } = require('./modeManager');
+const { pickFormat, validateFormat, resolveFormat } = require('./formatting');
+const { createLogger } = require('./logger');
+
+const log = createLogger('displays');
+
+/**
+ * Display registry
+ *
+ * Connections get a new random clientId each time, so displays introduce
+ * themselves with a stable displayId and a friendly name (the WebSocket
+ * `hello` message, or ?displayId= on the SSE stream). The registry remembers
+ * every display it has seen, where it last connected from, and its settings:
+ *   - mode: mode to display, or null to follow the default mode
+ *   - format: display format overrides ({ units, timeFormat, locale })
+ *   - theme: free-form theme name for the frontend, or null
+ *
+ * Settings are saved with the rest of the state and applied again when the
+ * display reconnects.
+ */
+
+const DISPLAY_ID_PATTERN = /^[\w.-]{1,64}$/;
+const THEME_PATTERN = /^[\w-]{1,32}$/;
+const MAX_NAME_LENGTH = 64;
+const HISTORY_LIMIT = 20; // Connections kept per display
+
+// displayId → { id, name, settings, firstSeen, lastSeen, clientId, transport, ip, userAgent, connectedAt, connections, history }
+let displays = new Map();
+
+/**
+ * Check a display ID
+ * @param {*} displayId - Display ID sent by a display
+ * @returns {boolean} True if it is 1-64 letters, digits, '.', '_' or '-'
+ */
+function isValidDisplayId(displayId) {
+  return typeof displayId === 'string' && DISPLAY_ID_PATTERN.test(displayId);
+}
+
+/**
+ * Check display settings for mistakes
+ * Missing fields are fine (they are left unchanged).
+ * @param {Object} settings - { name, mode, units, timeFormat, locale, theme }
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateDisplaySettings(settings) {
+  const problems = [];
+
+  if (settings.name !== undefined &&
+    (typeof settings.name !== 'string' || !settings.name.trim() || settings.name.length > MAX_NAME_LENGTH)) {
+    problems.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (settings.mode !== undefined && settings.mode !== null && !isValidMode(settings.mode)) {
+    problems.push(`mode '${settings.mode}' is not supported`);
+  }
+  if (settings.theme !== undefined && settings.theme !== null &&
+    (typeof settings.theme !== 'string' || !THEME_PATTERN.test(settings.theme))) {
+    problems.push('theme must be null or 1-32 letters, digits, "_" or "-"');
+  }
+
+  return problems.concat(validateFormat(pickFormat(settings)));
+}
+
+/**
+ * Queue the registry to be saved
+ * Also called with the rest of the state, so online displays' lastSeen stays current.
+ */
+function saveDisplays() {
+  setState('displays', displays.size > 0 ? exportDisplays() : undefined);
+}
+
+/**
+ * Get the saved form of the registry
+ * Online displays count as seen now.
+ * @returns {Object} displayId → saved display
+ */
+function exportDisplays() {
+  const now = new Date().toISOString();
+  const saved = {};
+
+  displays.forEach((display) => {
+    saved[display.id] = {
+      name: display.name,
+      settings: display.settings,
+      firstSeen: display.firstSeen,
+      lastSeen: display.clientId ? now : display.lastSeen,
+      transport: display.transport,
+      ip: display.ip,
+      userAgent: display.userAgent,
+      connections: display.connections,
+      history: display.history
+    };
+  });
+
+  return saved;
+}
+
+/**
+ * Restore displays saved before a restart
+ * Every display starts offline. Saved modes that no longer exist are dropped.
+ * @param {Object} saved - displayId → saved display
+ */
+function restoreDisplays(saved) {
+  const restored = new Map();
+
+  Object.entries(saved || {}).forEach(([id, display]) => {
+    if (!isValidDisplayId(id) || !display || typeof display !== 'object') {
+      return;
+    }
+
+    const settings = display.settings || {};
+    const format = pickFormat(settings.format);
+
+    restored.set(id, {
+      id,
+      name: display.name || id,
+      settings: {
+        mode: settings.mode && isValidMode(settings.mode) ? settings.mode : null,
+        format: validateFormat(format).length === 0 ? format : {},
+        theme: settings.theme || null
+      },
+      firstSeen: display.firstSeen || null,
+      lastSeen: display.lastSeen || null,
+      clientId: null,
+      transport: display.transport || null,
+      ip: display.ip || null,
+      userAgent: display.userAgent || null,
+      connectedAt: null,
+      connections: display.connections || 0,
+      history: Array.isArray(display.history) ? display.history.slice(-HISTORY_LIMIT) : []
+    });
+  });
+
+  // Displays that said hello before the state was loaded are kept
+  displays.forEach((display, id) => restored.set(id, display));
+  displays = restored;
+}
+
+/**
+ * Record a display connecting
+ * A display seen for the first time keeps the mode and format its connection
+ * already has; a known display gets its saved settings back.
+ * @param {Object} connection - Connection details
+ * @param {string} connection.displayId - Stable display ID
+ * @param {string} [connection.name] - Friendly name (defaults to the saved name or the ID)
+ * @param {string} connection.clientId - Client ID of the connection
+ * @param {string} connection.transport - 'websocket' or 'sse'
+ * @param {string} [connection.ip] - Remote address
+ * @param {string} [connection.userAgent] - User-Agent header
+ * @param {string|null} [connection.mode] - Mode the connection asked for
+ * @param {Object} [connection.format] - Format overrides the connection asked for
+ * @returns {Object} { display, isNew }
+ */
+function connectDisplay({ displayId, name, clientId, transport, ip, userAgent, mode = null, format = {} }) {
+  const now = new Date().toISOString();
+  name = name ? name.trim() : name;
+
+  // A connection that says hello again with another ID is that display now
+  const previous = findDisplayByClientId(clientId);
+  if (previous && previous.id !== displayId) {
+    disconnectDisplay(clientId);
+  }
+
+  let display = displays.get(displayId);
+  const isNew = !display;
+
+  // Saying hello again on the same connection only updates the name
+  if (display && display.clientId === clientId) {
+    display.name = name || display.name;
+    saveDisplays();
+    return { display, isNew };
+  }
+
+  if (isNew) {
+    display = {
+      id: displayId,
+      name: name || displayId,
+      settings: { mode: mode || null, format: pickFormat(format), theme: null },
+      firstSeen: now,
+      connections: 0,
+      history: []
+    };
+    displays.set(displayId, display);
+  } else if (display.clientId && display.clientId !== clientId) {
+    log.warn(`⚠️  Display '${displayId}' connected again before its last connection closed`, { clientId, previousClientId: display.clientId });
+  }
+
+  Object.assign(display, {
+    name: name || display.name,
+    clientId,
+    transport,
+    ip: ip || null,
+    userAgent: userAgent || null,
+    connectedAt: now,
+    lastSeen: now,
+    connections: display.connections + 1
+  });
+
+  display.history.push({ transport, ip: display.ip, userAgent: display.userAgent, connectedAt: now, disconnectedAt: null });
+  if (display.history.length > HISTORY_LIMIT) {
+    display.history.shift();
+  }
+
+  saveDisplays();
+  log.info(`👋 ${isNew ? 'New display' : 'Display'} '${display.name}' connected`, { displayId, clientId, transport });
+
+  return { display, isNew };
+}
+
+/**
+ * Record a connection closing
+ * Ignored unless it is the display's current connection.
+ * @param {string} clientId - Client ID of the connection
+ */
+function disconnectDisplay(clientId) {
+  const display = findDisplayByClientId(clientId);
+  if (!display) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const last = display.history[display.history.length - 1];
+  if (last && last.connectedAt === display.connectedAt) {
+    last.disconnectedAt = now;
+  }
+
+  display.clientId = null;
+  display.connectedAt = null;
+  display.lastSeen = now;
+
+  saveDisplays();
+  log.info(`👋 Display '${display.name}' disconnected`, { displayId: display.id, clientId });
+}
+
+/**
+ * Get a display by its ID
+ * @param {string} displayId - Display ID
+ * @returns {Object|null} Display
+ */
+function getDisplay(displayId) {
+  return displays.get(displayId) || null;
+}
+
+/**
+ * Find the display a connection belongs to
+ * @param {string} clientId - Client ID
+ * @returns {Object|null} Display, or null if the connection never said hello
+ */
+function findDisplayByClientId(clientId) {
+  for (const display of displays.values()) {
+    if (display.clientId && display.clientId === clientId) {
+      return display;
+    }
+  }
+  return null;
+}
+
+/**
+ * Change a display's name or settings
+ * Format fields replace the saved ones; null resets a field to the default.
+ * @param {string} displayId - Display ID
+ * @param {Object} changes - { name, mode, units, timeFormat, locale, theme } (all optional, already validated)
+ * @returns {Object|null} Updated display, or null if it is unknown
+ */
+function updateDisplay(displayId, changes) {
+  const display = displays.get(displayId);
+  if (!display) {
+    return null;
+  }
+
+  if (changes.name !== undefined) {
+    display.name = changes.name.trim();
+  }
+  if (changes.mode !== undefined) {
+    display.settings.mode = changes.mode || null;
+  }
+  if (changes.theme !== undefined) {
+    display.settings.theme = changes.theme || null;
+  }
+  if (changes.format !== undefined) {
+    display.settings.format = pickFormat(changes.format);
+  }
+
+  saveDisplays();
+  return display;
+}
+
+/**
+ * Make displays follow the default mode again
+ * @param {string} [mode] - Only reset displays set to this mode
+ */
+function clearDisplayModes(mode) {
+  let changed = false;
+
+  displays.forEach((display) => {
+    if (display.settings.mode && (!mode || display.settings.mode === mode)) {
+      display.settings.mode = null;
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    saveDisplays();
+  }
+}
+
+/**
+ * Forget a display
+ * @param {string} displayId - Display ID
+ * @returns {boolean} True if it was known
+ */
+function removeDisplay(displayId) {
+  const removed = displays.delete(displayId);
+
+  if (removed) {
+    saveDisplays();
+    log.info(`🗑️  Forgot display '${displayId}'`);
+  }
+
+  return removed;
+}
+
+/**
+ * Get the settings a display is sent (with the complete format)
+ * @param {Object} display - Display
+ * @returns {Object} { displayId, name, settings: { mode, format, theme } }
+ */
+function getDisplaySettings(display) {
+  return {
+    displayId: display.id,
+    name: display.name,
+    settings: {
+      mode: display.settings.mode,
+      format: resolveFormat(display.settings.format),
+      theme: display.settings.theme
+    }
+  };
+}
+
+/**
+ * Describe a display for the API
+ * @param {Object} display - Display
+ * @param {string} defaultMode - Mode displays follow when they haven't chosen one
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.history] - Include recent connections
+ * @returns {Object} Display status
+ */
+function describeDisplay(display, defaultMode, { history = false } = {}) {
+  const online = !!display.clientId;
+
+  return {
+    id: display.id,
+    name: display.name,
+    online,
+    clientId: display.clientId,
+    transport: display.transport,
+    mode: display.settings.mode || defaultMode,
+    followsDefaultMode: !display.settings.mode,
+    format: resolveFormat(display.settings.format),
+    theme: display.settings.theme,
+    ip: display.ip,
+    userAgent: display.userAgent,
+    connectedAt: display.connectedAt,
+    lastSeen: online ? new Date().toISOString() : display.lastSeen,
+    firstSeen: display.firstSeen,
+    connections: display.connections,
+    ...(history && { history: display.history.slice().reverse() })
+  };
+}
+
+/**
+ * List every known display, online displays first
+ * @param {string} defaultMode - Mode displays follow when they haven't chosen one
+ * @returns {Array<Object>} Display statuses
+ */
+function listDisplays(defaultMode) {
+  return Array.from(displays.values())
+    .map(display => describeDisplay(display, defaultMode))
+    .sort((a, b) => (b.online - a.online) || String(b.lastSeen).localeCompare(String(a.lastSeen)));
+}
+
+module.exports = {
+  isValidDisplayId,
+  validateDisplaySettings,
+  saveDisplays,
+  restoreDisplays,
+  connectDisplay,
+  disconnectDisplay,
+  getDisplay,
+  findDisplayByClientId,
+  updateDisplay,
+  clearDisplayModes,
+  removeDisplay,
+  getDisplaySettings,
+  describeDisplay,
+  listDisplays
+};
@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+const { getDayKey, getDayStart, zonedTimeToDate } = require('./timeZone');
+const { createLogger } = require('./logger');
+
+const log = createLogger('fixtures');
+
+/**
+ * Offline fixture data
+ *
+ * With DATA_SOURCE=fixtures every source reads a scenario file from
+ * config/fixtures/ (FIXTURES_DIR) instead of calling its upstream, so the
+ * dashboard runs offline and always shows the same situation. The scenario is
+ * picked with FIXTURE_SCENARIO (default "default").
+ *
+ * Each section holds what the upstream would return (OpenWeatherMap,
+ * Google Calendar, Todoist, events JSON), so the usual parsing, filtering and
+ * formatting still run. Times are written relative to when they are read:
+ *   - "now", "now+45m", "now-2h", "now+1d": an instant
+ *   - "today", "tomorrow", "yesterday", "+3d", "-1d": a day (all-day events, date-only todos)
+ *   - "today 09:30", "+2d 19:00": a wall-clock time in the household time zone
+ * Anything else (e.g. an ISO timestamp) is used as written.
+ *
+ * FIXTURE_NOW (an ISO timestamp) pins "now", both for these relative times
+ * and for the aggregators' time checks (getNow()), so a scenario always
+ * renders exactly the same payload.
+ */
+
+const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, '../../config/fixtures');
+const DEFAULT_SCENARIO = 'default';
+
+const INSTANT_PATTERN = /^now(?:([+-])(\d+)([mhd]))?$/;
+const DAY_PATTERN = /^(today|tomorrow|yesterday|[+-]\d+d)(?:\s+(\d{1,2}):(\d{2}))?$/;
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DAY_OFFSETS = { today: 0, tomorrow: 1, yesterday: -1 };
+
+// Loaded scenario, reloaded when its file changes
+let loadedScenario = null;
+let loadedScenarioPath = null;
+let loadedScenarioMtime = null;
+
+// IDs of fixture todos completed since the scenario was loaded
+const completedTaskIds = new Set();
+
+// Last invalid FIXTURE_NOW reported, so it is only logged once
+let reportedFixtureNow = null;
+
+/**
+ * Check whether sources are served from fixtures
+ * @returns {boolean} True when DATA_SOURCE=fixtures
+ */
+function isFixtureMode() {
+  return process.env.DATA_SOURCE === 'fixtures';
+}
+
+/**
+ * Get the data source sources are served from
+ * @returns {string} 'fixtures' or 'live'
+ */
+function getDataSource() {
+  return isFixtureMode() ? 'fixtures' : 'live';
+}
+
+/**
+ * Get the time FIXTURE_NOW pins "now" to
+ * @returns {Date|null} Pinned time, or null when the clock is not pinned
+ */
+function getPinnedNow() {
+  const value = process.env.FIXTURE_NOW;
+  if (!isFixtureMode() || !value) {
+    return null;
+  }
+
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    if (reportedFixtureNow !== value) {
+      log.warn(`⚠️  Ignoring invalid FIXTURE_NOW '${value}' (expected an ISO timestamp)`);
+      reportedFixtureNow = value;
+    }
+    return null;
+  }
+
+  return time;
+}
+
+/**
+ * Get the current time
+ * With DATA_SOURCE=fixtures and FIXTURE_NOW set, this is always FIXTURE_NOW.
+ * @returns {Date} Current time
+ */
+function getNow() {
+  return getPinnedNow() || new Date();
+}
+
+/**
+ * Get the name of the fixture scenario
+ * @returns {string} Scenario name, e.g. "storm-day"
+ */
+function getScenarioName() {
+  return process.env.FIXTURE_SCENARIO || DEFAULT_SCENARIO;
+}
+
+/**
+ * Get the directory holding the scenario files
+ * @returns {string} Absolute path
+ */
+function getFixturesDir() {
+  const fixturesDir = process.env.FIXTURES_DIR;
+
+  if (!fixturesDir) {
+    return DEFAULT_FIXTURES_DIR;
+  }
+
+  return path.isAbsolute(fixturesDir)
+    ? fixturesDir
+    : path.resolve(process.cwd(), fixturesDir);
+}
+
+/**
+ * List the available scenarios
+ * @returns {Array<string>} Scenario names
+ */
+function listScenarios() {
+  try {
+    return fs.readdirSync(getFixturesDir())
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Load the configured scenario
+ * The file is re-read whenever it changes on disk.
+ * @returns {Object} Scenario
+ * @throws {Error} If the scenario is missing or isn't valid JSON
+ */
+function loadScenario() {
+  const name = getScenarioName();
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid fixture scenario name: ${name}`);
+  }
+
+  const scenarioPath = path.join(getFixturesDir(), `${name}.json`);
+
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = fs.statSync(scenarioPath));
+  } catch (error) {
+    throw new Error(`Fixture scenario not found: ${scenarioPath}`);
+  }
+
+  if (scenarioPath === loadedScenarioPath && mtimeMs === loadedScenarioMtime) {
+    return loadedScenario;
+  }
+
+  const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    throw new Error(`Fixture scenario must contain an object: ${scenarioPath}`);
+  }
+
+  loadedScenario = scenario;
+  loadedScenarioPath = scenarioPath;
+  loadedScenarioMtime = mtimeMs;
+  completedTaskIds.clear();
+
+  log.info(`✅ Loaded fixture scenario '${name}'${scenario.description ? `: ${scenario.description}` : ''}`);
+  return loadedScenario;
+}
+
+/**
+ * Resolve a relative fixture time
+ * @param {string} value - e.g. "now+45m", "tomorrow", "today 09:30" or an ISO timestamp
+ * @param {Date} now - Time the fixture is read
+ * @returns {Object|string} { instant: Date }, { day: 'YYYY-MM-DD' }, or the value unchanged
+ */
+function resolveTime(value, now) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const instant = INSTANT_PATTERN.exec(value.trim());
+  if (instant) {
+    const [, sign, amount, unit] = instant;
+    const offset = sign ? Number(`${sign}${amount}`) * UNIT_MS[unit] : 0;
+    return { instant: new Date(now.getTime() + offset) };
+  }
+
+  const dayMatch = DAY_PATTERN.exec(value.trim());
+  if (dayMatch) {
+    const [, dayName, hour, minute] = dayMatch;
+    const offset = dayName in DAY_OFFSETS ? DAY_OFFSETS[dayName] : parseInt(dayName, 10);
+    const day = getDayKey(getDayStart(getDayKey(now), offset));
+
+    if (hour === undefined) {
+      return { day };
+    }
+
+    const [year, month, date] = day.split('-').map(Number);
+    return { instant: zonedTimeToDate({ year, month, day: date, hour: Number(hour), minute: Number(minute) }) };
+  }
+
+  return value;
+}
+
+/**
+ * Resolve a fixture time to an ISO timestamp (or a day, for day values)
+ * @param {string} value - Fixture time
+ * @param {Date} now - Time the fixture is read
+ * @returns {string} ISO timestamp or YYYY-MM-DD
+ */
+function toIsoOrDay(value, now) {
+  const resolved = resolveTime(value, now);
+  if (resolved && resolved.instant) return resolved.instant.toISOString();
+  if (resolved && resolved.day) return resolved.day;
+  return resolved;
+}
+
+/**
+ * Resolve a fixture time to Unix seconds, as OpenWeatherMap sends them
+ * @param {string|number} value - Fixture time
+ * @param {Date} now - Time the fixture is read
+ * @returns {number} Seconds since epoch
+ */
+function toUnixSeconds(value, now) {
+  const resolved = resolveTime(value, now);
+  if (resolved && resolved.instant) return Math.floor(resolved.instant.getTime() / 1000);
+  if (resolved && resolved.day) return Math.floor(getDayStart(resolved.day).getTime() / 1000);
+  return resolved;
+}
+
+/**
+ * Resolve a Google Calendar start/end object
+ * @param {Object} eventDate - { dateTime } or { date }
+ * @param {Date} now - Time the fixture is read
+ * @returns {Object} Start/end object with absolute values
+ */
+function resolveEventDate(eventDate = {}, now) {
+  if (eventDate.date) {
+    return { date: toIsoOrDay(eventDate.date, now) };
+  }
+  return { ...eventDate, dateTime: toIsoOrDay(eventDate.dateTime, now) };
+}
+
+/**
+ * Resolve a Todoist due object
+ * Like Todoist, tasks with a time also get the day they fall on.
+ * @param {Object} due - { date } or { datetime }
+ * @param {Date} now - Time the fixture is read
+ * @returns {Object} Due object with absolute values
+ */
+function resolveTaskDue(due, now) {
+  if (!due.datetime) {
+    return { ...due, date: toIsoOrDay(due.date, now) };
+  }
+
+  const datetime = toIsoOrDay(due.datetime, now);
+  return { ...due, date: getDayKey(new Date(datetime)), datetime };
+}
+
+/**
+ * Turn each scenario section into what its upstream would return right now
+ */
+const RESOLVERS = {
+  weather: (weather, now) => weather && {
+    ...weather,
+    dt: toUnixSeconds(weather.dt || 'now', now),
+    sys: weather.sys && {
+      ...weather.sys,
+      sunrise: toUnixSeconds(weather.sys.sunrise, now),
+      sunset: toUnixSeconds(weather.sys.sunset, now)
+    }
+  },
+
+  forecast: (forecast, now) => ({
+    ...forecast,
+    list: ((forecast && forecast.list) || []).map(entry => ({ ...entry, dt: toUnixSeconds(entry.dt, now) }))
+  }),
+
+  weatherAlerts: (alerts, now) => (alerts || []).map(alert => ({
+    ...alert,
+    start: toUnixSeconds(alert.start, now),
+    end: toUnixSeconds(alert.end, now)
+  })),
+
+  calendars: (calendars, now) => (calendars || []).map(calendar => ({
+    ...calendar,
+    events: (calendar.events || []).map(event => ({
+      ...event,
+      start: resolveEventDate(event.start, now),
+      end: resolveEventDate(event.end, now)
+    }))
+  })),
+
+  todos: (tasks, now) => (tasks || [])
+    .filter(task => !completedTaskIds.has(String(task.id)))
+    .map(task => ({
+      ...task,
+      due: task.due && resolveTaskDue(task.due, now)
+    })),
+
+  localEvents: (events, now) => (events || []).map(event => ({
+    ...event,
+    start: toIsoOrDay(event.start, now),
+    ...(event.end && { end: toIsoOrDay(event.end, now) })
+  })),
+
+  llm: messages => messages || {}
+};
+
+/**
+ * Get a source's data from the current scenario
+ * @param {string} source - weather, forecast, weatherAlerts, calendars, todos, localEvents or llm
+ * @returns {*} Upstream-shaped data with relative times resolved
+ * @throws {Error} If the scenario can't be loaded
+ */
+function getFixture(source) {
+  const scenario = loadScenario();
+  // Copied so callers can't change the loaded scenario
+  const data = scenario[source] === undefined ? undefined : JSON.parse(JSON.stringify(scenario[source]));
+
+  return RESOLVERS[source](data, getNow());
+}
+
+/**
+ * Complete a fixture todo
+ * It stays completed until the scenario file changes or the server restarts.
+ * @param {string} taskId - Todo ID
+ * @returns {boolean} True
+ * @throws {Error} 404 error if the scenario has no such todo
+ */
+function completeFixtureTask(taskId) {
+  const id = String(taskId);
+  const exists = (loadScenario().todos || []).some(task => String(task.id) === id);
+
+  if (!exists || completedTaskIds.has(id)) {
+    const error = new Error(`Task not found: ${id}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  completedTaskIds.add(id);
+  return true;
+}
+
+module.exports = {
+  isFixtureMode,
+  getDataSource,
+  getScenarioName,
+  listScenarios,
+  getFixture,
+  completeFixtureTask,
+  resolveTime,
+  getNow,
+  getPinnedNow
+};
@@ -0,0 +1,407 @@
+/**
+ * Display formatting
+ *
+ * Dashboard data keeps raw values (ISO timestamps, °C, m/s, mm) and adds
+ * display strings built from a format:
+ *   - units: 'imperial' (°F, mph, in) or 'metric' (°C, km/h, mm)
+ *   - timeFormat: '12h' or '24h'
+ *   - locale: BCP 47 tag used for numbers, weekdays and month names, e.g. 'en-GB'
+ *
+ * The defaults come from UNITS, TIME_FORMAT and LOCALE and can be overridden
+ * per request (?units=metric) or per display.
+ */
+
+const { getTimeZone, getDayKey, getDayStart, getDaysBetween } = require('./timeZone');
+const { getNow } = require('./fixtures');
+const { createLogger } = require('./logger');
+
+const log = createLogger('formatting');
+
+const UNIT_SYSTEMS = ['imperial', 'metric'];
+const TIME_FORMATS = ['12h', '24h'];
+const FORMAT_FIELDS = ['units', 'timeFormat', 'locale'];
+
+const FALLBACK_FORMAT = { units: 'imperial', timeFormat: '12h', locale: 'en-US' };
+
+// Intl formatters are slow to create, so they are shared by locale and options
+const formatters = new Map();
+
+/**
+ * Check whether a locale is usable
+ * @param {*} locale - BCP 47 tag
+ * @returns {boolean} True if Intl supports it
+ */
+function isSupportedLocale(locale) {
+  try {
+    return typeof locale === 'string' && Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check format settings for mistakes
+ * Missing fields are fine (the defaults are used).
+ * @param {Object} format - { units, timeFormat, locale }
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateFormat(format) {
+  const problems = [];
+
+  if (format.units !== undefined && !UNIT_SYSTEMS.includes(format.units)) {
+    problems.push(`units must be one of ${UNIT_SYSTEMS.join(', ')}`);
+  }
+  if (format.timeFormat !== undefined && !TIME_FORMATS.includes(format.timeFormat)) {
+    problems.push(`timeFormat must be one of ${TIME_FORMATS.join(', ')}`);
+  }
+  if (format.locale !== undefined && !isSupportedLocale(format.locale)) {
+    problems.push('locale must be a supported language tag, e.g. en-US or de-DE');
+  }
+
+  return problems;
+}
+
+/**
+ * Read the default format from env, ignoring invalid values
+ * @returns {Object} { units, timeFormat, locale }
+ */
+function loadDefaultFormat() {
+  const format = { ...FALLBACK_FORMAT };
+  const envNames = { units: 'UNITS', timeFormat: 'TIME_FORMAT', locale: 'LOCALE' };
+
+  FORMAT_FIELDS.forEach((field) => {
+    const value = process.env[envNames[field]];
+    if (!value) {
+      return;
+    }
+
+    const problems = validateFormat({ [field]: value });
+    if (problems.length > 0) {
+      log.warn(`⚠️  Ignoring ${envNames[field]}=${value}: ${problems[0]}`);
+      return;
+    }
+    format[field] = value;
+  });
+
+  return format;
+}
+
+const DEFAULT_FORMAT = loadDefaultFormat();
+
+/**
+ * Get the default format
+ * @returns {Object} { units, timeFormat, locale }
+ */
+function getDefaultFormat() {
+  return { ...DEFAULT_FORMAT };
+}
+
+/**
+ * Pick format fields from query params or a message
+ * Empty values are left out so the defaults apply.
+ * @param {Object} source - Object that may have units, timeFormat and locale
+ * @returns {Object} Format overrides
+ */
+function pickFormat(source = {}) {
+  const overrides = {};
+
+  FORMAT_FIELDS.forEach((field) => {
+    if (source[field] !== undefined && source[field] !== null && source[field] !== '') {
+      overrides[field] = source[field];
+    }
+  });
+
+  return overrides;
+}
+
+/**
+ * Fill in format overrides with the defaults
+ * @param {Object} [overrides] - Valid format overrides
+ * @returns {Object} Complete format { units, timeFormat, locale }
+ */
+function resolveFormat(overrides = {}) {
+  return { ...DEFAULT_FORMAT, ...pickFormat(overrides) };
+}
+
+/**
+ * Get a key identifying a format, e.g. "metric|24h|de-DE"
+ * @param {Object} format - Complete format
+ * @returns {string} Key
+ */
+function getFormatKey(format) {
+  return FORMAT_FIELDS.map(field => format[field]).join('|');
+}
+
+/**
+ * Express middleware reading format overrides from the query string
+ * Sets req.format, or responds 400 when a value is invalid.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+function readFormatQuery(req, res, next) {
+  const overrides = pickFormat(req.query);
+  const problems = validateFormat(overrides);
+
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: problems.join('; '),
+      problems: problems
+    });
+  }
+
+  req.format = resolveFormat(overrides);
+  next();
+}
+
+/**
+ * Get a shared Intl formatter
+ * @param {Function} Formatter - Intl.NumberFormat, Intl.DateTimeFormat or Intl.RelativeTimeFormat
+ * @param {string} locale - Locale
+ * @param {Object} options - Formatter options
+ * @returns {Object} Formatter
+ */
+function getFormatter(Formatter, locale, options) {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+
+  if (!formatters.has(key)) {
+    formatters.set(key, new Formatter(locale, options));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Format a number with a unit, e.g. "72°F" or "13 km/h"
+ * @param {number} value - Value in the display unit
+ * @param {string} unit - Intl unit identifier
+ * @param {Object} format - Complete format
+ * @param {number} [maximumFractionDigits] - Decimal places to show
+ * @returns {string} Formatted value
+ */
+function formatUnit(value, unit, format, maximumFractionDigits = 0) {
+  return getFormatter(Intl.NumberFormat, format.locale, {
+    style: 'unit',
+    unit: unit,
+    maximumFractionDigits: maximumFractionDigits
+  }).format(value);
+}
+
+/**
+ * Format a temperature
+ * @param {number|null} celsius - Temperature in °C
+ * @param {Object} [format] - Complete format (defaults to the default format)
+ * @returns {string|null} e.g. "72°F" or "22°C", null when there is no value
+ */
+function formatTemperature(celsius, format = DEFAULT_FORMAT) {
+  if (typeof celsius !== 'number') {
+    return null;
+  }
+
+  return format.units === 'imperial'
+    ? formatUnit(celsius * 9 / 5 + 32, 'fahrenheit', format)
+    : formatUnit(celsius, 'celsius', format);
+}
+
+/**
+ * Format a wind speed
+ * @param {number|null} metersPerSecond - Speed in m/s
+ * @param {Object} [format] - Complete format (defaults to the default format)
+ * @returns {string|null} e.g. "8 mph" or "13 km/h", null when there is no value
+ */
+function formatSpeed(metersPerSecond, format = DEFAULT_FORMAT) {
+  if (typeof metersPerSecond !== 'number') {
+    return null;
+  }
+
+  return format.units === 'imperial'
+    ? formatUnit(metersPerSecond * 2.23694, 'mile-per-hour', format)
+    : formatUnit(metersPerSecond * 3.6, 'kilometer-per-hour', format);
+}
+
+/**
+ * Format a precipitation amount
+ * @param {number|null} millimeters - Amount in mm
+ * @param {Object} [format] - Complete format (defaults to the default format)
+ * @returns {string|null} e.g. "0.12 in" or "3 mm", null when there is no value
+ */
+function formatPrecipitation(millimeters, format = DEFAULT_FORMAT) {
+  if (typeof millimeters !== 'number') {
+    return null;
+  }
+
+  return format.units === 'imperial'
+    ? formatUnit(millimeters / 25.4, 'inch', format, 2)
+    : formatUnit(millimeters, 'millimeter', format, 1);
+}
+
+/**
+ * Format a percentage
+ * @param {number|null} percent - Value from 0 to 100
+ * @param {Object} [format] - Complete format (defaults to the default format)
+ * @returns {string|null} e.g. "55%", null when there is no value
+ */
+function formatPercent(percent, format = DEFAULT_FORMAT) {
+  if (typeof percent !== 'number') {
+    return null;
+  }
+
+  return getFormatter(Intl.NumberFormat, format.locale, { style: 'percent' }).format(percent / 100);
+}
+
+/**
+ * Convert a temperature in the display units to °C (e.g. for thresholds)
+ * @param {number} value - Temperature in °F (imperial) or °C (metric)
+ * @param {string} [units] - 'imperial' or 'metric' (defaults to UNITS)
+ * @returns {number} Temperature in °C
+ */
+function toCelsius(value, units = DEFAULT_FORMAT.units) {
+  return units === 'imperial' ? (value - 32) * 5 / 9 : value;
+}
+
+/**
+ * Convert a speed in the display units to m/s (e.g. for thresholds)
+ * @param {number} value - Speed in mph (imperial) or km/h (metric)
+ * @param {string} [units] - 'imperial' or 'metric' (defaults to UNITS)
+ * @returns {number} Speed in m/s
+ */
+function toMetersPerSecond(value, units = DEFAULT_FORMAT.units) {
+  return units === 'imperial' ? value / 2.23694 : value / 3.6;
+}
+
+/**
+ * Parse a date, rejecting missing or invalid values
+ * @param {Date|string} date - Date or ISO timestamp
+ * @returns {Date|null} Date, or null if it isn't valid
+ */
+function toDate(date) {
+  const value = date ? new Date(date) : null;
+  return value && !Number.isNaN(value.getTime()) ? value : null;
+}
+
+/**
+ * Format a time of day
+ * @param {Date|string} date - Date or ISO timestamp
+ * @param {Object} [format] - Complete format (defaults to the default format)
+ * @returns {string|null} e.g. "2:00 PM" or "14:00", null when there is no date
+ */
+function formatTime(date, format = DEFAULT_FORMAT) {
+  if (!toDate(date)) {
+    return null;
+  }
+
+  return getFormatter(Intl.DateTimeFormat, format.locale, {
+    timeZone: getTimeZone(),
+    hour: 'numeric',
+    minute: '2-digit',
+    hourCycle: format.timeFormat === '24h' ? 'h23' : 'h12'
+  })
+    .format(toDate(date))
+    // Newer ICU versions put a narrow no-break space before AM/PM
+    .replace(/\u202f/g, ' ');
+}
+
+/**
+ * Format a weekday name
+ * @param {Date|string} date - Date or ISO timestamp
+ * @param {Object} [format] - Complete format (defaults to the default format)
+ * @param {string} [style] - 'short' ("Sat") or 'long' ("Saturday")
+ * @returns {string|null} Weekday name, null when there is no date
+ */
+function formatWeekday(date, format = DEFAULT_FORMAT, style = 'short') {
+  if (!toDate(date)) {
+    return null;
+  }
+
+  return getFormatter(Intl.DateTimeFormat, format.locale, {
+    timeZone: getTimeZone(),
+    weekday: style
+  }).format(toDate(date));
+}
+
+/**
+ * Get how many days a date is after today (household time zone)
+ * @param {Date|string} date - Date, ISO timestamp or YYYY-MM-DD day
+ * @returns {number} 0 for today, 1 for tomorrow, negative for past days
+ */
+function getDayOffset(date) {
+  const day = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : getDayKey(new Date(date));
+  return getDaysBetween(getDayKey(getNow()), day);
+}
+
+/**
+ * Format "Today" or "Tomorrow" in the format's language
+ * @param {number} offset - 0 or 1
+ * @param {Object} format - Complete format
+ * @returns {string} Capitalized relative day
+ */
+function formatRelativeDay(offset, format) {
+  const label = getFormatter(Intl.RelativeTimeFormat, format.locale, { numeric: 'auto' }).format(offset, 'day');
+  return label.charAt(0).toLocaleUpperCase(format.locale) + label.slice(1);
+}
+
+/**
+ * Format a day as a heading
+ * @param {string} day - YYYY-MM-DD day
+ * @param {Object} [format] - Complete format (defaults to the default format)
+ * @returns {string|null} "Today", "Tomorrow" or e.g. "Friday, Oct 3", null when there is no day
+ */
+function formatDayLabel(day, format = DEFAULT_FORMAT) {
+  if (typeof day !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    return null;
+  }
+
+  const offset = getDayOffset(day);
+
+  if (offset === 0 || offset === 1) {
+    return formatRelativeDay(offset, format);
+  }
+
+  return getFormatter(Intl.DateTimeFormat, format.locale, {
+    timeZone: getTimeZone(),
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric'
+  }).format(getDayStart(day));
+}
+
+/**
+ * Format a start time relative to today
+ * @param {Date|string} date - Date or ISO timestamp
+ * @param {boolean} isAllDay - Whether the event lasts all day
+ * @param {Object} [format] - Complete format (defaults to the default format)
+ * @returns {string|null} e.g. "7:00 PM", "Tomorrow 7:00 PM", "Sat 19:00" or "Sat All Day"
+ */
+function formatRelativeTime(date, isAllDay, format = DEFAULT_FORMAT) {
+  if (!toDate(date)) {
+    return null;
+  }
+
+  const offset = getDayOffset(date);
+  const time = isAllDay ? 'All Day' : formatTime(date, format);
+
+  if (offset <= 0) return time;
+  if (offset === 1) return `${formatRelativeDay(1, format)} ${time}`;
+  return `${formatWeekday(date, format)} ${time}`;
+}
+
+module.exports = {
+  UNIT_SYSTEMS,
+  TIME_FORMATS,
+  validateFormat,
+  getDefaultFormat,
+  pickFormat,
+  resolveFormat,
+  getFormatKey,
+  readFormatQuery,
+  formatTemperature,
+  formatSpeed,
+  formatPrecipitation,
+  formatPercent,
+  toCelsius,
+  toMetersPerSecond,
+  formatTime,
+  formatWeekday,
+  formatDayLabel,
+  formatRelativeTime
+};
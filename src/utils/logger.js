@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logging
+ *
+ * Each module gets a logger with createLogger('scheduler') and logs a
+ * message plus optional fields:
+ *
+ *   log.info('✅ Loaded 3 mode(s)', { path: modesPath });
+ *   log.error('❌ Failed to fetch weather', { error });
+ *
+ * - LOG_LEVEL: debug, info (default), warn, error or silent
+ * - LOG_FORMAT: json (one object per line, default in production) or pretty
+ *
+ * Lines carry the context they were logged in: requestId for HTTP requests,
+ * clientId for WebSocket and SSE displays, and source for dashboard sources
+ * (see runWithContext). Secrets are redacted: fields named like keys or
+ * tokens, credentials in URLs, and the values of secret env vars.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LEVEL_COLORS = { debug: '\x1b[90m', info: '\x1b[36m', warn: '\x1b[33m', error: '\x1b[31m' };
+
+const SECRET_FIELD = /pass(word)?|secret|token|api[-_]?key|appid|authorization|credential|private[-_]?key|cookie/i;
+const SECRET_QUERY_PARAM = /([?&](?:appid|api[-_]?key|key|token|access_token|secret|password)=)[^&\s"']+/gi;
+const BEARER_TOKEN = /(Bearer\s+)[\w.~+/=-]+/gi;
+const REDACTED = '[REDACTED]';
+const PROGRAMMING_ERRORS = ['TypeError', 'ReferenceError', 'RangeError'];
+
+const context = new AsyncLocalStorage();
+
+let minLevel = LEVELS.info;
+let jsonOutput = false;
+let secretValues = [];
+
+/**
+ * Read LOG_LEVEL, LOG_FORMAT and the secret env values to redact
+ * Called at startup; call again after changing the environment.
+ */
+function configureLogger() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  minLevel = LEVELS[level] || LEVELS.info;
+
+  const format = (process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty')).toLowerCase();
+  jsonOutput = format === 'json';
+
+  // Configured secrets can turn up anywhere, e.g. in an upstream's error message
+  secretValues = Object.keys(process.env)
+    .filter(name => /KEY|TOKEN|SECRET|PASSWORD/.test(name) && !/_PATH$/.test(name))
+    .map(name => process.env[name])
+    .filter(value => typeof value === 'string' && value.length >= 8);
+
+  if (!LEVELS[level]) {
+    write('warn', 'logger', `⚠️  Unknown LOG_LEVEL '${level}', using info`, {});
+  }
+}
+
+/**
+ * Redact secrets in a string
+ * @param {string} text - Text
+ * @returns {string} Text with secrets replaced
+ */
+function redactString(text) {
+  let result = text
+    .replace(SECRET_QUERY_PARAM, `$1${REDACTED}`)
+    .replace(BEARER_TOKEN, `$1${REDACTED}`);
+
+  secretValues.forEach((secret) => {
+    result = result.split(secret).join(REDACTED);
+  });
+
+  return result;
+}
+
+/**
+ * Turn an error into loggable fields
+ * Only the request method and URL are kept from axios errors, never their
+ * headers, params or response bodies.
+ * @param {Error} error - Error
+ * @returns {Object} { name, message, code, status, method, url, stack }
+ */
+function serializeError(error) {
+  const fields = {
+    name: error.name,
+    message: error.message
+  };
+
+  if (error.code !== undefined) fields.code = error.code;
+
+  const status = (error.response && error.response.status) || error.statusCode || error.status;
+  if (status !== undefined) fields.status = status;
+
+  if (error.config) {
+    fields.method = error.config.method ? error.config.method.toUpperCase() : undefined;
+    fields.url = error.config.url;
+  }
+
+  // Stacks are noise for upstream failures, but show where a bug is
+  if (error.stack && !error.isAxiosError && (minLevel <= LEVELS.debug || PROGRAMMING_ERRORS.includes(error.name))) {
+    fields.stack = error.stack;
+  }
+
+  return fields;
+}
+
+/**
+ * Redact secrets in a value and make errors loggable
+ * @param {*} value - Field value
+ * @param {number} [depth] - Nesting depth (deeper values are dropped)
+ * @returns {*} Safe value
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= 5) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    if (value[key] === undefined) {
+      return;
+    }
+    result[key] = SECRET_FIELD.test(key) ? REDACTED : redact(value[key], depth + 1);
+  });
+  return result;
+}
+
+/**
+ * Format a field value for pretty output
+ * @param {*} value - Field value
+ * @returns {string} Printable value
+ */
+function formatPrettyValue(value) {
+  if (typeof value === 'string') {
+    return /\s/.test(value) ? JSON.stringify(value) : value;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Write one log line
+ * @param {string} level - Level name
+ * @param {string} module - Module that logged it
+ * @param {string} message - Message
+ * @param {Object} fields - Extra fields
+ */
+function write(level, module, message, fields) {
+  const entry = redact({ ...context.getStore(), ...fields });
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  const text = redactString(String(message));
+
+  if (jsonOutput) {
+    stream.write(`${JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      module,
+      // Emojis help when reading a terminal, not when querying logs
+      msg: text.replace(/^[\p{Extended_Pictographic}\uFE0F\s]+/u, ''),
+      ...entry
+    })}\n`);
+    return;
+  }
+
+  const { error, ...rest } = entry;
+  const time = new Date().toISOString().slice(11, 23);
+  const label = level.toUpperCase().padEnd(5);
+  const coloredLabel = stream.isTTY ? `${LEVEL_COLORS[level]}${label}\x1b[0m` : label;
+  const details = Object.keys(rest).map(key => `${key}=${formatPrettyValue(rest[key])}`);
+
+  if (error) {
+    details.push(`error=${formatPrettyValue(error.message || error)}`);
+    ['status', 'method', 'url'].forEach((key) => {
+      if (error[key] !== undefined) {
+        details.push(`${key}=${formatPrettyValue(error[key])}`);
+      }
+    });
+  }
+
+  let line = `${time} ${coloredLabel} [${module}] ${text}${details.length > 0 ? ` ${details.join(' ')}` : ''}`;
+
+  if (error && error.stack) {
+    line += `\n${error.stack}`;
+  }
+
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name shown on each line
+ * @param {Object} [bindings] - Fields added to every line
+ * @returns {Object} Logger with debug, info, warn, error and child methods
+ */
+function createLogger(module, bindings = {}) {
+  const log = (level) => (message, fields = {}) => {
+    if (LEVELS[level] < minLevel) {
+      return;
+    }
+    write(level, module, message, { ...bindings, ...(fields instanceof Error ? { error: fields } : fields) });
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: extra => createLogger(module, { ...bindings, ...extra })
+  };
+}
+
+/**
+ * Run a function with fields added to every line logged while it runs
+ * (including in async work it starts)
+ * @param {Object} fields - Context fields, e.g. { clientId }
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+const requestLog = createLogger('http');
+
+/**
+ * Express middleware giving each request an ID for its log lines
+ * Uses the caller's X-Request-Id when it looks safe, and echoes it back.
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @param {Function} next - Next middleware
+ */
+function requestContext(req, res, next) {
+  const header = req.get('X-Request-Id');
+  const requestId = header && /^[\w.-]{1,64}$/.test(header) ? header : crypto.randomUUID();
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithContext({ requestId }, () => {
+    res.on('finish', () => {
+      requestLog.debug(`${req.method} ${req.path} ${res.statusCode}`, { requestId, durationMs: Date.now() - startedAt });
+    });
+    next();
+  });
+}
+
+configureLogger();
+
+module.exports = {
+  createLogger,
+  configureLogger,
+  runWithContext,
+  requestContext,
+  redact,
+  LEVELS
+};
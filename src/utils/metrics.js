@@ -0,0 +1,240 @@
+/**
+ * Prometheus metrics
+ *
+ * Counters, gauges and histograms rendered in the Prometheus text format by
+ * GET /metrics. Every metric is defined here, so this list is also the
+ * reference for what can be scraped.
+ *
+ * Modules record values as things happen (increment, observe), or register a
+ * collector that reads the current values at scrape time (collect), for
+ * numbers that already live elsewhere such as connected clients.
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('metrics');
+
+const PREFIX = 'tvdash_';
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+
+const DEFINITIONS = {
+  refresh_duration_seconds: {
+    type: 'histogram',
+    help: 'Time taken to aggregate and send dashboard data, by result',
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+  },
+  source_requests_total: {
+    type: 'counter',
+    help: 'Dashboard source fetches, by source'
+  },
+  source_errors_total: {
+    type: 'counter',
+    help: 'Dashboard source fetches that failed, by source and status (stale or error)'
+  },
+  source_latency_seconds: {
+    type: 'histogram',
+    help: 'Dashboard source fetch latency, by source',
+    buckets: LATENCY_BUCKETS
+  },
+  cache_requests_total: {
+    type: 'counter',
+    help: 'Response cache lookups, by namespace and result (hit, stale or miss)'
+  },
+  cache_hit_ratio: {
+    type: 'gauge',
+    help: 'Share of response cache lookups served from the cache (hit or stale), by namespace'
+  },
+  connected_clients: {
+    type: 'gauge',
+    help: 'Connected displays, by transport (websocket or sse)'
+  },
+  broadcasts_total: {
+    type: 'counter',
+    help: 'Payloads and events published to displays, by event'
+  },
+  display_commands_total: {
+    type: 'counter',
+    help: 'Remote commands finished, by type and status (acknowledged, failed, timeout or expired)'
+  },
+  current_mode: {
+    type: 'gauge',
+    help: 'Default dashboard mode (1 for the current mode, 0 for the others)'
+  }
+};
+
+// Metric name → Map of label key → { labels, value } (histograms: { labels, buckets, sum, count })
+const values = new Map(Object.keys(DEFINITIONS).map(name => [name, new Map()]));
+
+// Metric name → functions returning [{ labels, value }] at scrape time
+const collectors = new Map();
+
+/**
+ * Look up a metric definition
+ * @param {string} name - Metric name (without prefix)
+ * @param {string} type - Expected type
+ * @returns {Object} Definition
+ * @throws {Error} If the metric isn't defined with that type
+ */
+function getDefinition(name, type) {
+  const definition = DEFINITIONS[name];
+
+  if (!definition || definition.type !== type) {
+    throw new Error(`Unknown ${type} metric: ${name}`);
+  }
+  return definition;
+}
+
+/**
+ * Build a stable key for a set of labels
+ * @param {Object} labels - Label values
+ * @returns {string} Key
+ */
+function getLabelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(label => [label, String(labels[label])]));
+}
+
+/**
+ * Add to a counter
+ * @param {string} name - Counter name
+ * @param {Object} [labels] - Label values
+ * @param {number} [amount] - Amount to add (default 1)
+ */
+function increment(name, labels = {}, amount = 1) {
+  getDefinition(name, 'counter');
+
+  const series = values.get(name);
+  const key = getLabelKey(labels);
+  const current = series.get(key);
+
+  series.set(key, { labels, value: (current ? current.value : 0) + amount });
+}
+
+/**
+ * Record a histogram observation
+ * @param {string} name - Histogram name
+ * @param {Object} labels - Label values
+ * @param {number} value - Observed value (seconds for durations)
+ */
+function observe(name, labels, value) {
+  const { buckets } = getDefinition(name, 'histogram');
+
+  const series = values.get(name);
+  const key = getLabelKey(labels);
+  if (!series.has(key)) {
+    series.set(key, { labels, buckets: buckets.map(() => 0), sum: 0, count: 0 });
+  }
+
+  const entry = series.get(key);
+  buckets.forEach((bound, index) => {
+    if (value <= bound) {
+      entry.buckets[index]++;
+    }
+  });
+  entry.sum += value;
+  entry.count++;
+}
+
+/**
+ * Register a function that supplies a metric's values at scrape time
+ * Several collectors can feed the same metric (e.g. one per transport).
+ * @param {string} name - Gauge or counter name
+ * @param {Function} collector - Returns an array of { labels, value }
+ */
+function collect(name, collector) {
+  if (!DEFINITIONS[name] || DEFINITIONS[name].type === 'histogram') {
+    throw new Error(`Unknown gauge or counter metric: ${name}`);
+  }
+
+  if (!collectors.has(name)) {
+    collectors.set(name, []);
+  }
+  collectors.get(name).push(collector);
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - Value
+ * @returns {string} Prometheus number
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Format labels as {name="value",...}
+ * @param {Object} labels - Label values
+ * @returns {string} Label set, or '' when there are none
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map((label) => {
+    const escaped = String(labels[label])
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n');
+    return `${label}="${escaped}"`;
+  });
+
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Get the current samples of a counter or gauge
+ * Collected values replace recorded ones with the same labels.
+ * @param {string} name - Metric name
+ * @returns {Array<Object>} { labels, value }
+ */
+function getSamples(name) {
+  const samples = new Map(values.get(name));
+
+  (collectors.get(name) || []).forEach((collector) => {
+    try {
+      collector().forEach(sample => samples.set(getLabelKey(sample.labels), sample));
+    } catch (error) {
+      log.error(`❌ Failed to collect metric ${name}`, { error });
+    }
+  });
+
+  return Array.from(samples.values());
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {string} Metrics text
+ */
+function renderMetrics() {
+  const lines = [];
+
+  Object.entries(DEFINITIONS).forEach(([name, definition]) => {
+    const fullName = `${PREFIX}${name}`;
+    lines.push(`# HELP ${fullName} ${definition.help}`);
+    lines.push(`# TYPE ${fullName} ${definition.type}`);
+
+    if (definition.type !== 'histogram') {
+      getSamples(name).forEach(({ labels, value }) => {
+        lines.push(`${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+      });
+      return;
+    }
+
+    values.get(name).forEach(({ labels, buckets, sum, count }) => {
+      definition.buckets.forEach((bound, index) => {
+        lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${buckets[index]}`);
+      });
+      lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${fullName}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${fullName}_count${formatLabels(labels)} ${count}`);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  increment,
+  observe,
+  collect,
+  renderMetrics,
+  DEFINITIONS
+};
@@ -1,142 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { setState } = require('./stateStore');
+const { createLogger } = require('./logger');
+
+const log = createLogger('modes');
+
+const DEFAULT_MODES_PATH = path.resolve(__dirname, '../../config/modes.json');
+
+/**
+ * Dashboard modes
+ *
+ * Modes are defined in config/modes.json (or MODES_PATH):
+ *
+ * "art": {
+ *   "description": "Ambient screen with art and music events and a quote",
+ *   "sections": ["weather", "localEvents"],            // or "*" for everything
+ *   "filters": { "localEvents": { "type": ["art", "music"] } },
+ *   "projections": { "eventCount": { "from": "localEvents", "count": true } },
+ *   "extras": { "guestQuote": "quote" },
+ *   "audience": "public",                              // default; only "private" modes show personal banner messages
+ *   "llmTemplate": "art"                               // LLM prompt template (defaults to the mode name)
+ * }
+ *
+ * A projection reads a section and can keep only some fields (pick), keep
+ * matching list items (where), cap a list (limit) or count items (count).
+ * Projections can be nested to build an object, like briefing's summary.
+ *
+ * Custom modes can be added at runtime (POST /api/modes); they are saved with
+ * the rest of the state and can't replace modes from the config file.
+ */
+
+// Dashboard sections a mode can show
+const SECTIONS = ['weather', 'forecast', 'weatherAlerts', 'nextEvent', 'todos', 'agenda', 'lookahead', 'localEvents'];
+
+// Fields every payload has, which modes can't redefine
+const RESERVED_FIELDS = ['mode', 'llmMessage', 'format', 'sources'];
+
+const AUDIENCES = ['private', 'public'];
+const MODE_NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+
+// Used when the config file is missing or broken, so the dashboard still works
+const FALLBACK_MODES = {
+  personal: {
+    description: 'Everything: weather, calendar, todos, local events and private notes',
+    sections: '*',
+    audience: 'private'
+  }
+};
+
+/**
+ * Extra fields a mode can add, by name
+ * Each provider returns the value to show.
+ */
+const EXTRAS = {
+  quote: () => getRandomQuote()
+};
+
+let configModes = {};
+let customModes = {};
+let quotes = [];
+
 /**
- * Collection of inspiring quotes for guest mode
- */
-const GUEST_QUOTES = [
-  {
-    text: "The best time to plant a tree was 20 years ago. The second best time is now.",
-    author: "Chinese Proverb"
-  },
-  {
-    text: "Creativity is intelligence having fun.",
-    author: "Albert Einstein"
-  },
-  {
-    text: "The only way to do great work is to love what you do.",
-    author: "Steve Jobs"
-  },
-  {
-    text: "Art is not what you see, but what you make others see.",
-    author: "Edgar Degas"
-  },
-  {
-    text: "Every artist was first an amateur.",
-    author: "Ralph Waldo Emerson"
-  },
-  {
-    text: "Simplicity is the ultimate sophistication.",
-    author: "Leonardo da Vinci"
-  },
-  {
-    text: "Design is thinking made visual.",
-    author: "Saul Bass"
-  },
-  {
-    text: "The purpose of art is washing the dust of daily life off our souls.",
-    author: "Pablo Picasso"
-  },
-  {
-    text: "Color is my day-long obsession, joy and torment.",
-    author: "Claude Monet"
-  },
-  {
-    text: "Art enables us to find ourselves and lose ourselves at the same time.",
-    author: "Thomas Merton"
-  },
-  {
-    text: "To practice any art, no matter how well or badly, is a way to make your soul grow.",
-    author: "Kurt Vonnegut"
-  },
-  {
-    text: "Everything you can imagine is real.",
-    author: "Pablo Picasso"
-  }
-];
-
-/**
- * Get a random inspiring quote for guest mode
- * @returns {Object} Quote object with text and author
+ * Get a random quote from the modes config
+ * @returns {Object|null} Quote object with text and author, or null if there are none
  */
 function getRandomQuote() {
-  const randomIndex = Math.floor(Math.random() * GUEST_QUOTES.length);
-  return GUEST_QUOTES[randomIndex];
+  if (quotes.length === 0) {
+    return null;
+  }
+
+  const randomIndex = Math.floor(Math.random() * quotes.length);
+  return quotes[randomIndex];
 }
 
 /**
- * Create a condensed summary for briefing mode
- * @param {Object} data - Full dashboard data
- * @returns {Object} Condensed summary
- */
-function createBriefingSummary(data) {
-  const summary = {
-    weather: data.weather ? {
-      temp: data.weather.temp,
-      condition: data.weather.condition
-    } : null,
-    nextEvent: data.nextEvent ? {
-      title: data.nextEvent.title,
-      time: data.nextEvent.time,
-      minutesUntil: data.nextEvent.minutesUntil
-    } : null,
-    todoCount: data.todos ? data.todos.length : 0,
-    urgentTodoCount: data.todos ? data.todos.filter(t => t.urgent).length : 0,
-    agendaCount: data.agenda ? data.agenda.length : 0,
-    upcomingAgenda: data.agenda ? data.agenda.filter(item => !item.done).slice(0, 3) : []
+ * Get the urgent banner message if it is safe for non-personal modes
+ * @param {Object|null} message - Banner message (llmMessage)
+ * @returns {Object} The message, or an inactive message
+ */
+function getPublicMessage(message) {
+  if (message && message.active && message.public) {
+    return message;
+  }
+
+  return {
+    active: false,
+    message: '',
+    urgency: 'none'
   };
+}
 
-  return summary;
+/**
+ * Check a list filter ({ field: value } or { field: [values] })
+ * @param {*} where - Filter definition
+ * @param {string} label - Where the filter is, for messages
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateWhere(where, label) {
+  if (!where || typeof where !== 'object' || Array.isArray(where)) {
+    return [`${label} must be an object of field: value`];
+  }
+  return [];
 }
 
 /**
- * Filter dashboard data based on display mode
- * @param {string} mode - Dashboard mode (personal, guest, briefing, weather, art)
- * @param {Object} data - Full dashboard data
- * @returns {Object} Filtered data appropriate for the mode
+ * Check a projection (or a nested object of projections)
+ * @param {Object} spec - Projection definition
+ * @param {string} label - Where the projection is, for messages
+ * @returns {Array<string>} Problems (empty when valid)
  */
-function filterByMode(mode, data) {
-  switch (mode) {
-    case 'personal':
-      // Return all data for personal mode
-      return data;
-
-    case 'guest':
-      // Return only public/non-personal data for guest mode
-      return {
-        mode: 'guest',
-        weather: data.weather,
-        localEvents: data.localEvents,
-        guestQuote: getRandomQuote()
-      };
-
-    case 'briefing':
-      // Return condensed summary for briefing mode
-      return {
-        mode: 'briefing',
-        weather: data.weather,
-        summary: createBriefingSummary(data)
-      };
-
-    case 'weather':
-      // Weather-focused mode
-      return {
-        mode: 'weather',
-        weather: data.weather,
-        localEvents: data.localEvents
-      };
-
-    case 'art':
-      // Art/aesthetic mode
-      return {
-        mode: 'art',
-        weather: data.weather,
-        localEvents: data.localEvents ? data.localEvents.filter(e => e.type === 'art' || e.type === 'music') : [],
-        guestQuote: getRandomQuote()
-      };
-
-    default:
-      // Default to personal mode
-      console.warn(`⚠️  Unknown mode '${mode}', defaulting to personal`);
-      return data;
+function validateProjection(spec, label) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return [`${label} must be an object`];
+  }
+
+  if (spec.from === undefined) {
+    const fields = Object.entries(spec);
+    if (fields.length === 0) {
+      return [`${label} needs "from" or nested projections`];
+    }
+    return fields.reduce((problems, [field, nested]) => problems.concat(validateProjection(nested, `${label}.${field}`)), []);
+  }
+
+  const problems = [];
+  if (!SECTIONS.includes(spec.from)) {
+    problems.push(`${label}.from must be one of ${SECTIONS.join(', ')}`);
+  }
+  if (spec.pick !== undefined && (!Array.isArray(spec.pick) || spec.pick.some(field => typeof field !== 'string'))) {
+    problems.push(`${label}.pick must be a list of field names`);
+  }
+  if (spec.where !== undefined) {
+    problems.push(...validateWhere(spec.where, `${label}.where`));
+  }
+  if (spec.limit !== undefined && (!Number.isInteger(spec.limit) || spec.limit < 1)) {
+    problems.push(`${label}.limit must be a positive integer`);
+  }
+  if (spec.count !== undefined && typeof spec.count !== 'boolean') {
+    problems.push(`${label}.count must be true or false`);
+  }
+  return problems;
+}
+
+/**
+ * Check a mode definition for mistakes
+ * @param {string} name - Mode name
+ * @param {Object} definition - Mode definition
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateMode(name, definition) {
+  const problems = [];
+
+  if (!MODE_NAME_PATTERN.test(String(name))) {
+    problems.push('name must be lowercase letters, digits and dashes (max 32)');
+  }
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return problems.concat('definition must be an object');
+  }
+
+  const { description, sections, filters, projections, extras, audience, llmTemplate } = definition;
+
+  if (description !== undefined && typeof description !== 'string') {
+    problems.push('description must be a string');
+  }
+
+  if (sections !== '*' && (!Array.isArray(sections) || sections.some(section => !SECTIONS.includes(section)))) {
+    problems.push(`sections must be "*" or a list of ${SECTIONS.join(', ')}`);
+  }
+
+  if (filters !== undefined) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      problems.push('filters must be an object of section: filter');
+    } else {
+      Object.entries(filters).forEach(([section, where]) => {
+        if (!SECTIONS.includes(section)) {
+          problems.push(`filters.${section}: unknown section`);
+        }
+        problems.push(...validateWhere(where, `filters.${section}`));
+      });
+    }
   }
+
+  const fields = [];
+  if (projections !== undefined) {
+    if (!projections || typeof projections !== 'object' || Array.isArray(projections)) {
+      problems.push('projections must be an object of field: projection');
+    } else {
+      Object.entries(projections).forEach(([field, spec]) => {
+        fields.push(field);
+        problems.push(...validateProjection(spec, `projections.${field}`));
+      });
+    }
+  }
+
+  if (extras !== undefined) {
+    if (!extras || typeof extras !== 'object' || Array.isArray(extras)) {
+      problems.push('extras must be an object of field: extra');
+    } else {
+      Object.entries(extras).forEach(([field, extra]) => {
+        fields.push(field);
+        if (!Object.prototype.hasOwnProperty.call(EXTRAS, extra)) {
+          problems.push(`extras.${field}: extra must be one of ${Object.keys(EXTRAS).join(', ')}`);
+        }
+      });
+    }
+  }
+
+  fields
+    .filter(field => RESERVED_FIELDS.includes(field) || SECTIONS.includes(field))
+    .forEach(field => problems.push(`'${field}' is a built-in field and can't be used for a projection or extra`));
+
+  if (audience !== undefined && !AUDIENCES.includes(audience)) {
+    problems.push(`audience must be one of ${AUDIENCES.join(', ')}`);
+  }
+
+  if (llmTemplate !== undefined && typeof llmTemplate !== 'string') {
+    problems.push('llmTemplate must be a string');
+  }
+
+  return problems;
+}
+
+/**
+ * Load modes and quotes from the config file
+ * MODES_PATH overrides the default config/modes.json. Invalid modes are skipped.
+ */
+function loadModes() {
+  const modesPath = process.env.MODES_PATH
+    ? path.resolve(process.cwd(), process.env.MODES_PATH)
+    : DEFAULT_MODES_PATH;
+
+  configModes = {};
+  quotes = [];
+
+  try {
+    const config = JSON.parse(fs.readFileSync(modesPath, 'utf8'));
+
+    Object.entries(config.modes || {}).forEach(([name, definition]) => {
+      const problems = validateMode(name, definition);
+      if (problems.length > 0) {
+        log.warn(`⚠️  Skipping mode '${name}': ${problems.join('; ')}`);
+        return;
+      }
+      configModes[name] = definition;
+    });
+
+    quotes = Array.isArray(config.quotes) ? config.quotes.filter(quote => quote && quote.text) : [];
+  } catch (error) {
+    log.error(`❌ Failed to load modes from ${modesPath}`, { error });
+  }
+
+  if (Object.keys(configModes).length === 0) {
+    log.warn('⚠️  No valid modes configured, only personal mode is available');
+    configModes = { ...FALLBACK_MODES };
+  } else {
+    log.info(`✅ Loaded ${Object.keys(configModes).length} mode(s) from ${modesPath}`);
+  }
+}
+
+/**
+ * Get a mode's definition
+ * @param {string} mode - Mode name
+ * @returns {Object|null} Definition, or null if the mode doesn't exist
+ */
+function getModeDefinition(mode) {
+  if (Object.prototype.hasOwnProperty.call(configModes, mode)) {
+    return configModes[mode];
+  }
+  if (isCustomMode(mode)) {
+    return customModes[mode];
+  }
+  return null;
+}
+
+/**
+ * Get who a mode is shown to
+ * Unknown modes are shown as personal, like filterByMode() does.
+ * @param {string} mode - Mode name
+ * @returns {string} 'private' or 'public'
+ */
+function getModeAudience(mode) {
+  const definition = getModeDefinition(mode) || getModeDefinition('personal') || FALLBACK_MODES.personal;
+  return definition.audience === 'private' ? 'private' : 'public';
+}
+
+/**
+ * Get every mode with its description
+ * @returns {Array<Object>} { name, description, custom, ...definition }
+ */
+function getModes() {
+  return [
+    ...Object.entries(configModes).map(([name, definition]) => ({ name, custom: false, ...definition })),
+    ...Object.entries(customModes).map(([name, definition]) => ({ name, custom: true, ...definition }))
+  ];
 }
 
 /**
@@ -144,7 +300,7 @@ function filterByMode(mode, data) {
  * @returns {Array<string>} List of mode names
  */
 function getAvailableModes() {
-  return ['personal', 'guest', 'briefing', 'weather', 'art'];
+  return [...Object.keys(configModes), ...Object.keys(customModes)];
 }
 
 /**
@@ -153,13 +309,249 @@ function getAvailableModes() {
  * @returns {boolean} True if mode is valid
  */
 function isValidMode(mode) {
-  return getAvailableModes().includes(mode);
+  return getModeDefinition(mode) !== null;
+}
+
+/**
+ * Check whether a mode was added at runtime (rather than in the config file)
+ * @param {string} mode - Mode name
+ * @returns {boolean} True for custom modes
+ */
+function isCustomMode(mode) {
+  return Object.prototype.hasOwnProperty.call(customModes, mode);
+}
+
+/**
+ * Check whether a list item matches a filter
+ * @param {Object} item - List item
+ * @param {Object} where - { field: value } or { field: [values] }
+ * @returns {boolean} True if every field matches
+ */
+function matchesWhere(item, where) {
+  return Object.entries(where).every(([field, expected]) => (
+    Array.isArray(expected) ? expected.includes(item && item[field]) : (item && item[field]) === expected
+  ));
 }
 
+/**
+ * Keep only some fields of an object
+ * @param {Object} item - Object
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {Object} Object with only those fields
+ */
+function pickFields(item, fields) {
+  const picked = {};
+  fields.forEach((field) => {
+    picked[field] = item[field];
+  });
+  return picked;
+}
+
+/**
+ * Compute a projection (or a nested object of projections) from dashboard data
+ * @param {Object} spec - Projection definition
+ * @param {Object} data - Full dashboard data
+ * @returns {*} Projected value
+ */
+function project(spec, data) {
+  if (spec.from === undefined) {
+    const result = {};
+    Object.entries(spec).forEach(([field, nested]) => {
+      result[field] = project(nested, data);
+    });
+    return result;
+  }
+
+  const value = data[spec.from];
+  const isList = spec.where !== undefined || spec.limit !== undefined || spec.count;
+
+  if (value === null || value === undefined) {
+    if (spec.count) {
+      return 0;
+    }
+    return isList ? [] : null;
+  }
+
+  if (!Array.isArray(value)) {
+    return spec.pick ? pickFields(value, spec.pick) : value;
+  }
+
+  let items = spec.where ? value.filter(item => matchesWhere(item, spec.where)) : value;
+  if (spec.count) {
+    return items.length;
+  }
+  if (spec.limit) {
+    items = items.slice(0, spec.limit);
+  }
+  return spec.pick ? items.map(item => pickFields(item, spec.pick)) : items;
+}
+
+/**
+ * Filter dashboard data based on display mode
+ * @param {string} mode - Dashboard mode (see getAvailableModes())
+ * @param {Object} data - Full dashboard data
+ * @returns {Object} Filtered data appropriate for the mode
+ */
+function filterByMode(mode, data) {
+  let definition = getModeDefinition(mode);
+
+  if (!definition) {
+    log.warn(`⚠️  Unknown mode '${mode}', defaulting to personal`);
+    definition = getModeDefinition('personal') || FALLBACK_MODES.personal;
+  }
+
+  const sections = definition.sections === '*' ? SECTIONS : definition.sections;
+  const filtered = { mode: mode };
+
+  sections.forEach((section) => {
+    const where = definition.filters && definition.filters[section];
+    if (where) {
+      filtered[section] = Array.isArray(data[section]) ? data[section].filter(item => matchesWhere(item, where)) : [];
+    } else if (data[section] !== undefined) {
+      filtered[section] = data[section];
+    }
+  });
+
+  Object.entries(definition.projections || {}).forEach(([field, spec]) => {
+    filtered[field] = project(spec, data);
+  });
+
+  Object.entries(definition.extras || {}).forEach(([field, extra]) => {
+    filtered[field] = EXTRAS[extra]();
+  });
+
+  // Only private modes may show personal banner messages
+  filtered.llmMessage = definition.audience === 'private'
+    ? data.llmMessage
+    : getPublicMessage(data.llmMessage);
+
+  return filtered;
+}
+
+/**
+ * Save custom modes with the rest of the state
+ */
+function saveCustomModes() {
+  setState('customModes', Object.keys(customModes).length > 0 ? customModes : undefined);
+}
+
+/**
+ * Create an error for a rejected mode change
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status for the API
+ * @param {Array<string>} [problems] - Validation problems
+ * @returns {Error} Error
+ */
+function modeError(message, statusCode, problems) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (problems) {
+    error.problems = problems;
+  }
+  return error;
+}
+
+/**
+ * Add a custom mode
+ * @param {string} name - Mode name
+ * @param {Object} definition - Mode definition
+ * @returns {Object} The new mode
+ * @throws {Error} With statusCode 400 (invalid) or 409 (name taken)
+ */
+function createMode(name, definition) {
+  const problems = validateMode(name, definition);
+  if (problems.length > 0) {
+    throw modeError('Invalid mode definition', 400, problems);
+  }
+  if (isValidMode(name)) {
+    throw modeError(`Mode '${name}' already exists`, 409);
+  }
+
+  customModes[name] = definition;
+  saveCustomModes();
+  log.info(`✅ Added custom mode '${name}'`);
+
+  return { name, custom: true, ...customModes[name] };
+}
+
+/**
+ * Replace a custom mode's definition
+ * @param {string} name - Mode name
+ * @param {Object} definition - New definition
+ * @returns {Object} The updated mode
+ * @throws {Error} With statusCode 400 (invalid), 403 (config mode) or 404 (unknown)
+ */
+function updateMode(name, definition) {
+  if (Object.prototype.hasOwnProperty.call(configModes, name)) {
+    throw modeError(`Mode '${name}' is defined in the config file and can't be changed at runtime`, 403);
+  }
+  if (!isCustomMode(name)) {
+    throw modeError(`Mode '${name}' does not exist`, 404);
+  }
+
+  const problems = validateMode(name, definition);
+  if (problems.length > 0) {
+    throw modeError('Invalid mode definition', 400, problems);
+  }
+
+  customModes[name] = definition;
+  saveCustomModes();
+  log.info(`🔧 Updated custom mode '${name}'`);
+
+  return { name, custom: true, ...customModes[name] };
+}
+
+/**
+ * Remove a custom mode
+ * @param {string} name - Mode name
+ * @throws {Error} With statusCode 403 (config mode) or 404 (unknown)
+ */
+function deleteMode(name) {
+  if (Object.prototype.hasOwnProperty.call(configModes, name)) {
+    throw modeError(`Mode '${name}' is defined in the config file and can't be removed at runtime`, 403);
+  }
+  if (!isCustomMode(name)) {
+    throw modeError(`Mode '${name}' does not exist`, 404);
+  }
+
+  delete customModes[name];
+  saveCustomModes();
+  log.info(`🗑️  Removed custom mode '${name}'`);
+}
+
+/**
+ * Restore custom modes saved before a restart
+ * Modes that are now invalid or clash with the config file are dropped.
+ * @param {Object} saved - Mode name → definition
+ */
+function restoreCustomModes(saved) {
+  customModes = {};
+
+  Object.entries(saved || {}).forEach(([name, definition]) => {
+    if (Object.prototype.hasOwnProperty.call(configModes, name) || validateMode(name, definition).length > 0) {
+      log.warn(`⚠️  Dropping saved custom mode '${name}'`);
+      return;
+    }
+    customModes[name] = definition;
+  });
+}
+
+loadModes();
+
 module.exports = {
   filterByMode,
   getRandomQuote,
-  createBriefingSummary,
+  getPublicMessage,
   getAvailableModes,
-  isValidMode
+  getModes,
+  getModeDefinition,
+  getModeAudience,
+  isValidMode,
+  isCustomMode,
+  validateMode,
+  createMode,
+  updateMode,
+  deleteMode,
+  restoreCustomModes,
+  SECTIONS
 };
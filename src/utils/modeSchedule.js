@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidMode } = require('./modeManager');
+const { WEEKDAYS, getZonedParts, zonedTimeToDate } = require('./timeZone');
+const { createLogger } = require('./logger');
+
+const log = createLogger('modeSchedule');
+
+const LOOKAHEAD_DAYS = 8; // How far ahead to search for the next change
+const DEFAULT_SCHEDULE_PATH = path.resolve(__dirname, '../../config/modeSchedule.json');
+
+/**
+ * Mode schedule
+ *
+ * {
+ *   "enabled": true,
+ *   "defaultMode": "personal",
+ *   "overrideMinutes": 120,
+ *   "entries": [
+ *     { "mode": "briefing", "days": ["mon", "tue", "wed", "thu", "fri"], "start": "06:30", "end": "09:00" },
+ *     { "mode": "guest", "days": ["sat"], "start": "17:00", "end": "23:00" },
+ *     { "mode": "art", "start": "22:00", "end": "06:30" }
+ *   ]
+ * }
+ *
+ * Entries are checked in order and the first match wins. An entry whose end is
+ * before its start runs past midnight; its days are the days it starts on.
+ * Entries without days apply every day.
+ */
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} value - Time string ("24:00" is allowed as an end)
+ * @returns {number|null} Minutes, or null if invalid
+ */
+function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match) {
+    return null;
+  }
+
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return match[2] < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Check a schedule for mistakes
+ * @param {Object} schedule - Schedule definition
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateSchedule(schedule) {
+  const problems = [];
+
+  if (!schedule || typeof schedule !== 'object') {
+    return ['schedule must be an object'];
+  }
+
+  if (schedule.defaultMode && !isValidMode(schedule.defaultMode)) {
+    problems.push(`defaultMode '${schedule.defaultMode}' is not supported`);
+  }
+
+  if (schedule.overrideMinutes !== undefined &&
+    (!Number.isFinite(schedule.overrideMinutes) || schedule.overrideMinutes < 0)) {
+    problems.push('overrideMinutes must be a non-negative number');
+  }
+
+  if (!Array.isArray(schedule.entries)) {
+    problems.push('entries must be an array');
+    return problems;
+  }
+
+  schedule.entries.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      problems.push(`entries[${index}]: must be an object`);
+      return;
+    }
+    if (!isValidMode(entry.mode)) {
+      problems.push(`entries[${index}]: mode '${entry.mode}' is not supported`);
+    }
+    if (parseClockTime(entry.start) === null || parseClockTime(entry.end) === null) {
+      problems.push(`entries[${index}]: start and end must be "HH:MM"`);
+    }
+    if (entry.days !== undefined &&
+      (!Array.isArray(entry.days) || entry.days.some(day => !WEEKDAYS.includes(String(day).toLowerCase())))) {
+      problems.push(`entries[${index}]: days must be a list of ${WEEKDAYS.join(', ')}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Load the mode schedule from its config file
+ * MODE_SCHEDULE_PATH overrides the default config/modeSchedule.json.
+ * @returns {Object} Schedule (disabled and empty if missing or invalid)
+ */
+function loadSchedule() {
+  const schedulePath = process.env.MODE_SCHEDULE_PATH
+    ? path.resolve(process.cwd(), process.env.MODE_SCHEDULE_PATH)
+    : DEFAULT_SCHEDULE_PATH;
+  const emptySchedule = { enabled: false, defaultMode: 'personal', entries: [] };
+
+  if (!fs.existsSync(schedulePath)) {
+    log.warn(`⚠️  Mode schedule not found at: ${schedulePath}`);
+    return emptySchedule;
+  }
+
+  try {
+    const schedule = JSON.parse(fs.readFileSync(schedulePath, 'utf8'));
+    const problems = validateSchedule(schedule);
+
+    if (problems.length > 0) {
+      log.error(`❌ Invalid mode schedule in ${schedulePath}: ${problems.join('; ')}`);
+      return emptySchedule;
+    }
+
+    log.info(`✅ Loaded mode schedule with ${schedule.entries.length} entr${schedule.entries.length === 1 ? 'y' : 'ies'} (${schedule.enabled ? 'enabled' : 'disabled'})`);
+    return schedule;
+  } catch (error) {
+    log.error(`❌ Failed to load mode schedule from ${schedulePath}`, { error });
+    return emptySchedule;
+  }
+}
+
+/**
+ * Check whether an entry applies on a weekday
+ * @param {Object} entry - Schedule entry
+ * @param {number} weekday - 0 = Sunday
+ * @returns {boolean} True if the entry runs that day
+ */
+function runsOnDay(entry, weekday) {
+  return !entry.days || entry.days.map(day => String(day).toLowerCase()).includes(WEEKDAYS[weekday]);
+}
+
+/**
+ * Find the schedule entry active at a given time
+ * @param {Object} schedule - Schedule definition
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object|null} Active entry, or null when the default mode applies
+ */
+function getActiveEntry(schedule, date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const minutes = parts.hour * 60 + parts.minute;
+  const yesterday = (parts.weekday + 6) % 7;
+
+  return (schedule.entries || []).find((entry) => {
+    const start = parseClockTime(entry.start);
+    const end = parseClockTime(entry.end);
+
+    if (start === end) {
+      return false;
+    }
+
+    if (start < end) {
+      return runsOnDay(entry, parts.weekday) && minutes >= start && minutes < end;
+    }
+
+    // Runs past midnight
+    return (runsOnDay(entry, parts.weekday) && minutes >= start) ||
+      (runsOnDay(entry, yesterday) && minutes < end);
+  }) || null;
+}
+
+/**
+ * Get the mode the schedule wants at a given time
+ * @param {Object} schedule - Schedule definition
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Scheduled mode
+ */
+function getScheduledMode(schedule, date, timeZone) {
+  const entry = getActiveEntry(schedule, date, timeZone);
+  return entry ? entry.mode : (schedule.defaultMode || 'personal');
+}
+
+/**
+ * Find the next time the scheduled mode changes
+ * @param {Object} schedule - Schedule definition
+ * @param {Date} date - Starting instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object|null} { mode, at } or null if the mode never changes
+ */
+function getNextChange(schedule, date, timeZone) {
+  const currentMode = getScheduledMode(schedule, date, timeZone);
+  const today = getZonedParts(date, timeZone);
+
+  // Every entry start and end over the next few days is a possible change
+  const boundaries = [];
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    (schedule.entries || []).forEach((entry) => {
+      [entry.start, entry.end].forEach((time) => {
+        const minutes = parseClockTime(time);
+        boundaries.push(zonedTimeToDate({
+          year: today.year,
+          month: today.month,
+          day: today.day + offset,
+          hour: Math.floor(minutes / 60),
+          minute: minutes % 60
+        }, timeZone));
+      });
+    });
+  }
+
+  const next = boundaries
+    .filter(boundary => boundary > date)
+    .sort((a, b) => a - b)
+    .find(boundary => getScheduledMode(schedule, boundary, timeZone) !== currentMode);
+
+  return next
+    ? { mode: getScheduledMode(schedule, next, timeZone), at: next.toISOString() }
+    : null;
+}
+
+module.exports = {
+  loadSchedule,
+  validateSchedule,
+  getActiveEntry,
+  getScheduledMode,
+  getNextChange,
+  parseClockTime
+};
@@ -0,0 +1,248 @@
+/**
+ * Declarative alert rules
+ *
+ * A rule looks like:
+ * {
+ *   "id": "event-starting-soon",
+ *   "when": { "all": [{ "fact": "nextEvent.minutesUntil", "operator": "<=", "value": 10 }] },
+ *   "message": "{{nextEvent.title}} starts in {{nextEvent.minutesUntil}} min",
+ *   "urgency": "warning",
+ *   "durationMinutes": 10,
+ *   "cooldownMinutes": 30,
+ *   "dedupeKey": "event:{{nextEvent.startTime}}",
+ *   "public": false
+ * }
+ *
+ * Rules are evaluated against "facts" derived from aggregated dashboard data.
+ * Evaluation is pure: the caller passes the current time and cooldown state.
+ */
+
+const { getZonedParts } = require('./timeZone');
+
+const URGENCY_LEVELS = ['info', 'warning', 'critical'];
+const RAIN_PROBABILITY = 50; // % chance that counts as "rain" in the forecast
+
+const OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  'exists': (a, b) => (a !== null && a !== undefined) === (b !== false)
+};
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} object - Source object
+ * @param {string} path - Path, e.g. "nextEvent.minutesUntil"
+ * @returns {*} Value, or undefined if missing
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (
+    value === null || value === undefined ? undefined : value[key]
+  ), object);
+}
+
+/**
+ * Derive facts that rules can test from aggregated dashboard data
+ * @param {Object} data - Aggregated dashboard data
+ * @param {Date} now - Current time
+ * @returns {Object} Facts
+ */
+function buildFacts(data, now = new Date()) {
+  const todos = (data.todos || []).filter(todo => !todo.done);
+  const localTime = getZonedParts(now);
+  const hourly = (data.forecast && data.forecast.hourly) || [];
+  const condition = data.weather ? String(data.weather.condition || '') : '';
+
+  const rainEntry = hourly.find(entry => entry.precipProbability >= RAIN_PROBABILITY);
+  const minutesUntilRain = rainEntry
+    ? Math.max(0, Math.floor((new Date(rainEntry.time).getTime() - now.getTime()) / 60000))
+    : null;
+
+  return {
+    ...data,
+    nextEvent: data.nextEvent || null,
+    todoCount: todos.length,
+    urgentTodoCount: todos.filter(todo => todo.urgent).length,
+    overdueTodoCount: todos.filter(todo => todo.overdue).length,
+    remainingAgendaCount: (data.agenda || []).filter(item => !item.done).length,
+    isRaining: /rain|drizzle|thunderstorm/i.test(condition),
+    minutesUntilRain: minutesUntilRain,
+    rainProbability: rainEntry ? rainEntry.precipProbability : 0,
+    hour: localTime.hour,
+    weekday: localTime.weekday
+  };
+}
+
+/**
+ * Check a rule condition against facts
+ * Conditions are { fact, operator, value } or { all: [...] } / { any: [...] }.
+ * @param {Object} condition - Condition
+ * @param {Object} facts - Facts from buildFacts()
+ * @returns {boolean} True if the condition holds
+ */
+function matchesCondition(condition, facts) {
+  if (Array.isArray(condition.all)) {
+    return condition.all.every(child => matchesCondition(child, facts));
+  }
+
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(child => matchesCondition(child, facts));
+  }
+
+  const compare = OPERATORS[condition.operator];
+  const actual = getPath(facts, condition.fact);
+
+  if (condition.operator !== 'exists' && (actual === null || actual === undefined)) {
+    return false;
+  }
+
+  return compare(actual, condition.value);
+}
+
+/**
+ * Fill {{path}} placeholders from facts
+ * @param {string} template - Template string
+ * @param {Object} facts - Facts from buildFacts()
+ * @returns {string} Rendered string
+ */
+function renderTemplate(template, facts) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = getPath(facts, path);
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+/**
+ * Check a rule definition for mistakes
+ * @param {Object} rule - Rule definition
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateRule(rule) {
+  const problems = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return ['rule must be an object'];
+  }
+  if (!rule.id) problems.push('missing "id"');
+  if (!rule.when) problems.push('missing "when"');
+  if (!rule.message) problems.push('missing "message"');
+  if (rule.urgency && !URGENCY_LEVELS.includes(rule.urgency)) {
+    problems.push(`"urgency" must be one of ${URGENCY_LEVELS.join(', ')}`);
+  }
+
+  const checkCondition = (condition) => {
+    if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+      (condition.all || condition.any).forEach(checkCondition);
+    } else if (!condition.fact || !OPERATORS[condition.operator]) {
+      problems.push(`invalid condition ${JSON.stringify(condition)}`);
+    }
+  };
+  if (rule.when) checkCondition(rule.when);
+
+  return problems;
+}
+
+/**
+ * Get how long a rule stays shown and how long it cools down
+ * @param {Object} rule - Rule definition
+ * @returns {Object} { durationMs, cooldownMs }
+ */
+function getRuleTimings(rule) {
+  return {
+    durationMs: (rule.durationMinutes ?? 10) * 60 * 1000,
+    cooldownMs: (rule.cooldownMinutes ?? 30) * 60 * 1000
+  };
+}
+
+/**
+ * Forget firings that can no longer block their rule
+ * Entries whose cooldown (and duration) has passed are removed, as are
+ * entries for rules that no longer exist.
+ * @param {Array<Object>} rules - Rule definitions
+ * @param {Map} state - Dedupe key → time the rule last fired (ms); updated in place
+ * @param {Date} [now] - Current time
+ * @returns {number} Number of entries removed
+ */
+function pruneRuleState(rules, state, now = new Date()) {
+  let removed = 0;
+
+  state.forEach((firedAt, key) => {
+    // Keys start with the rule ID; prefer the longest ID in case one prefixes another
+    const rule = rules
+      .filter(candidate => key.startsWith(`${candidate.id}:`))
+      .sort((a, b) => String(b.id).length - String(a.id).length)[0];
+
+    if (rule) {
+      const { durationMs, cooldownMs } = getRuleTimings(rule);
+      if (now.getTime() - firedAt < Math.max(cooldownMs, durationMs)) {
+        return;
+      }
+    }
+
+    state.delete(key);
+    removed++;
+  });
+
+  return removed;
+}
+
+/**
+ * Evaluate rules against aggregated data
+ * A matching rule fires once per dedupe key, stays active for durationMinutes,
+ * and can't fire again for that key until cooldownMinutes have passed.
+ * @param {Array<Object>} rules - Rule definitions
+ * @param {Object} data - Aggregated dashboard data
+ * @param {Object} options - Evaluation options
+ * @param {Date} [options.now] - Current time
+ * @param {Map} [options.state] - Dedupe key → time the rule last fired (ms); updated in place
+ * @returns {Array<Object>} Active alerts, most urgent first
+ */
+function evaluateRules(rules, data, { now = new Date(), state = new Map() } = {}) {
+  const facts = buildFacts(data, now);
+  const alerts = [];
+
+  rules.forEach((rule) => {
+    if (!matchesCondition(rule.when, facts)) {
+      return;
+    }
+
+    const key = `${rule.id}:${renderTemplate(rule.dedupeKey || '', facts)}`;
+    const { durationMs, cooldownMs } = getRuleTimings(rule);
+    const lastFired = state.get(key);
+
+    let firedAt = lastFired;
+    if (lastFired === undefined || now.getTime() - lastFired >= Math.max(cooldownMs, durationMs)) {
+      // New firing
+      firedAt = now.getTime();
+      state.set(key, firedAt);
+    } else if (now.getTime() - lastFired >= durationMs) {
+      // Shown already, still cooling down
+      return;
+    }
+
+    alerts.push({
+      id: rule.id,
+      key: key,
+      message: renderTemplate(rule.message, facts),
+      urgency: rule.urgency || 'info',
+      public: rule.public === true,
+      firedAt: new Date(firedAt).toISOString(),
+      expiresAt: new Date(firedAt + durationMs).toISOString()
+    });
+  });
+
+  return alerts.sort((a, b) => URGENCY_LEVELS.indexOf(b.urgency) - URGENCY_LEVELS.indexOf(a.urgency));
+}
+
+module.exports = {
+  buildFacts,
+  matchesCondition,
+  renderTemplate,
+  validateRule,
+  evaluateRules,
+  pruneRuleState,
+  URGENCY_LEVELS
+};
@@ -0,0 +1,136 @@
+/**
+ * Data source status tracking
+ *
+ * Each dashboard section comes from a named source (weather, calendar, todos...).
+ * runSource() fetches one with a timeout and records how it went:
+ *   - ok: fresh data (or a still-valid cache)
+ *   - stale: the fetch failed or timed out, older data is shown instead
+ *   - error: the fetch failed and there is nothing (or only placeholder data) to show
+ *
+ * Aggregators that catch their own errors and fall back to cached data call
+ * reportSourceFailure() so the failure isn't mistaken for a success.
+ */
+
+const { increment, observe } = require('./metrics');
+const { createLogger, runWithContext } = require('./logger');
+
+const log = createLogger('sources');
+
+const DEFAULT_TIMEOUT = parseInt(process.env.SOURCE_TIMEOUT_MS) || 8000;
+
+// Source name → { status, latencyMs, lastSuccess, lastAttempt, error }
+const statuses = new Map();
+
+// Source name → { at, error, stale } for failures reported by aggregators
+const reportedFailures = new Map();
+
+// Source name → last value fetched successfully, shown when a fetch times out
+const lastGoodValues = new Map();
+
+/**
+ * Record that a source failed while fetching
+ * @param {string} name - Source name
+ * @param {Error|string} error - What went wrong
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.stale] - True if the aggregator fell back to older real data
+ */
+function reportSourceFailure(name, error, { stale = false } = {}) {
+  reportedFailures.set(name, {
+    at: Date.now(),
+    error: error instanceof Error ? error.message : String(error),
+    stale: stale
+  });
+}
+
+/**
+ * Reject if a promise doesn't settle in time
+ * @param {Promise} promise - Pending work
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} name - Source name for the error message
+ * @returns {Promise} The promise's result
+ */
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Fetch a source with a timeout and record its status
+ * Never rejects: on failure the last good value (or emptyValue) is returned.
+ * @param {string} name - Source name
+ * @param {Function} fetcher - Async function returning the source's data
+ * @param {Object} [options] - Options
+ * @param {*} [options.emptyValue] - Value used when there is nothing better (default null)
+ * @param {number} [options.timeout] - Timeout in milliseconds (default SOURCE_TIMEOUT_MS or 8000)
+ * @returns {Promise<*>} Source data
+ */
+async function runSource(name, fetcher, { emptyValue = null, timeout = DEFAULT_TIMEOUT } = {}) {
+  const startedAt = Date.now();
+  const previous = statuses.get(name);
+
+  let value;
+  let status = 'ok';
+  let errorMessage = null;
+
+  try {
+    // Lines logged while fetching carry the source name
+    value = await runWithContext({ source: name }, () => withTimeout(Promise.resolve().then(fetcher), timeout, name));
+
+    const failure = reportedFailures.get(name);
+    if (failure && failure.at >= startedAt) {
+      status = failure.stale ? 'stale' : 'error';
+      errorMessage = failure.error;
+    } else {
+      lastGoodValues.set(name, value);
+    }
+  } catch (error) {
+    log.error(`❌ Source '${name}' failed`, { source: name, error });
+    errorMessage = error.message;
+
+    if (lastGoodValues.has(name)) {
+      value = lastGoodValues.get(name);
+      status = 'stale';
+    } else {
+      value = emptyValue;
+      status = 'error';
+    }
+  }
+
+  const finishedAt = Date.now();
+  statuses.set(name, {
+    status: status,
+    latencyMs: finishedAt - startedAt,
+    lastSuccess: status === 'ok'
+      ? new Date(finishedAt).toISOString()
+      : (previous ? previous.lastSuccess : null),
+    lastAttempt: new Date(finishedAt).toISOString(),
+    error: errorMessage
+  });
+
+  increment('source_requests_total', { source: name });
+  observe('source_latency_seconds', { source: name }, (finishedAt - startedAt) / 1000);
+  if (status !== 'ok') {
+    increment('source_errors_total', { source: name, status: status });
+  }
+
+  return value;
+}
+
+/**
+ * Get the status of every source fetched so far
+ * @returns {Object} Source name → status
+ */
+function getSourceStatuses() {
+  return Object.fromEntries(statuses);
+}
+
+module.exports = {
+  runSource,
+  reportSourceFailure,
+  getSourceStatuses,
+  withTimeout
+};
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('stateStore');
+
+/**
+ * Persistent state store
+ *
+ * Keeps a small key/value object that survives restarts. Where it is kept is
+ * up to a backend, chosen with STATE_STORE:
+ *   - file (default): JSON file at STATE_FILE_PATH (./data/state.json)
+ *   - memory: nothing is persisted
+ *
+ * A backend is an object with:
+ *   - load(): Promise<Object|null> - saved state, or null if there is none
+ *   - save(state): Promise<void> - replace the saved state
+ *
+ * Writes are batched: setState() marks the state dirty and it is saved
+ * shortly after. Call flushState() before exiting.
+ */
+
+const SAVE_DELAY = 1000; // Batch writes made within 1 second
+
+const backends = {
+  file: createFileBackend,
+  memory: createMemoryBackend
+};
+
+let backend = null;
+let state = {};
+let loaded = false;
+let removedKeys = new Set(); // Keys removed before the saved state was loaded
+let canSave = true; // False after a failed load, so the unread state isn't overwritten
+let saveTimer = null;
+let pendingSave = Promise.resolve();
+
+/**
+ * Backend that keeps state in a JSON file
+ * Writes go to a temp file first so a crash can't leave half a file behind.
+ * A file that isn't valid JSON is moved aside (state.json.corrupt-<time>)
+ * rather than overwritten, so it can still be recovered by hand.
+ * @returns {Object} Backend
+ */
+function createFileBackend() {
+  const filePath = path.resolve(process.cwd(), process.env.STATE_FILE_PATH || './data/state.json');
+
+  return {
+    name: 'file',
+    location: filePath,
+
+    async load() {
+      let content;
+      try {
+        content = await fs.promises.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+
+      try {
+        return JSON.parse(content);
+      } catch (error) {
+        const asidePath = `${filePath}.corrupt-${Date.now()}`;
+        await fs.promises.rename(filePath, asidePath);
+        log.error(`❌ Saved state is not valid JSON, moved it to ${asidePath}`, { error });
+        return null;
+      }
+    },
+
+    async save(data) {
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(data), 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+    }
+  };
+}
+
+/**
+ * Backend that keeps nothing (state is lost on restart)
+ * @returns {Object} Backend
+ */
+function createMemoryBackend() {
+  return {
+    name: 'memory',
+    location: null,
+    load: async () => null,
+    save: async () => {}
+  };
+}
+
+/**
+ * Register a state backend
+ * @param {string} name - Backend name (value of STATE_STORE)
+ * @param {Function} factory - Returns an object with load() and save(state)
+ */
+function registerBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Get the configured backend, creating it on first use
+ * @returns {Object} Backend
+ */
+function getBackend() {
+  if (!backend) {
+    const name = (process.env.STATE_STORE || 'file').toLowerCase();
+    const factory = backends[name];
+
+    if (!factory) {
+      log.warn(`⚠️  Unknown state store '${name}', state will not be persisted`);
+      backend = createMemoryBackend();
+    } else {
+      backend = factory();
+    }
+  }
+
+  return backend;
+}
+
+/**
+ * Load saved state from the backend
+ * Values written before the load finished win over the saved ones. A missing
+ * store starts empty; one that can't be read starts empty too, but nothing is
+ * saved until a later start can read it.
+ * @returns {Promise<Object>} Loaded state
+ */
+async function loadState() {
+  const store = getBackend();
+
+  try {
+    const saved = await store.load();
+    const merged = { ...(saved && typeof saved === 'object' ? saved : {}), ...state };
+    removedKeys.forEach(key => delete merged[key]);
+    state = merged;
+    canSave = true;
+
+    if (saved) {
+      log.info(`💾 Loaded saved state from ${store.location || store.name}`);
+    }
+  } catch (error) {
+    log.error(`❌ Failed to load saved state from ${store.location || store.name}, changes will not be saved`, { error });
+    canSave = false;
+  }
+
+  loaded = true;
+  removedKeys = new Set();
+  return state;
+}
+
+/**
+ * Read a value from the state
+ * @param {string} key - State key
+ * @returns {*} Saved value, or undefined
+ */
+function getState(key) {
+  return state[key];
+}
+
+/**
+ * Write a value to the state and schedule a save
+ * @param {string} key - State key
+ * @param {*} value - JSON-serializable value (undefined removes the key)
+ */
+function setState(key, value) {
+  if (value === undefined) {
+    delete state[key];
+    if (!loaded) {
+      removedKeys.add(key);
+    }
+  } else {
+    state[key] = value;
+    removedKeys.delete(key);
+  }
+
+  if (!saveTimer) {
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      saveNow();
+    }, SAVE_DELAY);
+    saveTimer.unref();
+  }
+}
+
+/**
+ * Save the state now, after any save already in progress
+ * @returns {Promise<void>}
+ */
+function saveNow() {
+  pendingSave = pendingSave.then(async () => {
+    if (!canSave) {
+      return;
+    }
+
+    const store = getBackend();
+    try {
+      await store.save(state);
+    } catch (error) {
+      log.error(`❌ Failed to save state to ${store.location || store.name}`, { error });
+    }
+  });
+
+  return pendingSave;
+}
+
+/**
+ * Save any pending changes immediately (call before shutdown)
+ * @returns {Promise<void>}
+ */
+async function flushState() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    await saveNow();
+  }
+
+  await pendingSave;
+}
+
+module.exports = {
+  loadState,
+  getState,
+  setState,
+  flushState,
+  registerBackend
+};
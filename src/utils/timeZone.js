@@ -0,0 +1,138 @@
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Get the configured household time zone
+ * @returns {string} IANA time zone
+ */
+function getTimeZone() {
+  return process.env.TZ || 'America/New_York';
+}
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function getZonedParts(date, timeZone = getTimeZone()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(({ type, value }) => {
+    values[type] = type === 'weekday' ? value : parseInt(value, 10);
+  });
+
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute,
+    second: values.second,
+    weekday: WEEKDAYS.indexOf(values.weekday.toLowerCase())
+  };
+}
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ * @param {string} timeZone - IANA time zone, e.g. "America/Chicago"
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} Offset in milliseconds (local - UTC)
+ */
+function getTimeZoneOffset(timeZone, timestamp) {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to an instant
+ * Day and time overflow is allowed (e.g. day 32 or hour 24).
+ * @param {Object} wallTime - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = getTimeZone()) {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  let timestamp = wallTime - getTimeZoneOffset(timeZone, wallTime);
+  // Second pass corrects for a DST change between the guess and the result
+  timestamp = wallTime - getTimeZoneOffset(timeZone, timestamp);
+  return new Date(timestamp);
+}
+
+/**
+ * Get the calendar day of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} YYYY-MM-DD day
+ */
+function getDayKey(date, timeZone = getTimeZone()) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return [year, month, day]
+    .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+    .join('-');
+}
+
+/**
+ * Get the instant a day starts (midnight) in a time zone
+ * @param {string} day - YYYY-MM-DD day
+ * @param {number} [addDays] - Days to move forward (or back, when negative)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Midnight of that day
+ */
+function getDayStart(day, addDays = 0, timeZone = getTimeZone()) {
+  const [year, month, date] = day.split('-').map(part => parseInt(part, 10));
+  return zonedTimeToDate({ year, month, day: date + addDays }, timeZone);
+}
+
+/**
+ * Count the days between two calendar days
+ * @param {string} fromDay - YYYY-MM-DD day
+ * @param {string} toDay - YYYY-MM-DD day
+ * @returns {number} 1 when toDay is the day after fromDay, negative when it is before
+ */
+function getDaysBetween(fromDay, toDay) {
+  const toUtc = day => Date.parse(`${day}T00:00:00Z`);
+  return Math.round((toUtc(toDay) - toUtc(fromDay)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Parse a date-time that may have no UTC offset
+ * Values with "Z" or an offset are exact instants; floating values
+ * ("2025-10-03T19:00:00") are wall-clock times in the time zone.
+ * @param {string} value - ISO 8601 date-time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant (invalid Date if the value can't be read)
+ */
+function parseDateTime(value, timeZone = getTimeZone()) {
+  const floating = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/.exec(String(value).trim());
+
+  if (!floating) {
+    return new Date(value);
+  }
+
+  const [year, month, day, hour, minute, second] = floating.slice(1).map(part => parseInt(part || 0, 10));
+  return zonedTimeToDate({ year, month, day, hour, minute, second }, timeZone);
+}
+
+module.exports = {
+  WEEKDAYS,
+  getTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  getDayKey,
+  getDayStart,
+  getDaysBetween,
+  parseDateTime
+};
@@ -1,3 +1,12 @@
+const eventBus = require('./eventBus');
+const { isValidMode } = require('./utils/modeManager');
+const { authorize } = require('./utils/auth');
+const { pickFormat, validateFormat, resolveFormat } = require('./utils/formatting');
+const { collect } = require('./utils/metrics');
+const { createLogger, runWithContext } = require('./utils/logger');
+
+const log = createLogger('websocket');
+
 const PING_INTERVAL = 30000; // 30 seconds
 const PONG_TIMEOUT = 5000; // 5 seconds
 
@@ -5,61 +14,155 @@ class WebSocketHandler {
   constructor() {
     this.clients = new Set();
     this.pingInterval = null;
+    this.messageHandlers = new Map();
+  }
+
+  /**
+   * Register a handler for a client message type
+   * The handler's resolved value is sent back to the client under the same event name.
+   * @param {string} type - Message type (e.g. 'todo:complete')
+   * @param {Function} handler - Async function receiving (data, ws)
+   * @param {Object} [options] - Options
+   * @param {string} [options.scope] - API key scope the client needs ('read' or 'control', default 'read')
+   */
+  registerMessageHandler(type, handler, { scope = 'read' } = {}) {
+    this.messageHandlers.set(type, { handler, scope });
   }
 
   /**
    * Initialize WebSocket server and handle connections
+   * Payloads and events arrive through the shared event bus.
    * @param {WebSocketServer} wss - WebSocket server instance
    */
   initialize(wss) {
+    eventBus.registerTransport(this);
+    eventBus.on('dashboard', update => this.sendDashboardUpdate(update));
+    eventBus.on('broadcast', ({ event, data }) => this.broadcast({ event, data }));
+    collect('connected_clients', () => [{ labels: { transport: 'websocket' }, value: this.getActiveConnectionCount() }]);
+
     wss.on('connection', (ws, req) => {
       const clientId = this.generateClientId();
-      console.log(`✅ Client connected: ${clientId}`);
 
       // Initialize client properties
       ws.clientId = clientId;
       ws.isAlive = true;
+      ws.authToken = req.authToken || null; // Checked again for control messages and on each ping
+      ws.mode = this.getRequestedMode(req); // null = follow the default mode
+      ws.format = this.getRequestedFormat(req); // Overrides of the default display format
+      ws.fullUpdates = this.getQueryParam(req, 'updates') === 'full';
+      ws.stream = null; // Stream (mode + format) of the last payload sent
+      ws.version = null; // Version of the last payload sent
+      ws.ip = this.getRemoteAddress(req); // Recorded if the display says hello
+      ws.userAgent = req.headers['user-agent'] || null;
       this.clients.add(ws);
+      log.info('✅ Client connected', { clientId, connections: this.clients.size });
 
       // Send welcome message
       this.sendToSocket(ws, {
         event: 'connection',
         data: {
           message: 'Connected to TV Dashboard API',
-          clientId: clientId
+          clientId: clientId,
+          mode: ws.mode,
+          format: resolveFormat(ws.format)
         }
       });
 
+      // Send the last snapshot right away instead of waiting for the next refresh
+      this.sendSnapshot(ws);
+
       // Handle pong responses
       ws.on('pong', () => {
         ws.isAlive = true;
       });
 
-      // Handle incoming messages
+      // Handle incoming messages (lines logged while handling them carry the client ID)
       ws.on('message', (message) => {
-        this.handleMessage(ws, message, clientId);
+        runWithContext({ clientId }, () => this.handleMessage(ws, message, clientId));
       });
 
       // Handle client disconnect
       ws.on('close', () => {
         this.clients.delete(ws);
-        console.log(`❌ Client disconnected: ${clientId}`);
-        console.log(`📊 Active connections: ${this.clients.size}`);
+        log.info('❌ Client disconnected', { clientId, connections: this.clients.size });
+        eventBus.emit('disconnect', { clientId, transport: 'websocket' });
       });
 
       // Handle errors
       ws.on('error', (error) => {
-        console.error(`⚠️  WebSocket error for client ${clientId}:`, error);
+        log.warn('⚠️  WebSocket error', { clientId, error });
         this.clients.delete(ws);
       });
-
-      console.log(`📊 Active connections: ${this.clients.size}`);
     });
 
     // Start ping/pong health check
     this.startHealthCheck();
   }
 
+  /**
+   * Read a query param from a client's connection URL
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {string} name - Param name
+   * @returns {string|null} Param value, or null if missing
+   */
+  getQueryParam(req, name) {
+    try {
+      return new URL(req.url, 'http://localhost').searchParams.get(name);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the address a client connected from
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @returns {string|null} IP address (IPv4-mapped addresses as plain IPv4)
+   */
+  getRemoteAddress(req) {
+    const address = req.socket.remoteAddress;
+    return address ? address.replace(/^::ffff:/, '') : null;
+  }
+
+  /**
+   * Read the mode a client asked for in its connection URL (?mode=weather)
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @returns {string|null} Requested mode, or null if none or invalid
+   */
+  getRequestedMode(req) {
+    const mode = this.getQueryParam(req, 'mode');
+
+    if (mode && !isValidMode(mode)) {
+      log.warn(`⚠️  Ignoring invalid mode '${mode}' requested on connect`);
+      return null;
+    }
+
+    return mode || null;
+  }
+
+  /**
+   * Read the display format a client asked for in its connection URL
+   * (?units=metric&timeFormat=24h&locale=de-DE)
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @returns {Object} Format overrides (invalid values are ignored)
+   */
+  getRequestedFormat(req) {
+    const format = pickFormat({
+      units: this.getQueryParam(req, 'units'),
+      timeFormat: this.getQueryParam(req, 'timeFormat'),
+      locale: this.getQueryParam(req, 'locale')
+    });
+
+    Object.keys(format).forEach((field) => {
+      const problems = validateFormat({ [field]: format[field] });
+      if (problems.length > 0) {
+        log.warn(`⚠️  Ignoring invalid ${field} '${format[field]}' requested on connect`);
+        delete format[field];
+      }
+    });
+
+    return format;
+  }
+
   /**
    * Handle incoming messages from clients
    * @param {WebSocket} ws - WebSocket connection
@@ -69,7 +172,8 @@ class WebSocketHandler {
   handleMessage(ws, message, clientId) {
     try {
       const data = JSON.parse(message);
-      console.log(`📨 Message from ${clientId}:`, data);
+      // Only the type: messages can be large or carry user data
+      log.debug(`📨 Received '${data.type}' message`);
 
       // Handle ping from client
       if (data.type === 'ping') {
@@ -80,13 +184,31 @@ class WebSocketHandler {
         return;
       }
 
+      // Client missed a version (or lost its state) and wants the full payload
+      if (data.type === 'sync') {
+        log.info(`🔄 Resyncing (had version ${data.version ?? 'none'})`);
+        if (!this.sendSnapshot(ws)) {
+          this.sendToSocket(ws, {
+            event: 'error',
+            data: { message: 'No dashboard data available yet' }
+          });
+        }
+        return;
+      }
+
+      // Dispatch to a registered handler
+      if (this.messageHandlers.has(data.type)) {
+        this.runMessageHandler(ws, data);
+        return;
+      }
+
       // Echo back for now (can be extended with specific handlers)
       this.sendToSocket(ws, {
         event: 'echo',
         data: data
       });
     } catch (error) {
-      console.error('Error parsing message:', error);
+      log.warn('⚠️  Ignoring message that is not valid JSON', { error });
       this.sendToSocket(ws, {
         event: 'error',
         data: { message: 'Invalid message format' }
@@ -94,6 +216,44 @@ class WebSocketHandler {
     }
   }
 
+  /**
+   * Run a registered message handler and reply with its result
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} data - Parsed message
+   */
+  async runMessageHandler(ws, data) {
+    const { handler, scope } = this.messageHandlers.get(data.type);
+
+    const access = authorize(ws.authToken, scope);
+    if (!access.ok) {
+      this.sendToSocket(ws, {
+        event: 'error',
+        data: {
+          message: `Failed to handle '${data.type}'`,
+          error: access.message
+        }
+      });
+      return;
+    }
+
+    try {
+      const result = await handler(data, ws);
+      this.sendToSocket(ws, {
+        event: data.type,
+        data: { success: true, ...result }
+      });
+    } catch (error) {
+      log.error(`❌ Error handling '${data.type}'`, { error });
+      this.sendToSocket(ws, {
+        event: 'error',
+        data: {
+          message: `Failed to handle '${data.type}'`,
+          error: error.message
+        }
+      });
+    }
+  }
+
   /**
    * Start ping/pong health check interval
    */
@@ -101,11 +261,18 @@ class WebSocketHandler {
     this.pingInterval = setInterval(() => {
       this.clients.forEach((ws) => {
         if (!ws.isAlive) {
-          console.log(`💀 Terminating dead connection: ${ws.clientId}`);
+          log.info('💀 Terminating dead connection', { clientId: ws.clientId });
           this.clients.delete(ws);
           return ws.terminate();
         }
 
+        // Drop clients whose API key was removed or expired
+        if (!authorize(ws.authToken, 'read').ok) {
+          log.warn('🔒 Closing connection with revoked API key', { clientId: ws.clientId });
+          this.clients.delete(ws);
+          return ws.close(4401, 'Unauthorized');
+        }
+
         ws.isAlive = false;
         ws.ping();
       });
@@ -123,29 +290,177 @@ class WebSocketHandler {
   }
 
   /**
-   * Send dashboard update to all connected clients
-   * @param {Object} dashboardData - Dashboard data object
-   * @param {string} dashboardData.mode - Current dashboard mode
-   * @param {Object} dashboardData.weather - Weather information
-   * @param {Object} dashboardData.nextEvent - Next calendar event
-   * @param {Array} dashboardData.todos - Todo list
-   * @param {Array} dashboardData.agenda - Agenda items
-   * @param {Array} dashboardData.localEvents - Local events
-   * @param {string} dashboardData.llmMessage - LLM generated message
+   * Send a full payload to a socket and mark it as up to date
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} snapshot - { stream, version, data }
    */
-  sendDashboardUpdate(dashboardData) {
-    this.broadcast({
+  sendFullUpdate(ws, snapshot) {
+    this.sendToSocket(ws, {
       event: 'dashboard:update',
-      data: {
-        mode: dashboardData.mode,
-        weather: dashboardData.weather,
-        nextEvent: dashboardData.nextEvent,
-        todos: dashboardData.todos,
-        agenda: dashboardData.agenda,
-        localEvents: dashboardData.localEvents,
-        llmMessage: dashboardData.llmMessage
+      data: snapshot.data,
+      version: snapshot.version
+    });
+    ws.stream = snapshot.stream;
+    ws.version = snapshot.version;
+  }
+
+  /**
+   * Send a client the current payload for its mode and format
+   * @param {WebSocket} ws - WebSocket connection
+   * @returns {boolean} True if there was data to send
+   */
+  sendSnapshot(ws) {
+    const snapshot = eventBus.getSnapshot(ws.mode, ws.format);
+
+    if (!snapshot) {
+      return false;
+    }
+
+    this.sendFullUpdate(ws, snapshot);
+    return true;
+  }
+
+  /**
+   * Send a payload published on the event bus to every client subscribed to its stream
+   * Clients that have the previous version get a `dashboard:delta` with only the
+   * changed sections; the rest get the full payload. Nothing is sent to clients
+   * that are already up to date.
+   * @param {Object} snapshot - { stream, version, data, previous, delta, defaultMode } from the event bus
+   */
+  sendDashboardUpdate(snapshot) {
+    const { stream, previous, delta, defaultMode } = snapshot;
+    const { mode } = snapshot.data;
+
+    const deltaMessage = delta && previous.version !== snapshot.version
+      ? JSON.stringify({
+        event: 'dashboard:delta',
+        data: { mode, changes: delta.changes, removed: delta.removed },
+        version: snapshot.version,
+        baseVersion: previous.version,
+        timestamp: new Date().toISOString()
+      })
+      : null;
+
+    let fullCount = 0;
+    let deltaCount = 0;
+    this.clients.forEach((client) => {
+      if (client.readyState !== 1 || this.getClientStream(client, defaultMode).key !== stream) {
+        return;
+      }
+
+      const inStream = client.stream === stream;
+      if (inStream && client.version === snapshot.version) {
+        return;
+      }
+
+      if (deltaMessage && inStream && !client.fullUpdates && client.version === previous.version) {
+        client.send(deltaMessage);
+        client.version = snapshot.version;
+        deltaCount++;
+      } else {
+        this.sendFullUpdate(client, snapshot);
+        fullCount++;
+      }
+    });
+
+    if (fullCount + deltaCount > 0) {
+      log.debug(`📡 Sent '${mode}' v${snapshot.version} to ${fullCount + deltaCount} client(s) (${deltaCount} delta, ${fullCount} full)`);
+    }
+  }
+
+  /**
+   * Send a specific client the current payload for its mode and format
+   * @param {string} clientId - Target client ID
+   * @returns {boolean} True if the client was found and there was data to send
+   */
+  sendSnapshotToClient(clientId) {
+    for (const client of this.clients) {
+      if (client.clientId === clientId && client.readyState === 1) {
+        return this.sendSnapshot(client);
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get the mode a client is displaying
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {string} defaultMode - Mode used when the client has not chosen one
+   * @returns {string} Client's effective mode
+   */
+  getClientMode(ws, defaultMode) {
+    return ws.mode || defaultMode;
+  }
+
+  /**
+   * Get the mode and display format a client is shown
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {string} defaultMode - Mode used when the client has not chosen one
+   * @returns {Object} { key, mode, format }
+   */
+  getClientStream(ws, defaultMode) {
+    const mode = this.getClientMode(ws, defaultMode);
+    const format = resolveFormat(ws.format);
+
+    return { key: eventBus.getStreamKey(mode, format), mode, format };
+  }
+
+  /**
+   * Set the mode for a specific client
+   * @param {string} clientId - Target client ID
+   * @param {string|null} mode - Mode to display, or null to follow the default
+   * @returns {boolean} True if the client was found
+   */
+  setClientMode(clientId, mode) {
+    for (const client of this.clients) {
+      if (client.clientId === clientId) {
+        client.mode = mode || null;
+        return true;
       }
+    }
+    return false;
+  }
+
+  /**
+   * Set the display format for a specific client
+   * @param {string} clientId - Target client ID
+   * @param {Object} format - Valid format overrides ({} for the defaults)
+   * @returns {boolean} True if the client was found
+   */
+  setClientFormat(clientId, format) {
+    for (const client of this.clients) {
+      if (client.clientId === clientId) {
+        client.format = format;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Make every client follow the default mode again
+   * @param {string} [mode] - Only reset clients showing this mode
+   */
+  clearClientModes(mode) {
+    this.clients.forEach((client) => {
+      if (!mode || client.mode === mode) {
+        client.mode = null;
+      }
+    });
+  }
+
+  /**
+   * Get the distinct streams (mode + display format) connected clients are shown
+   * @param {string} defaultMode - Mode used by clients that have not chosen one
+   * @returns {Array<Object>} { key, mode, format } per stream
+   */
+  getSubscribedStreams(defaultMode) {
+    const streams = new Map();
+    this.clients.forEach((client) => {
+      const stream = this.getClientStream(client, defaultMode);
+      streams.set(stream.key, stream);
     });
+    return Array.from(streams.values());
   }
 
   /**
@@ -166,7 +481,7 @@ class WebSocketHandler {
       }
     });
 
-    console.log(`📡 Broadcast '${payload.event}' to ${sentCount} client(s)`);
+    log.debug(`📡 Broadcast '${payload.event}' to ${sentCount} client(s)`);
   }
 
   /**
@@ -228,7 +543,7 @@ class WebSocketHandler {
    * Clean up all connections and intervals
    */
   shutdown() {
-    console.log('🛑 Shutting down WebSocket handler...');
+    log.info('🛑 Shutting down WebSocket handler...');
     this.stopHealthCheck();
 
     this.clients.forEach((client) => {
@@ -236,7 +551,7 @@ class WebSocketHandler {
     });
 
     this.clients.clear();
-    console.log('✅ WebSocket handler shut down');
+    log.info('✅ WebSocket handler shut down');
   }
 }
 